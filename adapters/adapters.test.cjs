@@ -0,0 +1,42 @@
+const assert = require("node:assert/strict");
+const { Ajv } = require("ajv");
+const { z } = require("zod");
+const { addISO8601Format } = require("./ajv.cjs");
+const { iso8601Schema } = require("./zod.cjs");
+const { ISO8601StandardSchema } = require("./standard-schema.cjs");
+const { Temporal } = require("@js-temporal/polyfill");
+const { toTemporalInstant, toTemporalPlainDateTime } = require("./temporal.cjs");
+const { describe } = require("node:test");
+
+describe("addISO8601Format — CommonJS import", () => {
+  const ajv = addISO8601Format(new Ajv());
+  const validate = ajv.compile({ type: "string", iso8601: true });
+
+  assert.ok(ajv.validate({ type: "string", format: "iso-8601-strict" }, "2025-11-02T10:20:30Z"));
+  assert.ok(!validate("2025-02-29T10:20:30Z"), "Invalid date accepted");
+  assert.equal(validate.errors[0].params.code, "NOT_LEAP_YEAR");
+});
+
+describe("iso8601Schema — CommonJS import", () => {
+  assert.ok(iso8601Schema(z).safeParse("2025-11-02T10:20:30Z").success, "Valid date rejected");
+  assert.ok(!iso8601Schema(z).safeParse("2025-11-31T10:20:30Z").success, "Invalid date accepted");
+});
+
+describe("ISO8601StandardSchema — CommonJS import", () => {
+  const { validate } = ISO8601StandardSchema["~standard"];
+
+  assert.deepEqual(validate("2025-11-02T10:20:30Z"), { value: "2025-11-02T10:20:30Z" });
+  assert.equal(validate("2025-11-02T10:20:30").issues.length, 1);
+});
+
+describe("Temporal interop — CommonJS import", () => {
+  assert.equal(
+    toTemporalInstant("2025-11-02T10:20:30+05:30", { Temporal }).toString(),
+    "2025-11-02T04:50:30Z"
+  );
+  assert.equal(
+    toTemporalPlainDateTime("2025-11-02T10:20:30+05:30", { Temporal }).toString(),
+    "2025-11-02T10:20:30"
+  );
+  assert.throws(() => toTemporalInstant("2025-02-29T10:20:30Z", { Temporal }), RangeError);
+});
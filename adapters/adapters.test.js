@@ -0,0 +1,327 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { Ajv } from "ajv";
+import { z } from "zod";
+import { addISO8601Format } from "./ajv.js";
+import { iso8601Refinement, iso8601Schema } from "./zod.js";
+import { ISO8601StandardSchema } from "./standard-schema.js";
+import {
+  ISO8601Regex,
+  ISO8601BasicRegex,
+  ISO8601ExpandedYearRegex,
+  ISO8601LeapSecondRegex,
+  ISO8601OrdinalDateTimeRegex,
+  ISO8601WeekDateTimeRegex,
+  createISO8601Regex,
+  parseISO8601,
+} from "../strict-iso-8601-regex.js";
+import { Temporal } from "@js-temporal/polyfill";
+import {
+  toTemporalInstant,
+  toTemporalPlainDateTime,
+  toTemporalZonedDateTime,
+} from "./temporal.js";
+
+const valid = [
+  "2025-11-02T10:20:30Z",
+  "2024-02-29T23:59:59.999+14:00",
+  "2000-01-01T00:00:00-12:00",
+];
+
+// Calendar-invalid strings that ajv-formats' date-time and z.iso.datetime() accept or
+// reject for the wrong reason, plus shape errors.
+const invalid = [
+  ["2025-02-29T10:20:30Z", "February 29 does not exist in 2025, which is not a leap year"],
+  ["2025-11-31T10:20:30Z", "Day 31 is out of range for month 11 (01–30)"],
+  ["2025-11-02T10:20:30+14:30", "Offset +14:30 is out of range (-12:00 to +14:00)"],
+  ["2025-11-02T10:20:30", "Expected 'Z' or an offset such as +01:00, found end of input"],
+  ["2025-11-02 10:20:30Z", "Expected 'T' between the date and the time, found \" \""],
+];
+
+describe("addISO8601Format — ajv plugin", () => {
+  const ajv = addISO8601Format(new Ajv({ allErrors: true }));
+  const formatValidate = ajv.compile({ type: "string", format: "iso-8601-strict" });
+  const keywordValidate = ajv.compile({ type: "string", iso8601: true });
+
+  test("returns the ajv instance", () => {
+    const instance = new Ajv();
+    assert.equal(addISO8601Format(instance), instance);
+  });
+
+  test("format and keyword accept valid date-times", async (t) => {
+    for (const input of valid) {
+      await t.test(input, () => {
+        assert.ok(formatValidate(input));
+        assert.ok(keywordValidate(input));
+      });
+    }
+  });
+
+  test("format rejects with ajv's format error", async (t) => {
+    for (const [input] of invalid) {
+      await t.test(input, () => {
+        assert.ok(!formatValidate(input));
+        assert.equal(formatValidate.errors[0].keyword, "format");
+        assert.equal(formatValidate.errors[0].message, 'must match format "iso-8601-strict"');
+      });
+    }
+  });
+
+  test("keyword rejects with the validateISO8601 reason", async (t) => {
+    for (const [input, message] of invalid) {
+      await t.test(input, () => {
+        assert.ok(!keywordValidate(input));
+        assert.equal(keywordValidate.errors.length, 1);
+        assert.equal(keywordValidate.errors[0].keyword, "iso8601");
+        assert.equal(keywordValidate.errors[0].message, message);
+      });
+    }
+  });
+
+  test("keyword reports code, index and path in nested schemas", () => {
+    const validate = ajv.compile({
+      type: "object",
+      properties: { createdAt: { type: "string", iso8601: true } },
+    });
+
+    assert.ok(validate({ createdAt: "2025-11-02T10:20:30Z" }));
+    assert.ok(!validate({ createdAt: "2025-02-29T10:20:30Z" }));
+    assert.equal(validate.errors[0].instancePath, "/createdAt");
+    assert.deepEqual(validate.errors[0].params, { code: "NOT_LEAP_YEAR", index: 8 });
+  });
+
+  test("iso8601: false disables the keyword", () => {
+    assert.ok(ajv.compile({ type: "string", iso8601: false })("not-a-date"));
+  });
+});
+
+describe("iso8601Schema / iso8601Refinement — zod", () => {
+  const schema = iso8601Schema(z);
+
+  test("accepts valid date-times", async (t) => {
+    for (const input of valid) {
+      await t.test(input, () => assert.equal(schema.parse(input), input));
+    }
+  });
+
+  test("rejects with the validateISO8601 reason", async (t) => {
+    for (const [input, message] of invalid) {
+      await t.test(input, () => {
+        const result = schema.safeParse(input);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.issues.length, 1);
+        assert.equal(result.error.issues[0].code, "custom");
+        assert.equal(result.error.issues[0].message, message);
+      });
+    }
+  });
+
+  test("refinement composes with other zod schemas", () => {
+    const event = z.object({ createdAt: z.string().superRefine(iso8601Refinement) });
+    const result = event.safeParse({ createdAt: "2025-04-31T00:00:00Z" });
+
+    assert.ok(event.safeParse({ createdAt: "2025-04-30T00:00:00Z" }).success);
+    assert.equal(result.success, false);
+    assert.deepEqual(result.error.issues[0].path, ["createdAt"]);
+    assert.deepEqual(result.error.issues[0].params, { code: "DAY_OUT_OF_RANGE", index: 8 });
+  });
+
+  test("non-strings fail zod's own type check", () => {
+    const result = schema.safeParse(20251102);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.issues[0].code, "invalid_type");
+  });
+});
+
+describe("ISO8601StandardSchema — Standard Schema", () => {
+  const { validate, version, vendor } = ISO8601StandardSchema["~standard"];
+
+  test("implements the Standard Schema v1 interface", () => {
+    assert.equal(version, 1);
+    assert.equal(vendor, "iso-8601-regex");
+    assert.equal(typeof validate, "function");
+    assert.ok(Object.isFrozen(ISO8601StandardSchema));
+  });
+
+  test("returns the value for valid date-times", async (t) => {
+    for (const input of valid) {
+      await t.test(input, () => assert.deepEqual(validate(input), { value: input }));
+    }
+  });
+
+  test("returns one issue with the validateISO8601 reason", async (t) => {
+    for (const [input, message] of invalid) {
+      await t.test(input, () => assert.deepEqual(validate(input), { issues: [{ message }] }));
+    }
+
+    await t.test("non-string", () =>
+      assert.deepEqual(validate(null), { issues: [{ message: "Expected a string, received null" }] })
+    );
+  });
+
+  test("agrees with ISO8601Regex", () => {
+    for (const input of [...valid, ...invalid.map(([input]) => input)]) {
+      assert.equal("value" in validate(input), ISO8601Regex.test(input), input);
+    }
+  });
+});
+
+describe("Temporal interop", () => {
+  const options = { Temporal };
+
+  test("converts to a fixed-offset ZonedDateTime", async (t) => {
+    const cases = [
+      ["UTC", "2025-11-02T10:20:30Z", "2025-11-02T10:20:30+00:00[UTC]"],
+      ["positive offset", "2025-11-02T10:20:30.123+05:30", "2025-11-02T10:20:30.123+05:30[+05:30]"],
+      ["negative offset", "2024-02-29T23:59:59-12:00", "2024-02-29T23:59:59-12:00[-12:00]"],
+      ["unknown local offset", "2025-11-02T10:20:30-00:00", "2025-11-02T10:20:30+00:00[+00:00]"],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => {
+        assert.equal(toTemporalZonedDateTime(input, options).toString(), expected);
+      });
+    }
+  });
+
+  test("converts to an Instant", async (t) => {
+    const cases = [
+      ["UTC", "2025-11-02T10:20:30Z", "2025-11-02T10:20:30Z"],
+      ["offset", "2025-11-02T10:20:30.5+05:30", "2025-11-02T04:50:30.5Z"],
+      ["day rollover", "2025-12-31T23:30:00-12:00", "2026-01-01T11:30:00Z"],
+      ["leap day", "2024-02-29T00:00:00+14:00", "2024-02-28T10:00:00Z"],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => {
+        assert.equal(toTemporalInstant(input, options).toString(), expected);
+      });
+    }
+  });
+
+  test("converts to a PlainDateTime with the wall-clock fields", async (t) => {
+    const cases = [
+      ["UTC", "2025-11-02T10:20:30Z", "2025-11-02T10:20:30"],
+      ["offset is dropped", "2025-11-02T10:20:30.007+05:30", "2025-11-02T10:20:30.007"],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => {
+        assert.equal(toTemporalPlainDateTime(input, options).toString(), expected);
+      });
+    }
+  });
+
+  test("keeps nanoseconds from createISO8601Regex groups", () => {
+    const regex = createISO8601Regex({ fraction: { mode: "max", digits: 9 } });
+    const input = "2025-11-02T10:20:30.123456789-03:00";
+    const { groups } = regex.exec(input);
+    const instant = toTemporalInstant(groups, options);
+
+    assert.equal(instant.toString(), "2025-11-02T13:20:30.123456789Z");
+    assert.equal(
+      instant.epochNanoseconds,
+      parseISO8601(input, { fraction: { mode: "max", digits: 9 } }).epochNanoseconds
+    );
+    assert.equal(toTemporalPlainDateTime(groups, options).nanosecond, 789);
+  });
+
+  test("accepts groups from the other date-time regexes", async (t) => {
+    const cases = [
+      ["basic format", ISO8601BasicRegex, "20251102T102030+0530", "2025-11-02T04:50:30Z"],
+      ["expanded year", ISO8601ExpandedYearRegex, "+275760-09-13T00:00:00Z", "+275760-09-13T00:00:00Z"],
+      ["negative year", ISO8601ExpandedYearRegex, "-000001-01-01T00:00:00Z", "-000001-01-01T00:00:00Z"],
+      ["leap second clamps to :59", ISO8601LeapSecondRegex, "2016-12-31T23:59:60Z", "2016-12-31T23:59:59Z"],
+      ["minute precision", createISO8601Regex({ precision: "minute" }), "2025-11-02T10:20+01:00", "2025-11-02T09:20:00Z"],
+      ["hour precision", createISO8601Regex({ precision: "hour" }), "2025-11-02T23-12:00", "2025-11-03T11:00:00Z"],
+    ];
+
+    for (const [label, regex, input, expected] of cases) {
+      await t.test(label, () => {
+        assert.equal(toTemporalInstant(regex.exec(input).groups, options).toString(), expected);
+      });
+    }
+  });
+
+  test("agrees with parseISO8601 epoch values", () => {
+    for (const input of valid) {
+      assert.equal(
+        toTemporalInstant(input, options).epochNanoseconds,
+        parseISO8601(input).epochNanoseconds,
+        input
+      );
+    }
+  });
+
+  test("throws RangeError with the validateISO8601 reason for invalid strings", async (t) => {
+    for (const [input, message] of invalid) {
+      await t.test(input, () => {
+        for (const convert of [toTemporalInstant, toTemporalZonedDateTime, toTemporalPlainDateTime]) {
+          assert.throws(() => convert(input, options), {
+            name: "RangeError",
+            message: `Invalid ISO 8601 date-time: ${message}`,
+          });
+        }
+      });
+    }
+  });
+
+  test("rejects out-of-range groups instead of constraining them", () => {
+    const groups = { year: "2025", month: "02", day: "30", hour: "10", minute: "20", second: "30", timezone: "Z" };
+
+    for (const convert of [toTemporalInstant, toTemporalZonedDateTime, toTemporalPlainDateTime]) {
+      assert.throws(() => convert(groups, options), RangeError, convert.name);
+      assert.throws(() => convert({ ...groups, day: "28", hour: "24" }, options), RangeError, convert.name);
+    }
+  });
+
+  test("throws RangeError for week and ordinal date groups", async (t) => {
+    const cases = [
+      ["week date", ISO8601WeekDateTimeRegex.exec("2025-W44-7T10:20:30Z").groups, "month"],
+      ["ordinal date", ISO8601OrdinalDateTimeRegex.exec("2025-306T10:20:30Z").groups, "month"],
+      ["no day", { year: "2025", month: "11", hour: "10", timezone: "Z" }, "day"],
+    ];
+
+    for (const [label, groups, missing] of cases) {
+      await t.test(label, () => {
+        for (const convert of [toTemporalInstant, toTemporalZonedDateTime, toTemporalPlainDateTime]) {
+          assert.throws(() => convert(groups, options), {
+            name: "RangeError",
+            message: `Groups have no ${missing}: only calendar date-times (YYYY-MM-DDTHH…) are supported, not week or ordinal dates`,
+          });
+        }
+      });
+    }
+  });
+
+  test("PlainDateTime accepts groups without a timezone; Instant does not", () => {
+    const regex = createISO8601Regex({ timezone: "optional" });
+    const { groups } = regex.exec("2025-11-02T10:20:30");
+
+    assert.equal(toTemporalPlainDateTime(groups, options).toString(), "2025-11-02T10:20:30");
+    assert.throws(() => toTemporalInstant(groups, options), RangeError);
+    assert.throws(() => toTemporalZonedDateTime(groups, options), RangeError);
+  });
+
+  test("throws TypeError for non-string, non-object input", () => {
+    assert.throws(() => toTemporalInstant(null, options), TypeError);
+    assert.throws(() => toTemporalInstant(20251102, options), TypeError);
+  });
+
+  test("uses globalThis.Temporal when no polyfill is passed", () => {
+    assert.equal(globalThis.Temporal, undefined);
+    assert.throws(() => toTemporalInstant("2025-11-02T10:20:30Z"), {
+      name: "TypeError",
+      message: "Temporal is not available in this runtime; pass a polyfill as { Temporal }",
+    });
+
+    globalThis.Temporal = Temporal;
+    try {
+      assert.equal(toTemporalInstant("2025-11-02T10:20:30Z").toString(), "2025-11-02T10:20:30Z");
+    } finally {
+      delete globalThis.Temporal;
+    }
+  });
+});
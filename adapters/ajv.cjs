@@ -0,0 +1,59 @@
+const { ISO8601Regex, validateISO8601 } = require('../strict-iso-8601-regex.cjs');
+
+/**
+ * Registers strict ISO 8601 validation on an `ajv` instance:
+ *
+ * - the `iso-8601-strict` format, for `{ type: 'string', format: 'iso-8601-strict' }`.
+ *   Failures use ajv's generic `must match format "iso-8601-strict"` message.
+ * - the `iso8601` keyword, for `{ type: 'string', iso8601: true }`. Failures report
+ *   the reason from {@link validateISO8601} (e.g. `February 29 does not exist in 2025,
+ *   which is not a leap year`), with its `code` and `index` in `params`.
+ *
+ * Both accept exactly what {@link ISO8601Regex} accepts. `ajv` itself is not a
+ * dependency of this package: pass in your own instance (ajv 8).
+ *
+ * @template {{ addFormat: Function, addKeyword: Function }} T
+ * @param {T} ajv - The ajv instance to extend.
+ * @returns {T} The same instance, for chaining.
+ * @example
+ * import Ajv from 'ajv';
+ * import { addISO8601Format } from 'iso-8601-regex/ajv';
+ *
+ * const ajv = addISO8601Format(new Ajv());
+ * const validate = ajv.compile({ type: 'string', iso8601: true });
+ *
+ * validate('2025-02-29T10:20:30Z'); // false
+ * validate.errors[0].message;       // 'February 29 does not exist in 2025, which is not a leap year'
+ */
+function addISO8601Format(ajv) {
+  ajv.addFormat('iso-8601-strict', {
+    type: 'string',
+    validate: (data) => ISO8601Regex.test(data),
+  });
+
+  ajv.addKeyword({
+    keyword: 'iso8601',
+    type: 'string',
+    schemaType: 'boolean',
+    errors: true,
+    validate: function validate(schema, data) {
+      if (!schema) return true;
+
+      const result = validateISO8601(data);
+      if (result.valid) return true;
+
+      validate.errors = [
+        {
+          keyword: 'iso8601',
+          message: result.message,
+          params: { code: result.code, index: result.index },
+        },
+      ];
+      return false;
+    },
+  });
+
+  return ajv;
+}
+
+module.exports = { addISO8601Format };
@@ -0,0 +1,25 @@
+// ajv.d.ts
+
+/** The parts of an ajv 8 instance used by {@link addISO8601Format}. */
+export interface AjvLike {
+  addFormat(name: string, format: any): unknown;
+  addKeyword(definition: any): unknown;
+}
+
+/**
+ * Registers strict ISO 8601 validation on an `ajv` instance:
+ *
+ * - the `iso-8601-strict` format, for `{ type: 'string', format: 'iso-8601-strict' }`.
+ *   Failures use ajv's generic `must match format "iso-8601-strict"` message.
+ * - the `iso8601` keyword, for `{ type: 'string', iso8601: true }`. Failures report
+ *   the reason from `validateISO8601()`, with its `code` and `index` in `params`.
+ *
+ * @returns The same instance, for chaining.
+ * @example
+ * const ajv = addISO8601Format(new Ajv());
+ * const validate = ajv.compile({ type: 'string', iso8601: true });
+ *
+ * validate('2025-02-29T10:20:30Z'); // false
+ * validate.errors[0].message;       // 'February 29 does not exist in 2025, which is not a leap year'
+ */
+export declare function addISO8601Format<T extends AjvLike>(ajv: T): T;
@@ -0,0 +1,32 @@
+const { validateISO8601 } = require('../strict-iso-8601-regex.cjs');
+
+/**
+ * A Standard Schema (https://standardschema.dev) validator for strict ISO 8601
+ * date-times, for libraries that accept any Standard Schema (tRPC, TanStack Form,
+ * Hono, …).
+ *
+ * Accepts exactly what `ISO8601Regex` accepts and outputs the string unchanged.
+ * Failures carry one issue with the reason from {@link validateISO8601}.
+ *
+ * @constant
+ * @example
+ * import { ISO8601StandardSchema } from 'iso-8601-regex/standard-schema';
+ *
+ * ISO8601StandardSchema['~standard'].validate('2025-11-02T10:20:30Z');
+ * // { value: '2025-11-02T10:20:30Z' }
+ *
+ * ISO8601StandardSchema['~standard'].validate('2025-11-02T10:20:30');
+ * // { issues: [{ message: "Expected 'Z' or an offset such as +01:00, found end of input" }] }
+ */
+const ISO8601StandardSchema = Object.freeze({
+  '~standard': Object.freeze({
+    version: 1,
+    vendor: 'iso-8601-regex',
+    validate(value) {
+      const result = validateISO8601(value);
+      return result.valid ? { value } : { issues: [{ message: result.message }] };
+    },
+  }),
+});
+
+module.exports = { ISO8601StandardSchema };
@@ -0,0 +1,30 @@
+// standard-schema.d.ts
+
+/** The Standard Schema v1 interface (https://standardschema.dev), inlined to avoid a dependency. */
+export interface StandardSchemaV1<Input = unknown, Output = Input> {
+  readonly '~standard': {
+    readonly version: 1;
+    readonly vendor: string;
+    readonly validate: (
+      value: unknown
+    ) =>
+      | { readonly value: Output; readonly issues?: undefined }
+      | { readonly issues: ReadonlyArray<{ readonly message: string }> }
+      | Promise<
+          | { readonly value: Output; readonly issues?: undefined }
+          | { readonly issues: ReadonlyArray<{ readonly message: string }> }
+        >;
+    readonly types?: { readonly input: Input; readonly output: Output } | undefined;
+  };
+}
+
+/**
+ * A Standard Schema validator for strict ISO 8601 date-times. Accepts exactly what
+ * `ISO8601Regex` accepts and outputs the string unchanged; failures carry one issue
+ * with the reason from `validateISO8601()`.
+ *
+ * @example
+ * ISO8601StandardSchema['~standard'].validate('2025-11-02T10:20:30Z');
+ * // { value: '2025-11-02T10:20:30Z' }
+ */
+export declare const ISO8601StandardSchema: StandardSchemaV1<string, string>;
@@ -0,0 +1,73 @@
+// temporal.d.ts
+
+/** The parts of a `Temporal` namespace, native or polyfilled, used by these helpers. */
+export interface TemporalLike {
+  ZonedDateTime: { from(item: any, options?: any): { toInstant(): unknown } };
+  PlainDateTime: { from(item: any, options?: any): unknown };
+}
+
+/** The global `Temporal` when the TypeScript lib declares one, otherwise {@link TemporalLike}. */
+type GlobalTemporal = typeof globalThis extends { Temporal: infer T extends TemporalLike }
+  ? T
+  : TemporalLike;
+
+/**
+ * A string accepted by `ISO8601Regex`, or the named groups of a calendar date-time match
+ * from any of this package's regexes (`year` … `second`, `millisecond` or `fraction`,
+ * `timezone`). Week and ordinal dates have no `month` and `day`, and throw.
+ */
+export type TemporalInput = string | { readonly [group: string]: string | undefined };
+
+export interface TemporalOptions<T extends TemporalLike> {
+  /** The `Temporal` namespace to use. Defaults to `globalThis.Temporal`. */
+  Temporal?: T;
+}
+
+/**
+ * Converts a strict ISO 8601 date-time to a `Temporal.ZonedDateTime` in a fixed-offset
+ * time zone: `UTC` for `Z`, or the offset itself (e.g. `+05:30`). Nothing goes
+ * through `Date`.
+ *
+ * @throws {RangeError} If the string is not a valid date-time or has no timezone, or the
+ *   groups are not a valid calendar date-time.
+ * @throws {TypeError} If no `Temporal` implementation is available.
+ * @example
+ * toTemporalZonedDateTime('2025-11-02T10:20:30.123+05:30', { Temporal }).toString();
+ * // '2025-11-02T10:20:30.123+05:30[+05:30]'
+ */
+export declare function toTemporalZonedDateTime<T extends TemporalLike = GlobalTemporal>(
+  input: TemporalInput,
+  options?: TemporalOptions<T>
+): ReturnType<T['ZonedDateTime']['from']>;
+
+/**
+ * Converts a strict ISO 8601 date-time to a `Temporal.Instant`, exact to the
+ * nanosecond.
+ *
+ * @throws {RangeError} If the string is not a valid date-time or has no timezone, or the
+ *   groups are not a valid calendar date-time.
+ * @throws {TypeError} If no `Temporal` implementation is available.
+ * @example
+ * toTemporalInstant('2025-11-02T10:20:30-03:00', { Temporal }).toString();
+ * // '2025-11-02T13:20:30Z'
+ */
+export declare function toTemporalInstant<T extends TemporalLike = GlobalTemporal>(
+  input: TemporalInput,
+  options?: TemporalOptions<T>
+): ReturnType<ReturnType<T['ZonedDateTime']['from']>['toInstant']>;
+
+/**
+ * Converts a strict ISO 8601 date-time to a `Temporal.PlainDateTime`: the wall-clock
+ * fields as written, with the timezone designator dropped.
+ *
+ * @throws {RangeError} If the string is not a valid date-time, or the groups are not a
+ *   valid calendar date-time.
+ * @throws {TypeError} If no `Temporal` implementation is available.
+ * @example
+ * toTemporalPlainDateTime('2025-11-02T10:20:30+05:30', { Temporal }).toString();
+ * // '2025-11-02T10:20:30'
+ */
+export declare function toTemporalPlainDateTime<T extends TemporalLike = GlobalTemporal>(
+  input: TemporalInput,
+  options?: TemporalOptions<T>
+): ReturnType<T['PlainDateTime']['from']>;
@@ -0,0 +1,138 @@
+import { ISO8601Regex, normalizeFraction, validateISO8601 } from '../strict-iso-8601-regex.js';
+
+function resolveTemporal(Temporal) {
+  const resolved = Temporal ?? globalThis.Temporal;
+
+  if (resolved === undefined) {
+    throw new TypeError(
+      'Temporal is not available in this runtime; pass a polyfill as { Temporal }'
+    );
+  }
+
+  return resolved;
+}
+
+// Named groups from a string checked against ISO8601Regex, or the groups as given.
+function toGroups(input) {
+  if (typeof input !== 'string') {
+    if (input === null || typeof input !== 'object') {
+      throw new TypeError('Expected an ISO 8601 string or the named groups of a match');
+    }
+    return input;
+  }
+
+  const match = ISO8601Regex.exec(input);
+
+  if (!match) {
+    throw new RangeError(`Invalid ISO 8601 date-time: ${validateISO8601(input).message}`);
+  }
+
+  return match.groups;
+}
+
+// Leap seconds are clamped to :59, as Temporal does when parsing strings; anything else
+// out of range is rejected by `overflow: 'reject'` rather than constrained. Minutes and
+// seconds omitted at reduced precision are 0.
+function toFields(groups) {
+  for (const name of ['month', 'day']) {
+    if (groups[name] === undefined) {
+      throw new RangeError(
+        `Groups have no ${name}: only calendar date-times (YYYY-MM-DDTHH…) are supported, not week or ordinal dates`
+      );
+    }
+  }
+
+  return {
+    year: Number(groups.year),
+    month: Number(groups.month),
+    day: Number(groups.day),
+    hour: Number(groups.hour),
+    minute: Number(groups.minute ?? 0),
+    second: Math.min(Number(groups.second ?? 0), 59),
+    ...normalizeFraction(groups.fraction ?? groups.millisecond),
+  };
+}
+
+const REJECT = { overflow: 'reject' };
+
+// 'UTC' for Z, otherwise a fixed-offset time zone identifier such as '+05:30'.
+function toTimeZone(timezone) {
+  if (timezone === undefined) {
+    throw new RangeError('Date-time has no timezone designator, so it is not an instant');
+  }
+  if (timezone === 'Z' || timezone === 'z') return 'UTC';
+  return `${timezone.slice(0, 3)}:${timezone.slice(-2)}`;
+}
+
+/**
+ * Converts a strict ISO 8601 date-time to a `Temporal.ZonedDateTime` in a fixed-offset
+ * time zone: `UTC` for `Z`, or the offset itself (e.g. `+05:30`). Fields are passed
+ * to Temporal as integers, so nothing goes through `Date`; for sub-millisecond
+ * precision, pass the groups of a `createISO8601Regex({ fraction })` match.
+ *
+ * @param {string | Record<string, string | undefined>} input - A string accepted by
+ *   `ISO8601Regex`, or the named groups of a match from any of this package's regexes.
+ * @param {{ Temporal?: object }} [options] - `Temporal` defaults to `globalThis.Temporal`;
+ *   pass a polyfill where the runtime has none.
+ * @returns {Temporal.ZonedDateTime}
+ * @throws {RangeError} If the string is not a valid date-time or has no timezone, or the
+ *   groups are not a valid calendar date-time.
+ * @throws {TypeError} If no `Temporal` implementation is available.
+ * @example
+ * import { Temporal } from '@js-temporal/polyfill';
+ *
+ * toTemporalZonedDateTime('2025-11-02T10:20:30.123+05:30', { Temporal }).toString();
+ * // '2025-11-02T10:20:30.123+05:30[+05:30]'
+ */
+export function toTemporalZonedDateTime(input, { Temporal } = {}) {
+  const resolved = resolveTemporal(Temporal);
+  const groups = toGroups(input);
+
+  return resolved.ZonedDateTime.from(
+    {
+      ...toFields(groups),
+      timeZone: toTimeZone(groups.timezone),
+    },
+    REJECT
+  );
+}
+
+/**
+ * Converts a strict ISO 8601 date-time to a `Temporal.Instant`, exact to the
+ * nanosecond.
+ *
+ * @param {string | Record<string, string | undefined>} input - A string accepted by
+ *   `ISO8601Regex`, or the named groups of a match.
+ * @param {{ Temporal?: object }} [options] - See {@link toTemporalZonedDateTime}.
+ * @returns {Temporal.Instant}
+ * @throws {RangeError} If the string is not a valid date-time or has no timezone, or the
+ *   groups are not a valid calendar date-time.
+ * @throws {TypeError} If no `Temporal` implementation is available.
+ * @example
+ * const regex = createISO8601Regex({ fraction: { mode: 'max', digits: 9 } });
+ * const { groups } = regex.exec('2025-11-02T10:20:30.000000001-03:00');
+ *
+ * toTemporalInstant(groups, { Temporal }).toString(); // '2025-11-02T13:20:30.000000001Z'
+ */
+export function toTemporalInstant(input, options) {
+  return toTemporalZonedDateTime(input, options).toInstant();
+}
+
+/**
+ * Converts a strict ISO 8601 date-time to a `Temporal.PlainDateTime`: the wall-clock
+ * fields as written, with the timezone designator dropped.
+ *
+ * @param {string | Record<string, string | undefined>} input - A string accepted by
+ *   `ISO8601Regex`, or the named groups of a match (the timezone may be absent).
+ * @param {{ Temporal?: object }} [options] - See {@link toTemporalZonedDateTime}.
+ * @returns {Temporal.PlainDateTime}
+ * @throws {RangeError} If the string is not a valid date-time, or the groups are not a
+ *   valid calendar date-time.
+ * @throws {TypeError} If no `Temporal` implementation is available.
+ * @example
+ * toTemporalPlainDateTime('2025-11-02T10:20:30+05:30', { Temporal }).toString();
+ * // '2025-11-02T10:20:30'
+ */
+export function toTemporalPlainDateTime(input, { Temporal } = {}) {
+  return resolveTemporal(Temporal).PlainDateTime.from(toFields(toGroups(input)), REJECT);
+}
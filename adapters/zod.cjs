@@ -0,0 +1,51 @@
+const { validateISO8601 } = require('../strict-iso-8601-regex.cjs');
+
+/**
+ * `superRefine` callback that validates a string like `ISO8601Regex` and reports the
+ * reason from {@link validateISO8601} as a custom issue, with its `code` and `index`
+ * in `params`.
+ *
+ * @param {string} value - The value being refined.
+ * @param {{ addIssue: Function }} ctx - The zod refinement context.
+ * @returns {void}
+ * @example
+ * import { z } from 'zod';
+ * import { iso8601Refinement } from 'iso-8601-regex/zod';
+ *
+ * const schema = z.object({ createdAt: z.string().superRefine(iso8601Refinement) });
+ */
+function iso8601Refinement(value, ctx) {
+  const result = validateISO8601(value);
+
+  if (!result.valid) {
+    ctx.addIssue({
+      code: 'custom',
+      message: result.message,
+      params: { code: result.code, index: result.index },
+      input: value,
+    });
+  }
+}
+
+/**
+ * Builds a zod schema for strict ISO 8601 date-times: `z.string()` refined with
+ * {@link iso8601Refinement}. Pass in your own `z` (zod 3.23+ or 4); zod itself is
+ * not a dependency of this package.
+ *
+ * @param {{ string: Function }} z - The zod namespace.
+ * @returns The refined string schema.
+ * @example
+ * import { z } from 'zod';
+ * import { iso8601Schema } from 'iso-8601-regex/zod';
+ *
+ * const result = iso8601Schema(z).safeParse('2025-11-31T10:20:30Z');
+ * result.error.issues[0].message; // 'Day 31 is out of range for month 11 (01–30)'
+ */
+function iso8601Schema(z) {
+  return z.string().superRefine(iso8601Refinement);
+}
+
+module.exports = {
+  iso8601Refinement,
+  iso8601Schema,
+};
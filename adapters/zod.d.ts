@@ -0,0 +1,38 @@
+// zod.d.ts
+
+/** The part of a zod refinement context used by {@link iso8601Refinement}. */
+export interface RefinementContextLike {
+  addIssue(issue: {
+    code: 'custom';
+    message: string;
+    params: { code: string; index: number };
+    input: unknown;
+  }): void;
+}
+
+/**
+ * `superRefine` callback that validates a string like `ISO8601Regex` and reports the
+ * reason from `validateISO8601()` as a custom issue, with its `code` and `index` in
+ * `params`.
+ *
+ * @example
+ * const schema = z.object({ createdAt: z.string().superRefine(iso8601Refinement) });
+ */
+export declare function iso8601Refinement(value: string, ctx: RefinementContextLike): void;
+
+/** The part of the zod namespace used by {@link iso8601Schema}. */
+export interface ZodLike {
+  string(): { superRefine(refinement: (value: string, ctx: any) => void): unknown };
+}
+
+/**
+ * Builds a zod schema for strict ISO 8601 date-times: `z.string()` refined with
+ * {@link iso8601Refinement}. Pass in your own `z` (zod 3.23+ or 4).
+ *
+ * @example
+ * const result = iso8601Schema(z).safeParse('2025-11-31T10:20:30Z');
+ * result.error.issues[0].message; // 'Day 31 is out of range for month 11 (01–30)'
+ */
+export declare function iso8601Schema<Z extends ZodLike>(
+  z: Z
+): ReturnType<ReturnType<Z['string']>['superRefine']>;
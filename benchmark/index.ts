@@ -1,6 +1,6 @@
 import { Bench } from 'tinybench'
 import validator from 'validator'
-import { DateTime } from 'luxon'
+import { DateTime, Duration } from 'luxon'
 import fc from 'fast-check'
 import { z } from 'zod'
 import AjvImport from 'ajv'
@@ -9,7 +9,13 @@ import { parseISO, isValid } from 'date-fns'
 import dayjs from 'dayjs'
 import customParseFormat from 'dayjs/plugin/customParseFormat.js'
 
-import { ISO8601Regex } from '../strict-iso-8601-regex.js'
+import {
+  ISO8601Regex,
+  ISO8601WeekDateRegex,
+  ISO8601DurationRegex,
+  createISO8601Regex,
+  findISO8601,
+} from '../strict-iso-8601-regex.js'
 
 dayjs.extend(customParseFormat)
 
@@ -27,6 +33,8 @@ const zodSchema = z.iso.datetime({
   offset: true,
 })
 
+const zodDurationSchema = z.iso.duration()
+
 const BENCH_OPTIONS = {
   time: 300,
   warmup: true,
@@ -86,6 +94,51 @@ const VALID_DATASET = shuffle(
   ),
 )
 
+/**
+ * WEEK DATE DATASET
+ *
+ * ISO week dates (`YYYY-Www-D`), including week 53 in both 53-week years
+ * (accepted) and 52-week years (rejected), which is the slowest branch of
+ * `ISO8601WeekDateRegex` (year lookbehind).
+ */
+const WEEK_DATE_DATASET = shuffle(
+  Array.from(
+    { length: DATASET_SIZE },
+    (_, i) => {
+      const year = 2000 + (i % 30)
+      const week = String(
+        (i % 53) + 1,
+      ).padStart(2, '0')
+      return `${year}-W${week}-${(i % 7) + 1}`
+    },
+  ),
+)
+
+/**
+ * DURATION DATASET
+ *
+ * Valid durations plus the near-misses a lax pattern lets through
+ * (empty `P`/`PT`, fractions on a non-final component).
+ */
+const DURATION_FORMATS = [
+  (n: number) => `P${n}Y2M10DT2H30M`,
+  (n: number) => `PT${n}H`,
+  (n: number) => `PT${n}.5S`,
+  (n: number) => `P${n}W`,
+  (n: number) => `P${n}.5DT1H`,
+  () => 'PT',
+]
+
+const DURATION_DATASET = shuffle(
+  Array.from(
+    { length: DATASET_SIZE },
+    (_, i) =>
+      DURATION_FORMATS[
+        i % DURATION_FORMATS.length
+      ]!(i % 100),
+  ),
+)
+
 /**
  * INVALID DATASET
  */
@@ -177,6 +230,157 @@ const FUZZY_EVIL_DATASET = shuffle(
   ),
 )
 
+/**
+ * FUZZY / ADVERSARIAL DURATION DATASET
+ */
+const FUZZY_EVIL_DURATION_DATASET = shuffle(
+  fc.sample(
+  fc.oneof(
+    fc.string({
+      minLength: 100,
+      maxLength: 10_000,
+    }),
+
+    /**
+     * Long digit runs without a designator
+     */
+    fc.integer({
+      min: 1000,
+      max: 10_000,
+    }).map(
+      n => `P${'1'.repeat(n)}X`,
+    ),
+
+    /**
+     * Long fractions on a non-final component
+     */
+    fc.integer({
+      min: 1000,
+      max: 10_000,
+    }).map(
+      n => `P1.${'5'.repeat(n)}YT1H`,
+    ),
+
+    /**
+     * Repeated near-matches
+     */
+    fc.integer({
+      min: 10,
+      max: 1000,
+    }).map(
+      n => 'P1Y2M3DT'.repeat(n),
+    ),
+  ),
+  FUZZY_SAMPLE_SIZE,
+  ),
+)
+
+/**
+ * FUZZY / ADVERSARIAL FRACTION DATASET
+ */
+const FUZZY_EVIL_FRACTION_DATASET = shuffle(
+  fc.sample(
+  fc.oneof(
+    /**
+     * Long digit runs with an invalid terminator
+     */
+    fc.integer({
+      min: 1000,
+      max: 10_000,
+    }).map(
+      n => `2025-12-31T23:59:59.${'1'.repeat(n)}X`,
+    ),
+
+    /**
+     * Long digit runs followed by a near-miss offset
+     */
+    fc.integer({
+      min: 1000,
+      max: 10_000,
+    }).map(
+      n => `2025-12-31T23:59:59.${'9'.repeat(n)}+14:01`,
+    ),
+
+    /**
+     * Digit runs broken by random characters
+     */
+    fc
+      .tuple(
+        fc.integer({
+          min: 1000,
+          max: 10_000,
+        }),
+        fc.string({
+          minLength: 1,
+          maxLength: 100,
+        }),
+      )
+      .map(
+        ([n, s]) =>
+          `2025-12-31T23:59:59.${'5'.repeat(n)}${s}${'5'.repeat(n)}Z`,
+      ),
+  ),
+  FUZZY_SAMPLE_SIZE,
+  ),
+)
+
+/**
+ * MULTI-MEGABYTE SCAN DATASET
+ */
+const SCAN_TEXT_SIZE = 4_000_000
+
+function repeatToSize(chunk: string): string {
+  return chunk.repeat(
+    Math.ceil(SCAN_TEXT_SIZE / chunk.length),
+  )
+}
+
+const SCAN_DATASET: [string, string][] = [
+  [
+    'log lines',
+    repeatToSize(
+      fc
+        .sample(
+          fc.tuple(
+            fc.constantFrom(...VALID_DATASET),
+            fc.string({ maxLength: 80 }),
+          ),
+          1_000,
+        )
+        .map(([ts, msg]) => `INFO ${ts} ${msg}\n`)
+        .join(''),
+    ),
+  ],
+  [
+    'random text',
+    repeatToSize(
+      fc
+        .sample(
+          fc.string({ minLength: 100, maxLength: 1_000 }),
+          1_000,
+        )
+        .join(''),
+    ),
+  ],
+  ['digit run', '1'.repeat(SCAN_TEXT_SIZE)],
+  [
+    'repeated near-matches',
+    repeatToSize('2025-12-31T23:59:59+'),
+  ],
+  [
+    'repeated fractions',
+    repeatToSize('2025-12-31T23:59:59.999'),
+  ],
+  [
+    'glued timestamps',
+    repeatToSize('2025-12-31T23:59:59Z'),
+  ],
+]
+
+const UNLIMITED_FRACTION_REGEX = createISO8601Regex({
+  fraction: { mode: 'unlimited' },
+})
+
 let sink = 0
 
 /**
@@ -192,6 +396,46 @@ function benchmarkRegex(
   }
 }
 
+function benchmarkWeekDateRegex(
+  dataset: string[],
+) {
+  for (const date of dataset) {
+    if (ISO8601WeekDateRegex.test(date)) {
+      sink++
+    }
+  }
+}
+
+function benchmarkDurationRegex(
+  dataset: string[],
+) {
+  for (const duration of dataset) {
+    if (ISO8601DurationRegex.test(duration)) {
+      sink++
+    }
+  }
+}
+
+function benchmarkZodDuration(
+  dataset: string[],
+) {
+  for (const duration of dataset) {
+    if (zodDurationSchema.safeParse(duration).success) {
+      sink++
+    }
+  }
+}
+
+function benchmarkLuxonDuration(
+  dataset: string[],
+) {
+  for (const duration of dataset) {
+    if (Duration.fromISO(duration).isValid) {
+      sink++
+    }
+  }
+}
+
 function benchmarkValidator(
   dataset: string[],
 ) {
@@ -277,6 +521,7 @@ function benchmarkDayjs(
 function measureWorstCaseLatency(
   title: string,
   dataset: string[],
+  regex: RegExp = ISO8601Regex,
 ) {
   let max = 0
   let slowest = ''
@@ -284,7 +529,7 @@ function measureWorstCaseLatency(
   for (const input of dataset) {
     const start = performance.now()
 
-    ISO8601Regex.test(input)
+    regex.test(input)
 
     const elapsed =
       performance.now() - start
@@ -307,6 +552,40 @@ function measureWorstCaseLatency(
   )
 }
 
+function measureScanThroughput(
+  title: string,
+  dataset: [string, string][],
+) {
+  console.log(`\n=== ${title} ===`)
+
+  const rows = dataset.map(([name, text]) => {
+    const start = performance.now()
+
+    let matches = 0
+
+    for (const _ of findISO8601(text)) {
+      matches++
+    }
+
+    const elapsed =
+      performance.now() - start
+
+    return {
+      Input: name,
+      MB: (text.length / 1e6).toFixed(1),
+      Matches: matches,
+      'Time (ms)': elapsed.toFixed(1),
+      'MB/s': (
+        text.length /
+        1e6 /
+        (elapsed / 1000)
+      ).toFixed(0),
+    }
+  })
+
+  console.table(rows)
+}
+
 type BenchEntry = {
   name: string
   kind: 'validator' | 'parser'
@@ -356,6 +635,52 @@ const ALL: BenchEntry[] = [
   },
 ]
 
+/**
+ * Week dates are only understood by a subset of the libraries above
+ * (`zod`, `ajv`, `Date.parse` and strict `dayjs` formats reject them
+ * outright), so they are compared separately.
+ */
+const WEEK_DATE: BenchEntry[] = [
+  {
+    name: 'iso-8601-regex',
+    kind: 'validator',
+    fn: benchmarkWeekDateRegex,
+  },
+  {
+    name: 'validator.js',
+    kind: 'validator',
+    fn: benchmarkValidator,
+  },
+  {
+    name: 'luxon',
+    kind: 'parser',
+    fn: benchmarkLuxon,
+  },
+  {
+    name: 'date-fns',
+    kind: 'parser',
+    fn: benchmarkDateFns,
+  },
+]
+
+const DURATION: BenchEntry[] = [
+  {
+    name: 'iso-8601-regex',
+    kind: 'validator',
+    fn: benchmarkDurationRegex,
+  },
+  {
+    name: 'zod',
+    kind: 'validator',
+    fn: benchmarkZodDuration,
+  },
+  {
+    name: 'luxon',
+    kind: 'parser',
+    fn: benchmarkLuxonDuration,
+  },
+]
+
 /**
  * MEMORY MEASUREMENT
  *
@@ -406,10 +731,11 @@ async function runBench(
   title: string,
   dataset: string[],
   iterations = 1,
+  entries: BenchEntry[] = ALL,
 ) {
   const bench = new Bench(BENCH_OPTIONS)
 
-  for (const entry of ALL) {
+  for (const entry of entries) {
     bench.add(entry.name, () => {
       for (
         let i = 0;
@@ -428,7 +754,7 @@ async function runBench(
     string,
     number
   >()
-  for (const entry of ALL) {
+  for (const entry of entries) {
     let total = 0
     for (let i = 0; i < memSamples; i++) {
       total += measureMemory(
@@ -444,7 +770,7 @@ async function runBench(
   }
 
   const kindByName = new Map(
-    ALL.map(e => [e.name, e.kind]),
+    entries.map(e => [e.name, e.kind]),
   )
 
   const rawTable = bench.table()
@@ -489,14 +815,17 @@ async function runBench(
 /**
  * PROPERTY / FUZZ TEST
  */
-function runFuzzPropertyTest() {
+function runFuzzPropertyTest(
+  title: string,
+  regex: RegExp = ISO8601Regex,
+) {
   console.log(
-    '\n=== PROPERTY FUZZ TEST ===\n',
+    `\n=== ${title} ===\n`,
   )
 
   fc.assert(
     fc.property(fc.string(), value => {
-      ISO8601Regex.test(value)
+      regex.test(value)
 
       return true
     }),
@@ -530,11 +859,53 @@ await runBench(
   1,
 )
 
+await runBench(
+  'WEEK DATE INPUTS',
+  WEEK_DATE_DATASET,
+  1,
+  WEEK_DATE,
+)
+
 measureWorstCaseLatency(
   'FUZZY EVIL LATENCY',
   FUZZY_EVIL_DATASET,
 )
 
-runFuzzPropertyTest()
+measureWorstCaseLatency(
+  'FUZZY EVIL LATENCY (WEEK DATE)',
+  FUZZY_EVIL_DATASET,
+  ISO8601WeekDateRegex,
+)
+
+await runBench(
+  'DURATION INPUTS',
+  DURATION_DATASET,
+  1,
+  DURATION,
+)
+
+measureWorstCaseLatency(
+  'FUZZY EVIL LATENCY (DURATION)',
+  FUZZY_EVIL_DURATION_DATASET,
+  ISO8601DurationRegex,
+)
+
+measureWorstCaseLatency(
+  'FUZZY EVIL LATENCY (UNLIMITED FRACTION)',
+  FUZZY_EVIL_FRACTION_DATASET,
+  UNLIMITED_FRACTION_REGEX,
+)
+
+measureScanThroughput(
+  'SCAN THROUGHPUT (findISO8601)',
+  SCAN_DATASET,
+)
+
+runFuzzPropertyTest('PROPERTY FUZZ TEST')
+
+runFuzzPropertyTest(
+  'PROPERTY FUZZ TEST (DURATION)',
+  ISO8601DurationRegex,
+)
 
 console.log('\nsink:', sink)
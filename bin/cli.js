@@ -0,0 +1,380 @@
+import { once } from 'node:events';
+import { createReadStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import {
+  ISO8601BasicRegex,
+  ISO8601ExtendedOrBasicRegex,
+  ISO8601DateRegex,
+  ISO8601WeekDateTimeRegex,
+  ISO8601OrdinalDateTimeRegex,
+  isISO8601WithExpandedYear,
+  isISO8601WithLeapSecond,
+  isISO8601IXDTF,
+  validateISO8601,
+} from '../strict-iso-8601-regex.js';
+
+function describeType(value) {
+  return value === null ? 'null' : typeof value;
+}
+
+// A validator for variants without detailed diagnostics: null when valid, otherwise
+// the reason.
+function matching(name, test) {
+  return (value) => {
+    if (typeof value !== 'string') {
+      return { code: 'INVALID_TYPE', message: `Expected a string, received ${describeType(value)}` };
+    }
+    return test(value) ? null : { code: 'NO_MATCH', message: `Does not match ${name}` };
+  };
+}
+
+const VARIANTS = {
+  iso8601(value) {
+    const result = validateISO8601(value);
+    return result.valid ? null : result;
+  },
+  basic: matching('ISO8601BasicRegex', (value) => ISO8601BasicRegex.test(value)),
+  'extended-or-basic': matching('ISO8601ExtendedOrBasicRegex', (value) =>
+    ISO8601ExtendedOrBasicRegex.test(value)
+  ),
+  date: matching('ISO8601DateRegex', (value) => ISO8601DateRegex.test(value)),
+  'week-date-time': matching('ISO8601WeekDateTimeRegex', (value) =>
+    ISO8601WeekDateTimeRegex.test(value)
+  ),
+  'ordinal-date-time': matching('ISO8601OrdinalDateTimeRegex', (value) =>
+    ISO8601OrdinalDateTimeRegex.test(value)
+  ),
+  'expanded-year': matching('ISO8601ExpandedYearRegex', isISO8601WithExpandedYear),
+  'leap-second': matching('ISO8601LeapSecondRegex', (value) => isISO8601WithLeapSecond(value)),
+  ixdtf: matching('ISO8601IXDTFRegex', (value) => isISO8601IXDTF(value)),
+};
+
+const FORMATS = ['ndjson', 'csv', 'lines'];
+
+const USAGE = `Usage: iso-8601-regex check [options] [file ...]
+
+Validates the date-times in NDJSON, CSV or plain-text files, line by line. Reads
+stdin when no file is given, or for "-".
+
+Options:
+  -f, --field <name>     Field to check; repeat for several. A key or dotted path
+                         in NDJSON, a column name in CSV. Required for both, and
+                         not allowed with lines.
+      --format <format>  ndjson, csv or lines (one value per line). Defaults to the
+                         file extension (.ndjson, .jsonl, .csv), otherwise lines.
+      --variant <name>   What to validate against (default: iso8601):
+                         ${Object.keys(VARIANTS).join(', ')}
+      --json             Print failures and a summary as JSON Lines.
+  -h, --help             Show this help.
+
+Exit status: 0 if every value is valid, 1 if any is invalid, 2 on usage or read errors.
+`;
+
+class UsageError extends Error {}
+
+function formatFromName(name) {
+  if (/\.(?:ndjson|jsonl)$/i.test(name)) return 'ndjson';
+  if (/\.csv$/i.test(name)) return 'csv';
+  return 'lines';
+}
+
+// Longest record, in characters, before an open quoted field is reported as
+// unterminated instead of buffering the rest of the file.
+const MAX_CSV_RECORD_LENGTH = 1024 * 1024;
+
+// Incremental RFC 4180 record parser. `push(line)` returns the record's fields, or null
+// while a quoted field is still open and the next line belongs to it; each line is
+// scanned once. A `"` only opens a quoted field at the start of the field; elsewhere
+// (`5" screen`, or after a closing quote) it is kept as a literal character.
+function createCSVRecordParser() {
+  let fields;
+  let field;
+  let quoted;
+  let fieldStart;
+  let length;
+
+  function reset() {
+    fields = [];
+    field = '';
+    quoted = false;
+    fieldStart = true;
+    length = 0;
+  }
+
+  function push(line) {
+    length += line.length + 1;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (quoted) {
+        if (char !== '"') field += char;
+        else if (line[i + 1] === '"') field += line[i++];
+        else quoted = false;
+      } else if (char === '"' && fieldStart) {
+        quoted = true;
+        fieldStart = false;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+        fieldStart = true;
+      } else {
+        field += char;
+        fieldStart = false;
+      }
+    }
+
+    if (quoted) {
+      field += '\n';
+      return null;
+    }
+
+    fields.push(field);
+    const record = fields;
+    reset();
+    return record;
+  }
+
+  reset();
+
+  return {
+    push,
+    reset,
+    // Characters buffered for the current record.
+    get length() {
+      return length;
+    },
+  };
+}
+
+const MISSING = Symbol('missing');
+
+// Reasons for records that cannot be read, reported like validation failures.
+const INVALID_JSON = { code: 'INVALID_JSON', message: 'Line is not valid JSON' };
+const MISSING_FIELD = { code: 'MISSING_FIELD', message: 'Field is missing' };
+const UNTERMINATED_CSV = { code: 'INVALID_CSV', message: 'Unterminated quoted field' };
+const OVERSIZED_CSV = {
+  code: 'INVALID_CSV',
+  message: `Unterminated quoted field: record exceeds ${MAX_CSV_RECORD_LENGTH} characters`,
+};
+
+function getField(record, field) {
+  if (record !== null && typeof record === 'object' && Object.hasOwn(record, field)) {
+    return record[field];
+  }
+
+  let value = record;
+  for (const key of field.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) return MISSING;
+    value = value[key];
+  }
+  return value;
+}
+
+// Yields [line, field, value] for every value to check, or [line, field, undefined,
+// reason] when a record cannot be read.
+async function* readValues(input, format, fields) {
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  let columns = null;
+  const csv = createCSVRecordParser();
+  let recordLine = 0;
+
+  for await (let line of lines) {
+    lineNumber++;
+
+    if (lineNumber === 1 && line.charCodeAt(0) === 0xfeff) line = line.slice(1);
+
+    if (format === 'lines') {
+      if (line !== '') yield [lineNumber, null, line];
+      continue;
+    }
+
+    if (format === 'ndjson') {
+      if (line.trim() === '') continue;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch {
+        yield [lineNumber, null, undefined, INVALID_JSON];
+        continue;
+      }
+
+      for (const field of fields) {
+        const value = getField(parsed, field);
+        yield value === MISSING
+          ? [lineNumber, field, undefined, MISSING_FIELD]
+          : [lineNumber, field, value];
+      }
+      continue;
+    }
+
+    // CSV: a quoted field may span lines; failures point at the record's first line.
+    if (csv.length === 0) recordLine = lineNumber;
+
+    const values = csv.push(line);
+
+    if (values === null) {
+      if (csv.length > MAX_CSV_RECORD_LENGTH) {
+        csv.reset();
+        yield [recordLine, null, undefined, OVERSIZED_CSV];
+      }
+      continue;
+    }
+
+    if (columns === null) {
+      columns = fields.map((field) => {
+        const index = values.indexOf(field);
+        if (index === -1) throw new UsageError(`Column "${field}" is not in the CSV header`);
+        return index;
+      });
+      continue;
+    }
+
+    if (values.length === 1 && values[0] === '') continue;
+
+    for (let i = 0; i < fields.length; i++) {
+      yield columns[i] < values.length
+        ? [recordLine, fields[i], values[columns[i]]]
+        : [recordLine, fields[i], undefined, MISSING_FIELD];
+    }
+  }
+
+  if (csv.length > 0) {
+    yield [recordLine, null, undefined, UNTERMINATED_CSV];
+  }
+}
+
+async function write(stream, text) {
+  if (!stream.write(text)) await once(stream, 'drain');
+}
+
+function parseOptions(args) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        field: { type: 'string', short: 'f', multiple: true, default: [] },
+        format: { type: 'string' },
+        variant: { type: 'string', default: 'iso8601' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, ...files] = positionals;
+
+  if (command !== 'check') {
+    throw new UsageError(command === undefined ? 'Missing command' : `Unknown command "${command}"`);
+  }
+  if (values.format !== undefined && !FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (!Object.hasOwn(VARIANTS, values.variant)) {
+    throw new UsageError(`--variant must be one of ${Object.keys(VARIANTS).join(', ')}`);
+  }
+
+  return { ...values, files: files.length > 0 ? files : ['-'] };
+}
+
+/**
+ * Runs the `iso-8601-regex` command line with the given arguments.
+ *
+ * @param {string[]} args - Arguments after the executable, e.g. `['check', 'data.csv']`.
+ * @param {{ stdin?: NodeJS.ReadableStream, stdout?: NodeJS.WritableStream, stderr?: NodeJS.WritableStream }} [io]
+ * @returns {Promise<number>} The exit status: 0 if every value is valid, 1 if any is
+ *   invalid, 2 on usage or read errors.
+ * @example
+ * process.exitCode = await run(['check', '--field', 'createdAt', 'data.ndjson']);
+ */
+export async function run(
+  args,
+  { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}
+) {
+  let options;
+
+  try {
+    options = parseOptions(args);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    await write(stderr, `iso-8601-regex: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    await write(stdout, USAGE);
+    return 0;
+  }
+
+  const { field: fields, variant, json } = options;
+  const validate = VARIANTS[variant];
+  let checked = 0;
+  let invalid = 0;
+
+  for (const file of options.files) {
+    const name = file === '-' ? '<stdin>' : file;
+    const format = options.format ?? formatFromName(file);
+
+    if (format !== 'lines' && fields.length === 0) {
+      await write(stderr, `iso-8601-regex: --field is required for ${format} input\n\n${USAGE}`);
+      return 2;
+    }
+    if (format === 'lines' && fields.length > 0) {
+      await write(stderr, `iso-8601-regex: --field does not apply to lines input\n\n${USAGE}`);
+      return 2;
+    }
+
+    const input = file === '-' ? stdin : createReadStream(file);
+
+    try {
+      for await (const [line, field, value, reason] of readValues(input, format, fields)) {
+        const error = reason ?? validate(value);
+
+        checked++;
+        if (error === null) continue;
+        invalid++;
+
+        if (json) {
+          await write(
+            stdout,
+            JSON.stringify({ file: name, line, field, value, code: error.code, message: error.message }) +
+              '\n'
+          );
+        } else {
+          await write(
+            stdout,
+            `${name}:${line}: ${field === null ? '' : `${field}: `}${error.message}` +
+              (value === undefined ? '' : ` (${JSON.stringify(value)})`) +
+              '\n'
+          );
+        }
+      }
+    } catch (error) {
+      await write(
+        stderr,
+        error instanceof UsageError
+          ? `iso-8601-regex: ${name}: ${error.message}\n`
+          : `iso-8601-regex: cannot read ${name}: ${error.message}\n`
+      );
+      return 2;
+    }
+  }
+
+  await write(
+    stdout,
+    json ? JSON.stringify({ checked, invalid }) + '\n' : `${invalid} invalid of ${checked} checked\n`
+  );
+
+  return invalid === 0 ? 0 : 1;
+}
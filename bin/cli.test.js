@@ -0,0 +1,357 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { PassThrough, Readable } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { run } from "./cli.js";
+
+const BIN = fileURLToPath(new URL("./iso-8601-regex.js", import.meta.url));
+
+// Runs the CLI in-process and collects its output.
+async function cli(args, stdinText = "") {
+  const stdin = Readable.from([stdinText]);
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  const out = [];
+  const err = [];
+
+  stdout.on("data", (chunk) => out.push(chunk));
+  stderr.on("data", (chunk) => err.push(chunk));
+
+  const code = await run(args, { stdin, stdout, stderr });
+
+  return { code, stdout: Buffer.concat(out).toString(), stderr: Buffer.concat(err).toString() };
+}
+
+describe("iso-8601-regex check — command line", () => {
+  let dir;
+  const path = (name) => join(dir, name);
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "iso-8601-regex-cli-"));
+
+    await writeFile(
+      path("events.ndjson"),
+      [
+        '{"id":1,"createdAt":"2025-11-02T10:20:30Z"}',
+        '{"id":2,"createdAt":"2025-02-29T10:20:30Z"}',
+        "",
+        '{"id":3,"createdAt":"2024-02-29T23:59:59.999+14:00"}',
+        "{not json",
+        '{"id":5}',
+        '{"id":6,"createdAt":20251102}',
+        '{"id":7,"createdAt":"2025-11-02T10:20:30Z","meta":{"seenAt":"2025-11-02T10:20:30"}}',
+      ].join("\n") + "\n"
+    );
+    await writeFile(
+      path("valid.jsonl"),
+      '{"createdAt":"2025-11-02T10:20:30Z"}\n{"createdAt":"2025-11-02T10:20:30+01:00"}\n'
+    );
+    await writeFile(
+      path("events.csv"),
+      "\uFEFFid,createdAt,note\r\n" +
+        "1,2025-11-02T10:20:30Z,ok\r\n" +
+        '2,"2025-11-31T10:20:30Z","spans\ntwo lines"\r\n' +
+        "3\r\n" +
+        '4,2024-02-29T10:20:30+14:00,"say ""hi"""\r\n' +
+        "5,2025-11-02 10:20:30Z,space\r\n"
+    );
+    await writeFile(path("dates.txt"), "2025-11-02T10:20:30Z\n\n20251102T102030Z\n");
+    await writeFile(path("unterminated.csv"), 'id,createdAt\n1,"2025-11-02T10:20:30Z\n');
+    await writeFile(
+      path("stray-quote.csv"),
+      "id,createdAt,note\n" +
+        '1,2025-11-02T10:20:30Z,5" screen\n' +
+        "2,2025-02-29T10:20:30Z,ok\n" +
+        '3,2025-11-02"T10:20:30Z,x\n' +
+        '4,2025-11-02T10:20:30Z,"say ""hi"""\n'
+    );
+    await writeFile(
+      path("oversized.csv"),
+      'id,createdAt\n1,"' + "x".repeat(1024 * 1024) + "\n2,2025-11-02T10:20:30Z\n"
+    );
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test("reports NDJSON failures with line numbers and reasons", async () => {
+    const { code, stdout } = await cli(["check", "--field", "createdAt", path("events.ndjson")]);
+    const file = path("events.ndjson");
+
+    assert.equal(code, 1);
+    assert.equal(
+      stdout,
+      [
+        `${file}:2: createdAt: February 29 does not exist in 2025, which is not a leap year ("2025-02-29T10:20:30Z")`,
+        `${file}:5: Line is not valid JSON`,
+        `${file}:6: createdAt: Field is missing`,
+        `${file}:7: createdAt: Expected a string, received number (20251102)`,
+        "4 invalid of 7 checked",
+      ].join("\n") + "\n"
+    );
+  });
+
+  test("--json prints JSON Lines with codes and a summary", async () => {
+    const { code, stdout } = await cli([
+      "check",
+      "--json",
+      "-f",
+      "createdAt",
+      "-f",
+      "meta.seenAt",
+      path("events.ndjson"),
+    ]);
+    const lines = stdout.trim().split("\n").map((line) => JSON.parse(line));
+    const file = path("events.ndjson");
+
+    assert.equal(code, 1);
+    assert.deepEqual(lines[0], {
+      file,
+      line: 1,
+      field: "meta.seenAt",
+      code: "MISSING_FIELD",
+      message: "Field is missing",
+    });
+    assert.deepEqual(lines[1], {
+      file,
+      line: 2,
+      field: "createdAt",
+      value: "2025-02-29T10:20:30Z",
+      code: "NOT_LEAP_YEAR",
+      message: "February 29 does not exist in 2025, which is not a leap year",
+    });
+    assert.deepEqual(lines.at(-2), {
+      file,
+      line: 8,
+      field: "meta.seenAt",
+      value: "2025-11-02T10:20:30",
+      code: "MISSING_TIMEZONE",
+      message: "Expected 'Z' or an offset such as +01:00, found end of input",
+    });
+    assert.deepEqual(lines.at(-1), { checked: 13, invalid: 10 });
+  });
+
+  test("exits 0 when every value is valid", async () => {
+    const { code, stdout } = await cli(["check", "-f", "createdAt", path("valid.jsonl")]);
+
+    assert.equal(code, 0);
+    assert.equal(stdout, "0 invalid of 2 checked\n");
+  });
+
+  test("reads CSV by column name, with quotes, multi-line fields and a BOM", async () => {
+    const { code, stdout } = await cli(["check", "--json", "-f", "createdAt", path("events.csv")]);
+    const lines = stdout.trim().split("\n").map((line) => JSON.parse(line));
+
+    assert.equal(code, 1);
+    assert.deepEqual(
+      lines.slice(0, -1).map(({ line, code, value }) => [line, code, value]),
+      [
+        [3, "DAY_OUT_OF_RANGE", "2025-11-31T10:20:30Z"],
+        [5, "MISSING_FIELD", undefined],
+        [7, "INVALID_SEPARATOR", "2025-11-02 10:20:30Z"],
+      ]
+    );
+    assert.deepEqual(lines.at(-1), { checked: 5, invalid: 3 });
+  });
+
+  test("reports unterminated quoted CSV fields", async () => {
+    const { code, stdout } = await cli(["check", "--json", "-f", "createdAt", path("unterminated.csv")]);
+
+    assert.equal(code, 1);
+    assert.equal(JSON.parse(stdout.split("\n")[0]).code, "INVALID_CSV");
+  });
+
+  test("keeps a quote inside an unquoted CSV field as a literal character", async () => {
+    const { code, stdout } = await cli(["check", "--json", "-f", "createdAt", path("stray-quote.csv")]);
+    const lines = stdout.trim().split("\n").map((line) => JSON.parse(line));
+
+    assert.equal(code, 1);
+    assert.deepEqual(
+      lines.slice(0, -1).map(({ line, code, value }) => [line, code, value]),
+      [
+        [3, "NOT_LEAP_YEAR", "2025-02-29T10:20:30Z"],
+        [4, "INVALID_SEPARATOR", '2025-11-02"T10:20:30Z'],
+      ]
+    );
+    assert.deepEqual(lines.at(-1), { checked: 4, invalid: 2 });
+  });
+
+  test("reports a quoted CSV field that grows past the record limit, then carries on", async () => {
+    const { code, stdout } = await cli(["check", "--json", "-f", "createdAt", path("oversized.csv")]);
+    const lines = stdout.trim().split("\n").map((line) => JSON.parse(line));
+
+    assert.equal(code, 1);
+    assert.deepEqual(lines, [
+      {
+        file: path("oversized.csv"),
+        line: 2,
+        field: null,
+        code: "INVALID_CSV",
+        message: "Unterminated quoted field: record exceeds 1048576 characters",
+      },
+      { checked: 2, invalid: 1 },
+    ]);
+  });
+
+  test("checks one value per line for other files and stdin", async (t) => {
+    await t.test("file", async () => {
+      const { code, stdout } = await cli(["check", path("dates.txt")]);
+
+      assert.equal(code, 1);
+      assert.match(stdout, /dates\.txt:3: Expected '-' after the year, found "1" \("20251102T102030Z"\)/);
+    });
+
+    await t.test("stdin", async () => {
+      const { code, stdout } = await cli(["check"], "2025-11-02T10:20:30Z\n2025-13-02T10:20:30Z\n");
+
+      assert.equal(code, 1);
+      assert.match(stdout, /^<stdin>:2: /);
+    });
+
+    await t.test("stdin as -, with --format", async () => {
+      const { code, stdout } = await cli(
+        ["check", "--format", "ndjson", "-f", "at", "-"],
+        '{"at":"2025-11-02T10:20:30Z"}\n'
+      );
+
+      assert.equal(code, 0);
+      assert.equal(stdout, "0 invalid of 1 checked\n");
+    });
+  });
+
+  test("--variant selects the validator", async (t) => {
+    const cases = [
+      ["iso8601", "2025-11-02T10:20:30Z", 0],
+      ["basic", "20251102T102030Z", 0],
+      ["basic", "2025-11-02T10:20:30Z", 1],
+      ["extended-or-basic", "20251102T102030+0100", 0],
+      ["date", "2025-11-02", 0],
+      ["week-date-time", "2025-W44-7T10:20:30Z", 0],
+      ["ordinal-date-time", "2025-306T10:20:30Z", 0],
+      ["expanded-year", "+275760-09-13T00:00:00Z", 0],
+      ["expanded-year", "+275760-09-13T00:00:00.001Z", 1],
+      ["leap-second", "2016-12-31T23:59:60Z", 0],
+      ["ixdtf", "2025-11-02T10:20:30+01:00[Europe/Paris][u-ca=gregory]", 0],
+    ];
+
+    for (const [variant, input, expected] of cases) {
+      await t.test(`${variant}: ${input}`, async () => {
+        const { code, stdout } = await cli(["check", "--variant", variant], input + "\n");
+
+        assert.equal(code, expected, stdout);
+        if (expected === 1) assert.match(stdout, /: Does not match ISO8601\w+Regex/);
+      });
+    }
+  });
+
+  test("exits 2 on usage and read errors", async (t) => {
+    const cases = [
+      ["no command", [], /Missing command/],
+      ["unknown command", ["lint"], /Unknown command "lint"/],
+      ["unknown option", ["check", "--bogus"], /Unknown option '--bogus'/],
+      ["unknown format", ["check", "--format", "xml"], /--format must be one of ndjson, csv, lines/],
+      ["unknown variant", ["check", "--variant", "loose"], /--variant must be one of iso8601, basic/],
+      ["missing --field", ["check", "data.csv"], /--field is required for csv input/],
+      ["--field with --format lines", ["check", "--format", "lines", "-f", "at"], /--field does not apply to lines input/],
+      ["--field with a lines file", ["check", "-f", "at", "dates.txt"], /--field does not apply to lines input/],
+      ["missing file", ["check", "-f", "a", "missing.ndjson"], /cannot read missing\.ndjson: ENOENT/],
+    ];
+
+    for (const [label, args, message] of cases) {
+      await t.test(label, async () => {
+        const { code, stderr } = await cli(args);
+
+        assert.equal(code, 2);
+        assert.match(stderr, message);
+      });
+    }
+
+    await t.test("unknown CSV column", async () => {
+      const { code, stderr } = await cli(["check", "-f", "updatedAt", path("events.csv")]);
+
+      assert.equal(code, 2);
+      assert.match(stderr, /Column "updatedAt" is not in the CSV header/);
+    });
+  });
+
+  test("--help prints usage", async () => {
+    const { code, stdout } = await cli(["--help"]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: iso-8601-regex check \[options\] \[file \.\.\.\]/);
+  });
+
+  test("the bin sets the exit status", async (t) => {
+    const exec = (args) =>
+      new Promise((resolve) => {
+        execFile(process.execPath, [BIN, ...args], (error, stdout) =>
+          resolve({ code: error ? error.code : 0, stdout })
+        );
+      });
+
+    await t.test("valid", async () => {
+      assert.deepEqual(await exec(["check", "-f", "createdAt", path("valid.jsonl")]), {
+        code: 0,
+        stdout: "0 invalid of 2 checked\n",
+      });
+    });
+
+    await t.test("invalid", async () => {
+      assert.equal((await exec(["check", "-f", "createdAt", path("events.ndjson")])).code, 1);
+    });
+
+    await t.test("usage error", async () => {
+      assert.equal((await exec(["lint"])).code, 2);
+    });
+  });
+
+  test("performance: streams 100k NDJSON lines without buffering them", async () => {
+    const lines = 100_000;
+    const stdin = Readable.from(
+      (function* () {
+        for (let i = 0; i < lines; i++) {
+          yield `{"id":${i},"createdAt":"2025-11-02T10:20:${String(i % 60).padStart(2, "0")}Z"}\n`;
+        }
+      })()
+    );
+    const stdout = new PassThrough();
+    let output = "";
+    stdout.on("data", (chunk) => (output += chunk));
+
+    const start = performance.now();
+    const code = await run(["check", "--format", "ndjson", "-f", "createdAt"], { stdin, stdout });
+    const duration = performance.now() - start;
+
+    assert.equal(code, 0);
+    assert.equal(output, `0 invalid of ${lines} checked\n`);
+    assert.ok(duration < 5000, `Checking ${lines} lines took ${duration.toFixed(2)}ms`);
+  });
+
+  test("performance: streams 40k CSV rows after a stray quote in linear time", async () => {
+    const rows = 40_000;
+    const stdin = Readable.from(
+      (function* () {
+        yield 'id,createdAt,note\n1,2025-11-02T10:20:30Z,5" screen\n';
+        for (let i = 2; i < rows; i++) {
+          yield `${i},2025-11-02T10:20:${String(i % 60).padStart(2, "0")}Z,note ${i}\n`;
+        }
+        yield `${rows},2025-02-29T10:20:30Z,last\n`;
+      })()
+    );
+    const stdout = new PassThrough();
+    let output = "";
+    stdout.on("data", (chunk) => (output += chunk));
+
+    const start = performance.now();
+    const code = await run(["check", "--format", "csv", "-f", "createdAt"], { stdin, stdout });
+    const duration = performance.now() - start;
+
+    assert.equal(code, 1);
+    assert.match(output, new RegExp(`^<stdin>:${rows + 1}: createdAt: February 29`));
+    assert.match(output, new RegExp(`1 invalid of ${rows} checked\n$`));
+    assert.ok(duration < 5000, `Checking ${rows} rows took ${duration.toFixed(2)}ms`);
+  });
+});
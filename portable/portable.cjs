@@ -0,0 +1,150 @@
+// Lookbehind-free equivalents of ISO8601Regex, for engines that lack lookbehind:
+// RE2 (Go, BigQuery, Envoy), PCRE-style engines, Python and Safari before 16.4.
+//
+// This module must not import ../strict-iso-8601-regex.js: building the regexes there
+// throws a SyntaxError on engines without lookbehind. The rules below restate the
+// fragments of that module without lookbehind; portable.test.js checks both accept
+// exactly the same strings.
+
+const DIALECTS = ['ecmascript', 'pcre', 'python', 're2'];
+
+// Start and end of the text only. `^` also matches after a newline in Ruby, and `$`
+// before a trailing newline everywhere but ECMAScript and RE2.
+const ANCHORS = {
+  ecmascript: ['^', '$'],
+  pcre: ['\\A', '\\z'],
+  python: ['\\A', '\\Z'],
+  re2: ['^', '$'],
+};
+
+// `[0-9]` rather than `\d`, which matches non-ASCII digits in .NET, and in Python
+// and PCRE in Unicode mode.
+const DIGIT = '[0-9]';
+
+const LEAP_YEAR_SOURCE =
+  '(?:' +
+    DIGIT + '{2}(?:0[48]|[2468][048]|[13579][26])' +                    // yy % 4 == 0 (leap year non-century)
+    '|(?:[02468][048]|[13579][26])00' +                                 // centuries % 400 == 0 (leap year century)
+  ')';
+
+// The year decides Feb 29 and the month decides the last day, so instead of looking
+// back from the day, each branch spells out the components it depends on.
+const DATE_SOURCE =
+  '(?:' +
+    DIGIT + '{4}-' +
+    '(?:' +
+      '(?:0[13578]|1[02])-(?:0[1-9]|[12]' + DIGIT + '|3[01])' +          // 31-day months
+      '|(?:0[469]|11)-(?:0[1-9]|[12]' + DIGIT + '|30)' +                 // 30-day months
+      '|02-(?:0[1-9]|1' + DIGIT + '|2[0-8])' +                          // Feb 01-28
+    ')' +
+    '|' + LEAP_YEAR_SOURCE + '-02-29' +                                 // Feb 29 only in leap years
+  ')';
+
+const HOUR_SOURCE = '(?:[01]' + DIGIT + '|2[0-3])';
+const MINUTE_SOURCE = '[0-5]' + DIGIT;
+const MILLISECOND_SOURCE = DIGIT + '{1,3}';
+
+// Z, or an offset within -12:00…+14:00, as in ISO8601Regex.
+const TIMEZONE_SOURCE =
+  '(?:Z' +
+    '|\\+(?:(?:0' + DIGIT + '|1[0-3]):[0-5]' + DIGIT + '|14:00)' +       // +00:00…+13:59 or +14:00
+    '|-(?:(?:0' + DIGIT + '|1[01]):[0-5]' + DIGIT + '|12:00)' +          // -00:00…-11:59 or -12:00
+  ')';
+
+function group(dialect, name, source) {
+  return (dialect === 're2' || dialect === 'python' ? '(?P<' : '(?<') + name + '>' + source + ')';
+}
+
+/**
+ * Builds a pattern source that accepts exactly the strings {@link ISO8601Regex}
+ * accepts, without lookbehind, for a given regex dialect:
+ *
+ * - `'ecmascript'` (default): JavaScript without lookbehind (Safari before 16.4) and
+ *   JSON Schema `pattern`, which is defined as ECMA-262. Anchored with `^…$`. Validators
+ *   that run `pattern` with another engine may not keep ECMA-262 anchors: Python's
+ *   `re.search` also matches `$` before a trailing newline, so `"…Z\n"` passes there.
+ *   Pair the pattern with a check in that language, e.g. the `'python'` source.
+ * - `'pcre'`: PCRE (PHP, R), Java, .NET and Ruby. Anchored with `\A…\z`, because `$`
+ *   also matches before a trailing newline in these engines, and `^` after any
+ *   newline in Ruby.
+ * - `'python'`: Python `re`. Anchored with `\A…\Z`, `\Z` being the end of the text
+ *   there; groups are written `(?P<name>…)`.
+ * - `'re2'`: RE2 (Go `regexp`, BigQuery, Envoy, ClickHouse), which has no lookaround
+ *   at all. Anchored with `^…$`, which RE2 only matches at the end of the text.
+ *
+ * Digits are written as `[0-9]`, since `\d` matches other scripts' digits in some
+ * engines. Without `groups` (the default) the source has no capturing groups, so it
+ * also works where captures are not allowed or are costly. With `groups: true`, it
+ * captures the named groups of {@link ISO8601Regex} (`year` … `timezone`): the date is
+ * checked by a lookahead, then captured by simple groups. That needs lookahead, so it
+ * is not available for `'re2'`; there, match once for validity and split the string
+ * by position.
+ *
+ * @param {{ dialect?: 'ecmascript' | 'pcre' | 'python' | 're2', groups?: boolean }} [options]
+ * @returns {string}
+ * @throws {TypeError} If an option has an invalid value, or `groups` is requested for `'re2'`.
+ * @example
+ * createISO8601PatternSource({ dialect: 're2' });
+ * // Go: regexp.MustCompile(source).MatchString("2024-02-29T10:20:30Z") → true
+ *
+ * new RegExp(createISO8601PatternSource({ groups: true })).exec('2025-11-02T10:20:30Z').groups.day;
+ * // '02'
+ */
+function createISO8601PatternSource({ dialect = 'ecmascript', groups = false } = {}) {
+  if (!DIALECTS.includes(dialect)) {
+    throw new TypeError(`Invalid dialect: ${dialect} (expected ${DIALECTS.join(', ')})`);
+  }
+  if (typeof groups !== 'boolean') {
+    throw new TypeError(`Invalid groups: ${groups} (expected a boolean)`);
+  }
+  if (groups && dialect === 're2') {
+    throw new TypeError('Invalid groups: true (re2 has no lookahead to check the date before capturing it)');
+  }
+
+  const [start, end] = ANCHORS[dialect];
+
+  if (!groups) {
+    return (
+      start + DATE_SOURCE +
+      'T' + HOUR_SOURCE + ':' + MINUTE_SOURCE + ':' + MINUTE_SOURCE +
+      '(?:\\.' + MILLISECOND_SOURCE + ')?' +
+      TIMEZONE_SOURCE +
+      end
+    );
+  }
+
+  return (
+    start +
+    '(?=' + DATE_SOURCE + 'T)' +                                        // calendar check
+    group(dialect, 'year', DIGIT + '{4}') + '-' +
+    group(dialect, 'month', DIGIT + '{2}') + '-' +
+    group(dialect, 'day', DIGIT + '{2}') +
+    'T' +
+    group(dialect, 'hour', HOUR_SOURCE) + ':' +
+    group(dialect, 'minute', MINUTE_SOURCE) + ':' +
+    group(dialect, 'second', MINUTE_SOURCE) +
+    '(?:\\.' + group(dialect, 'millisecond', MILLISECOND_SOURCE) + ')?' +
+    group(dialect, 'timezone', TIMEZONE_SOURCE) +
+    end
+  );
+}
+
+/**
+ * {@link ISO8601Regex} without lookbehind, for JavaScript engines that lack it (Safari
+ * before 16.4). Accepts the same strings and captures the same named groups; import it
+ * from `iso-8601-regex/portable`, which does not load the main module.
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * import { ISO8601PortableRegex } from 'iso-8601-regex/portable';
+ *
+ * ISO8601PortableRegex.test('2024-02-29T10:20:30Z'); // true
+ * ISO8601PortableRegex.test('2025-02-29T10:20:30Z'); // false
+ */
+const ISO8601PortableRegex = new RegExp(createISO8601PatternSource({ groups: true }));
+
+module.exports = {
+  createISO8601PatternSource,
+  ISO8601PortableRegex,
+};
@@ -0,0 +1,39 @@
+// portable.d.ts
+
+export interface ISO8601PatternSourceOptions {
+  /**
+   * Regex dialect of the source. Default `'ecmascript'`.
+   * - `'ecmascript'`: JavaScript without lookbehind and JSON Schema `pattern`; `^…$`.
+   *   Python validators run `pattern` with `re.search`, where `$` also matches before
+   *   a trailing newline.
+   * - `'pcre'`: PCRE (PHP, R), Java, .NET and Ruby; `\A…\z`.
+   * - `'python'`: Python `re`; `\A…\Z`, groups as `(?P<name>…)`.
+   * - `'re2'`: RE2 (Go, BigQuery, Envoy); `^…$`, no lookaround.
+   */
+  dialect?: 'ecmascript' | 'pcre' | 'python' | 're2';
+  /**
+   * Capture the named groups of `ISO8601Regex`. Default `false`. Needs lookahead, so
+   * it is not available for `'re2'`.
+   */
+  groups?: boolean;
+}
+
+/**
+ * Builds a pattern source that accepts exactly the strings `ISO8601Regex` accepts,
+ * without lookbehind, for the given regex dialect.
+ *
+ * @throws {TypeError} If an option has an invalid value, or `groups` is requested for `'re2'`.
+ * @example
+ * createISO8601PatternSource({ dialect: 're2' });
+ * // Go: regexp.MustCompile(source).MatchString("2024-02-29T10:20:30Z") → true
+ */
+export declare function createISO8601PatternSource(options?: ISO8601PatternSourceOptions): string;
+
+/**
+ * `ISO8601Regex` without lookbehind, for JavaScript engines that lack it (Safari
+ * before 16.4). Accepts the same strings and captures the same named groups.
+ *
+ * @example
+ * ISO8601PortableRegex.test('2024-02-29T10:20:30Z'); // true
+ */
+export declare const ISO8601PortableRegex: RegExp;
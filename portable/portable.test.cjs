@@ -0,0 +1,10 @@
+const assert = require("node:assert/strict");
+const { createISO8601PatternSource, ISO8601PortableRegex } = require("./portable.cjs");
+const { describe } = require("node:test");
+
+describe("createISO8601PatternSource / ISO8601PortableRegex — CommonJS import", () => {
+  assert.ok(ISO8601PortableRegex.test("2024-02-29T10:20:30Z"), "Leap day rejected");
+  assert.ok(!ISO8601PortableRegex.test("2025-02-29T10:20:30Z"), "Invalid date accepted");
+  assert.equal(ISO8601PortableRegex.exec("2025-11-02T10:20:30.123+01:00").groups.millisecond, "123");
+  assert.ok(new RegExp(createISO8601PatternSource({ dialect: "re2" })).test("2025-11-02T10:20:30Z"));
+});
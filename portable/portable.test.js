@@ -0,0 +1,232 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { ISO8601Regex } from "../strict-iso-8601-regex.js";
+import { createISO8601PatternSource, ISO8601PortableRegex } from "./portable.js";
+
+const pad = (value, width = 2) => String(value).padStart(width, "0");
+
+// Every dialect, run as a JavaScript RegExp. Apart from anchors and the `(?P<name>`
+// groups of Python they share one syntax; "sources are anchored to the whole text"
+// checks the anchors that are converted here.
+function toJavaScript(source) {
+  return new RegExp(
+    source.replace(/^\\A/, "^").replace(/\\[zZ]$/, "$").replaceAll("(?P<", "(?<")
+  );
+}
+
+const VARIANTS = {
+  "ecmascript": new RegExp(createISO8601PatternSource()),
+  "ecmascript, groups": ISO8601PortableRegex,
+  "pcre": toJavaScript(createISO8601PatternSource({ dialect: "pcre" })),
+  "pcre, groups": toJavaScript(createISO8601PatternSource({ dialect: "pcre", groups: true })),
+  "python": toJavaScript(createISO8601PatternSource({ dialect: "python" })),
+  "python, groups": toJavaScript(createISO8601PatternSource({ dialect: "python", groups: true })),
+  "re2": new RegExp(createISO8601PatternSource({ dialect: "re2" })),
+};
+
+// Asserts that every variant agrees with ISO8601Regex on each input, including the
+// named groups where a variant captures them.
+function assertSameLanguage(inputs) {
+  let accepted = 0;
+
+  for (const input of inputs) {
+    const expected = ISO8601Regex.exec(input);
+    if (expected) accepted++;
+
+    for (const [name, regex] of Object.entries(VARIANTS)) {
+      const actual = regex.exec(input);
+
+      if ((actual === null) !== (expected === null)) {
+        assert.fail(`${name}: ${JSON.stringify(input)} ${expected ? "rejected" : "accepted"}`);
+      }
+      if (expected && actual.groups) {
+        assert.deepEqual({ ...actual.groups }, { ...expected.groups }, `${name}: ${input}`);
+      }
+    }
+  }
+
+  return accepted;
+}
+
+// Small deterministic PRNG (mulberry32), so fuzz failures can be reproduced.
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+describe("createISO8601PatternSource / ISO8601PortableRegex — lookbehind-free patterns", () => {
+  test("sources use no lookbehind, and re2 no lookaround", () => {
+    for (const dialect of ["ecmascript", "pcre", "python", "re2"]) {
+      for (const groups of dialect === "re2" ? [false] : [false, true]) {
+        const source = createISO8601PatternSource({ dialect, groups });
+
+        assert.doesNotMatch(source, /\(\?<[=!]/, `${dialect}: lookbehind`);
+        assert.doesNotMatch(source, /\\d/, `${dialect}: \\d`);
+        if (!groups) assert.doesNotMatch(source, /\((?!\?:)/, `${dialect}: capturing group`);
+      }
+    }
+
+    assert.doesNotMatch(createISO8601PatternSource({ dialect: "re2" }), /\(\?[=!<]/);
+    assert.match(createISO8601PatternSource({ dialect: "pcre", groups: true }), /\(\?<year>/);
+    assert.match(createISO8601PatternSource({ dialect: "python", groups: true }), /\(\?P<year>/);
+    assert.doesNotMatch(createISO8601PatternSource({ dialect: "python", groups: true }), /\(\?<\w/);
+  });
+
+  test("sources are anchored to the whole text", () => {
+    const anchors = {
+      ecmascript: ["^", "$"],
+      pcre: ["\\A", "\\z"],
+      python: ["\\A", "\\Z"],
+      re2: ["^", "$"],
+    };
+
+    for (const [dialect, [start, end]] of Object.entries(anchors)) {
+      for (const groups of dialect === "re2" ? [false] : [false, true]) {
+        const source = createISO8601PatternSource({ dialect, groups });
+        const label = `${dialect}${groups ? ", groups" : ""}`;
+
+        assert.ok(source.startsWith(start), `${label}: starts with ${source.slice(0, 2)}`);
+        assert.ok(source.endsWith(end) && !source.endsWith("\\" + end), `${label}: ends with ${source.slice(-2)}`);
+        // Anchors only at the ends: `^` or `$` inside would match after or before a
+        // newline in PCRE and Python, and \A, \z or \Z mean nothing in ECMAScript.
+        const inner = source.slice(start.length, -end.length);
+        assert.doesNotMatch(inner, /(?<!\\)[\^$]|\\[AzZ]/, `${label}: anchor inside`);
+      }
+    }
+  });
+
+  test("accepts the same dates as ISO8601Regex: Feb 28–30 of every year 0000–9999", () => {
+    const inputs = [];
+
+    for (let year = 0; year <= 9999; year++) {
+      for (const day of ["28", "29", "30"]) {
+        inputs.push(`${pad(year, 4)}-02-${day}T00:00:00Z`);
+      }
+    }
+
+    assert.equal(assertSameLanguage(inputs), 10000 + 2425);
+  });
+
+  test("accepts the same dates as ISO8601Regex: every month 00–13 and day 00–32", () => {
+    const years = [];
+    for (const start of [0, 96, 396, 1896, 1996, 2096, 9995]) {
+      for (let year = start; year <= Math.min(start + 9, 9999); year++) years.push(year);
+    }
+    for (let year = 2006; year <= 2030; year++) years.push(year);
+
+    const inputs = [];
+    for (const year of years) {
+      for (let month = 0; month <= 13; month++) {
+        for (let day = 0; day <= 32; day++) {
+          inputs.push(`${pad(year, 4)}-${pad(month)}-${pad(day)}T12:00:00Z`);
+        }
+      }
+    }
+
+    assert.ok(assertSameLanguage(inputs) > 0);
+  });
+
+  test("accepts the same times as ISO8601Regex: every hour 00–24, minute and second 00–60", () => {
+    const inputs = [];
+
+    for (let hour = 0; hour <= 24; hour++) {
+      for (let minute = 0; minute <= 60; minute++) {
+        for (let second = 0; second <= 60; second++) {
+          inputs.push(`2025-11-02T${pad(hour)}:${pad(minute)}:${pad(second)}Z`);
+        }
+      }
+    }
+
+    assert.equal(assertSameLanguage(inputs), 24 * 60 * 60);
+  });
+
+  test("accepts the same fractions and offsets as ISO8601Regex", () => {
+    const inputs = [];
+
+    for (const fraction of ["", ".", ".0", ".5", ".12", ".123", ".1234", ".12a", "..1", ",123"]) {
+      for (const timezone of ["Z", "z", "", "+", "-", "Z+01:00", "UTC", "+0100", "+01", "+01:0"]) {
+        inputs.push(`2025-11-02T10:20:30${fraction}${timezone}`);
+      }
+    }
+    for (const sign of ["+", "-", "−"]) {
+      for (let hour = 0; hour <= 24; hour++) {
+        for (let minute = 0; minute <= 60; minute++) {
+          inputs.push(`2025-11-02T10:20:30.123${sign}${pad(hour)}:${pad(minute)}`);
+        }
+      }
+    }
+
+    assert.ok(assertSameLanguage(inputs) > 0);
+  });
+
+  test("agrees with ISO8601Regex on fuzzed inputs", () => {
+    const next = random(8601);
+    const pick = (items) => items[Math.floor(next() * items.length)];
+    const alphabet = "0123456789-:.TZzt+ \n٠０x";
+    const seeds = [
+      "2025-11-02T10:20:30Z",
+      "2024-02-29T23:59:59.999+14:00",
+      "2000-02-29T00:00:00-12:00",
+      "1900-02-28T12:34:56.7-00:00",
+      "0000-12-31T09:08:07.06+05:45",
+      "9999-04-30T23:59:59-11:59",
+    ];
+    const mutations = [
+      (s, i) => s.slice(0, i) + pick(alphabet) + s.slice(i + 1), // replace
+      (s, i) => s.slice(0, i) + pick(alphabet) + s.slice(i), // insert
+      (s, i) => s.slice(0, i) + s.slice(i + 1), // delete
+      (s, i) => s.slice(0, i), // truncate
+      (s, i) => s.slice(0, i) + s.slice(i, i + 3) + s.slice(i), // repeat
+      (s) => s + pick(["\n", "\r\n", " ", "Z", "0"]), // trailing junk
+      (s) => pick(["\n", " ", "+", "0"]) + s, // leading junk
+    ];
+
+    const inputs = [];
+    for (let i = 0; i < 60000; i++) {
+      let input = pick(seeds);
+      const rounds = 1 + Math.floor(next() * 3);
+      for (let round = 0; round < rounds; round++) {
+        input = pick(mutations)(input, Math.floor(next() * input.length));
+      }
+      inputs.push(input);
+    }
+
+    assert.ok(assertSameLanguage(inputs) > 0);
+  });
+
+  test("rejects invalid options", () => {
+    assert.throws(() => createISO8601PatternSource({ dialect: "posix" }), {
+      name: "TypeError",
+      message: "Invalid dialect: posix (expected ecmascript, pcre, python, re2)",
+    });
+    assert.throws(() => createISO8601PatternSource({ groups: "yes" }), TypeError);
+    assert.throws(() => createISO8601PatternSource({ dialect: "re2", groups: true }), TypeError);
+  });
+
+  test("readme examples should all pass", () => {
+    assert.ok(ISO8601PortableRegex.test("2024-02-29T10:20:30Z"));
+    assert.ok(!ISO8601PortableRegex.test("2025-02-29T10:20:30Z"));
+    assert.equal(
+      new RegExp(createISO8601PatternSource({ groups: true })).exec("2025-11-02T10:20:30Z").groups.day,
+      "02"
+    );
+    assert.ok(new RegExp(createISO8601PatternSource({ dialect: "re2" })).test("2024-02-29T10:20:30Z"));
+  });
+
+  test("performance: tests 10000 date-times in under 100ms", () => {
+    const inputs = Array.from(
+      { length: 10000 },
+      (_, i) => `2025-${pad(1 + (i % 12))}-${pad(1 + (i % 28))}T10:20:${pad(i % 60)}.${i % 1000}+05:30`
+    );
+
+    const start = performance.now();
+    for (const input of inputs) ISO8601PortableRegex.test(input);
+    const duration = performance.now() - start;
+
+    assert.ok(duration < 100, `10000 tests took ${duration.toFixed(2)}ms`);
+  });
+});
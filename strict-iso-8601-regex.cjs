@@ -1,3 +1,198 @@
+// Shared pattern fragments. Every exported regex is assembled from these, so the
+// calendar, time and offset rules only live in one place.
+
+const LEAP_YEAR_SOURCE =
+  '(?:\\d{2}(?:0[48]|[2468][048]|[13579][26]))' +                         // yy % 4 == 0 (leap year non-century)
+  '|(?:(?:[02468][048]|[13579][26])00)';                                  // centuries % 400 == 0 (leap year century)
+
+// Signed 6-digit years within the ECMAScript time-value range (-271821…+275760), or
+// 4-digit years. `-000000` is rejected, as in ECMAScript. The day lookbehinds only
+// look at the last 4 digits, which decide leap years for negative years too.
+const EXPANDED_YEAR_SOURCE =
+  '\\d{4}' +
+  '|\\+(?:[01]\\d{5}|2[0-6]\\d{4}|27[0-4]\\d{3}|275[0-6]\\d{2}|2757[0-5]\\d|275760)' +  // +000000…+275760
+  '|-(?!0{6})(?:[01]\\d{5}|2[0-6]\\d{4}|270\\d{3}|271[0-7]\\d{2}|2718[01]\\d|27182[01])'; // -000001…-271821
+
+// `separator` is the pattern source between date components: '-' (extended format),
+// '' (basic format) or '-?' (either, see ISO8601ExtendedOrBasicRegex).
+// `expandedYear` also allows the signed 6-digit years of EXPANDED_YEAR_SOURCE.
+function dateSource(separator, { expandedYear = false } = {}) {
+  return (
+    '(?<year>' + (expandedYear ? EXPANDED_YEAR_SOURCE : '\\d{4}') + ')' + separator +
+    '(?<month>(?:0[1-9]|1[0-2]))' + separator +
+    '(?<day>' +
+      '(?:' +
+        '(?<=\\d{4}' + separator + '(?:01|03|05|07|08|10|12)' + separator + ')(?:0[1-9]|[12]\\d|3[01])|' + // 31-day
+        '(?<=\\d{4}' + separator + '(?:04|06|09|11)' + separator + ')(?:0[1-9]|[12]\\d|30)|' +             // 30-day
+        '(?<=\\d{4}' + separator + '02' + separator + ')(?:0[1-9]|1\\d|2[0-8])|' +                         // Feb 01-28
+        '(?<=(' + LEAP_YEAR_SOURCE + ')' + separator + '02' + separator + ')29' +                            // Feb 29 only if preceding matches leap year
+      ')' +
+    ')'
+  );
+}
+
+const DATE_SOURCE = dateSource('-');
+
+const ORDINAL_DATE_SOURCE =
+  '(?<year>\\d{4})-' +
+  '(?<ordinalDay>' +
+    '(?:00[1-9]|0[1-9]\\d|[12]\\d{2}|3[0-5]\\d|36[0-5])|' +               // 001-365
+    '(?<=(?:' + LEAP_YEAR_SOURCE + ')-)366' +                             // 366 only if preceding matches leap year
+  ')';
+
+// ISO week-numbering years with 53 weeks are those starting on a Thursday, or leap
+// years starting on a Wednesday. The pattern repeats every 400 years, so they are
+// listed as `yy` values per century class (century % 4), like the Feb 29 rule above.
+const WEEK_DATE_SOURCE =
+  '(?<year>\\d{4})-W' +
+  '(?<week>' +
+    '(?:0[1-9]|[1-4]\\d|5[0-2])|' +                                     // W01-W52
+    '(?<=(?:' +
+      '(?:[02468][048]|[13579][26])(?:0[49]|15|2[06]|3[27]|4[38]|54|6[05]|7[16]|8[28]|9[39])|' + // century % 4 == 0
+      '(?:[02468][159]|[13579][37])(?:05|1[16]|2[28]|3[39]|44|5[06]|6[17]|7[28]|8[49]|95)|' +   // century % 4 == 1
+      '(?:[02468][26]|[13579][048])(?:0[17]|1[28]|2[49]|35|4[06]|5[27]|6[38]|74|8[05]|9[16])|' + // century % 4 == 2
+      '(?:[02468][37]|[13579][159])(?:0[38]|14|2[05]|3[16]|4[28]|5[39]|64|7[06]|8[17]|9[28])' +  // century % 4 == 3
+    ')-W)53' +                                                          // W53 only in 53-week years
+  ')-' +
+  '(?<weekday>[1-7])';                                                  // Monday (1) … Sunday (7)
+
+const MILLISECOND_SOURCE = '(?:\\.(?<millisecond>\\d{1,3}))?';  // optional .sss
+
+// `separator` is the pattern source between time components: ':' (extended format),
+// '' (basic format) or ':?' (either). `leapSecond` also allows second 60, and
+// `fraction` replaces the default millisecond part (see fractionSource).
+// `precision` is the coarsest precision accepted: 'minute' makes the seconds (and
+// their fraction) optional, 'hour' the minutes as well. Omitted groups are undefined.
+function timeSource(
+  separator,
+  { leapSecond = false, fraction = MILLISECOND_SOURCE, precision = 'second' } = {}
+) {
+  const second = separator + '(?<second>[0-5]\\d' + (leapSecond ? '|60' : '') + ')' + fraction;
+  const minute =
+    separator + '(?<minute>[0-5]\\d)' + (precision === 'second' ? second : '(?:' + second + ')?');
+
+  return '(?<hour>(?:[01]\\d|2[0-3]))' + (precision === 'hour' ? '(?:' + minute + ')?' : minute);
+}
+
+// Fractional seconds captured as `fraction`:
+// - exact: required, exactly `digits` digits
+// - max: optional, 1 to `digits` digits
+// - unlimited: optional, any number of digits. `\d+` is always followed by the
+//   timezone, which cannot start with a digit, so a failed match backtracks at most
+//   once per digit.
+function fractionSource({ mode, digits }) {
+  if (mode === 'exact') return '\\.(?<fraction>\\d{' + digits + '})';
+  if (mode === 'max') return '(?:\\.(?<fraction>\\d{1,' + digits + '}))?';
+  return '(?:\\.(?<fraction>\\d+))?';
+}
+
+// `utc` is the pattern source for UTC ('Z', or '[Zz]' when lowercase is allowed).
+// `unknownOffset: false` rejects -00:00 (RFC 3339 "unknown local offset"), and
+// `range: 'rfc3339'` widens offsets to the full ±00:00…±23:59 grammar of RFC 3339.
+// `offsets: false` drops numeric offsets and `utc: null` drops UTC.
+function timezoneSource(
+  separator,
+  { utc = 'Z', offsets = true, unknownOffset = true, range = 'real-world' } = {}
+) {
+  const minus = unknownOffset ? '-' : '-(?!00' + separator + '00)';
+  const offsetSource =
+    range === 'rfc3339'
+      ? '\\+(?:[01]\\d|2[0-3])' + separator + '[0-5]\\d' +                         // +00:00…+23:59
+        '|' +
+        minus + '(?:[01]\\d|2[0-3])' + separator + '[0-5]\\d'                         // -00:00…-23:59
+      : '\\+(?:(?:0\\d|1[0-3])' + separator + '[0-5]\\d|14' + separator + '00)' +     // +00:00…+13:59 or +14:00
+        '|' +
+        minus + '(?:(?:0\\d|1[01])' + separator + '[0-5]\\d|12' + separator + '00)';     // -00:00…-11:59 or -12:00
+
+  if (!offsets) return '(?<timezone>' + utc + ')';
+  if (utc === null) return '(?<timezone>' + offsetSource + ')';
+
+  return (
+    '(?<timezone>' +
+      utc +                                           // UTC
+      '|' +
+      '(?:' +
+        offsetSource +
+      ')' +
+    ')'
+  );
+}
+
+const TIME_SOURCE = timeSource(':');
+
+const TIMEZONE_SOURCE = timezoneSource(':');
+
+// Shape-only lookaheads for ISO8601ExtendedOrBasicRegex: the whole string must be in
+// one format, so the optional separators of the strict pattern cannot be mixed.
+const EXTENDED_SHAPE_SOURCE =
+  '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(?:\\.\\d+)?(?:Z|[+-]\\d{2}:\\d{2})$';
+
+const BASIC_SHAPE_SOURCE =
+  '\\d{8}T\\d{6}(?:\\.\\d+)?(?:Z|[+-]\\d{4})$';
+
+// Calendar helpers, mirroring the rules encoded in the fragments above.
+
+const DAYS_BEFORE_MONTH = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(year, month) {
+  if (month === 2) return isLeapYear(year) ? 29 : 28;
+  return month === 4 || month === 6 || month === 9 || month === 11 ? 30 : 31;
+}
+
+function isYear(year) {
+  return Number.isInteger(year) && year >= 0 && year <= 9999;
+}
+
+// Days since 1970-01-01 in the proleptic Gregorian calendar, without going through
+// `Date` (which maps years 0–99 to 1900–1999).
+function daysFromCivil(year, month, day) {
+  const y = month <= 2 ? year - 1 : year;
+  const era = Math.floor(y / 400);
+  const yearOfEra = y - era * 400;
+  const dayOfYear = Math.floor((153 * (month + (month > 2 ? -3 : 9)) + 2) / 5) + day - 1;
+  const dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear;
+  return era * 146097 + dayOfEra - 719468;
+}
+
+// Inverse of daysFromCivil.
+function civilFromDays(days) {
+  const z = days + 719468;
+  const era = Math.floor(z / 146097);
+  const dayOfEra = z - era * 146097;
+  const yearOfEra = Math.floor(
+    (dayOfEra - Math.floor(dayOfEra / 1460) + Math.floor(dayOfEra / 36524) - Math.floor(dayOfEra / 146096)) / 365
+  );
+  const dayOfYear = dayOfEra - (365 * yearOfEra + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100));
+  const mp = Math.floor((5 * dayOfYear + 2) / 153);
+  const day = dayOfYear - Math.floor((153 * mp + 2) / 5) + 1;
+  const month = mp < 10 ? mp + 3 : mp - 9;
+
+  return { year: yearOfEra + era * 400 + (month <= 2 ? 1 : 0), month, day };
+}
+
+// 'Z', '±HH:MM' or '±HHMM' → minutes east of UTC.
+function timezoneOffsetMinutes(timezone) {
+  if (timezone === 'Z' || timezone === 'z') return 0;
+  const minutes = Number(timezone.slice(1, 3)) * 60 + Number(timezone.slice(-2));
+  // -00:00 is UTC as well; avoid returning -0.
+  return timezone[0] === '-' && minutes !== 0 ? -minutes : minutes;
+}
+
+// Named groups of a date-time match → milliseconds since the Unix epoch. Minutes and
+// seconds omitted at reduced precision count as 0.
+function groupsToEpochMilliseconds(groups) {
+  const days = daysFromCivil(Number(groups.year), Number(groups.month), Number(groups.day));
+  const { millisecond } = normalizeFraction(groups.fraction ?? groups.millisecond);
+  const minutes =
+    Number(groups.hour) * 60 + Number(groups.minute ?? 0) - timezoneOffsetMinutes(groups.timezone);
+
+  return (days * 1440 + minutes) * 60000 + Number(groups.second ?? 0) * 1000 + millisecond;
+}
+
 /**
  * Strict regular expression for validating complete ISO 8601 date-time strings.
  *
@@ -45,37 +240,2198 @@
  * ISO8601Regex.test('2025-04-31T12:00:00Z'); // false
  */
 const ISO8601Regex = new RegExp(
+  '^' + DATE_SOURCE + 'T' + TIME_SOURCE + TIMEZONE_SOURCE + '$'
+);
+
+/**
+ * Strict regular expression for validating ISO 8601 date-time strings in basic
+ * (compact) format, without `-` and `:` separators.
+ *
+ * Enforces the same calendar correctness, time rules, −12:00…+14:00 offset bounds and
+ * named groups as {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   YYYYMMDDTHHmmss(.SSS)?(Z|±HHMM)
+ *
+ * Valid examples:
+ * - "20251102T102030Z"
+ * - "20251102T102030.123+0530"            // With milliseconds and offset
+ * - "20240229T120000Z"                    // Leap year (Feb 29 allowed)
+ *
+ * Invalid examples:
+ * - "2025-11-02T10:20:30Z"                // Extended format
+ * - "20250431T120000Z"                    // Invalid day for April
+ * - "20251102T102030+05:30"               // Extended offset
+ * - "20251102T102030+1500"                // Offset out of range
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601BasicRegex.test('20251102T102030Z'); // true
+ * ISO8601BasicRegex.test('20250229T102030Z'); // false
+ */
+const ISO8601BasicRegex = new RegExp(
+  '^' + dateSource('') + 'T' + timeSource('') + timezoneSource('') + '$'
+);
+
+/**
+ * Strict regular expression accepting ISO 8601 date-time strings in either extended
+ * (`2025-11-02T10:20:30Z`) or basic (`20251102T102030Z`) format.
+ *
+ * The whole string must use one format: mixed separators such as
+ * `2025-11-02T102030Z` are rejected. Calendar, time and offset rules and the named
+ * groups are the same as {@link ISO8601Regex}.
+ *
+ * Valid examples:
+ * - "2025-11-02T10:20:30+05:30"
+ * - "20251102T102030+0530"
+ *
+ * Invalid examples:
+ * - "2025-11-02T102030Z"                  // Extended date, basic time
+ * - "20251102T10:20:30Z"                  // Basic date, extended time
+ * - "2025-11-02T10:20:30+0530"            // Basic offset in extended string
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601ExtendedOrBasicRegex.test('20251102T102030Z'); // true
+ * ISO8601ExtendedOrBasicRegex.test('2025-11-02T102030Z'); // false
+ */
+const ISO8601ExtendedOrBasicRegex = new RegExp(
   '^' +
-    '(?<year>\\d{4})-' +
-    '(?<month>(?:0[1-9]|1[0-2]))-' +
-    '(?<day>' +
-      '(?:' +
-        '(?<=\\d{4}-(?:01|03|05|07|08|10|12)-)(?:0[1-9]|[12]\\d|3[01])|' + // 31-day
-        '(?<=\\d{4}-(?:04|06|09|11)-)(?:0[1-9]|[12]\\d|30)|' +             // 30-day
-        '(?<=\\d{4}-02-)(?:0[1-9]|1\\d|2[0-8])|' +                         // Feb 01-28
-        '(?<=(' +
-          '(?:\\d{2}(?:0[48]|[2468][048]|[13579][26]))' +                 // yy % 4 == 0 (leap year non-century)
-          '|(?:(?:[02468][048]|[13579][26])00)' +                         // centuries % 400 == 0 (leap year century)
-        ')-02-)29' +                                                      // Feb 29 only if preceding matches leap year
-      ')' +
-    ')' +
-    'T' +
-    '(?<hour>(?:[01]\\d|2[0-3]))' +
-    ':' +
-    '(?<minute>[0-5]\\d)' +
-    ':' +
-    '(?<second>[0-5]\\d)' +
-    '(?:\\.(?<millisecond>\\d{1,3}))?' +              // optional .sss
-    '(?<timezone>' +
-      'Z' +                                           // UTC
+    '(?=' + EXTENDED_SHAPE_SOURCE + '|' + BASIC_SHAPE_SOURCE + ')' +
+    dateSource('-?') + 'T' + timeSource(':?') + timezoneSource(':?') +
+  '$'
+);
+
+/**
+ * Strict regular expression for validating ISO 8601 calendar dates without a time
+ * (RFC 3339 `full-date`).
+ *
+ * Shares the month/day ranges and leap-year rules of {@link ISO8601Regex}, and exposes
+ * the same `year`, `month` and `day` named groups.
+ *
+ * Supported format:
+ *   YYYY-MM-DD
+ *
+ * Valid examples:
+ * - "2025-11-02"
+ * - "2024-02-29"                          // Leap year (Feb 29 allowed)
+ *
+ * Invalid examples:
+ * - "2025-04-31"                          // Invalid day for April
+ * - "1900-02-29"                          // 1900 not a leap year
+ * - "2025-11-02T10:20:30Z"                // Time is not allowed
+ * - "20251102"                            // Basic format not supported
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601DateRegex.test('2024-02-29'); // true
+ * ISO8601DateRegex.test('2025-02-29'); // false
+ */
+const ISO8601DateRegex = new RegExp(
+  '^' + DATE_SOURCE + '$'
+);
+
+/**
+ * Strict regular expression for validating ISO 8601 times of day without an offset
+ * (RFC 3339 `partial-time`), such as local wall-clock times.
+ *
+ * Uses the same hour/minute/second/millisecond rules and named groups as
+ * {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   HH:mm:ss(.SSS)?
+ *
+ * Valid examples:
+ * - "09:30:00"
+ * - "23:59:59.999"                        // With milliseconds
+ *
+ * Invalid examples:
+ * - "09:30:00Z"                           // Offset is not allowed
+ * - "24:00:00"                            // Invalid hour
+ * - "09:30"                               // Missing seconds
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601PartialTimeRegex.test('09:30:00'); // true
+ * ISO8601PartialTimeRegex.test('09:30:00Z'); // false
+ */
+const ISO8601PartialTimeRegex = new RegExp(
+  '^' + TIME_SOURCE + '$'
+);
+
+/**
+ * Strict regular expression for validating ISO 8601 times of day with a UTC designator
+ * or offset (RFC 3339 `full-time`).
+ *
+ * Uses the same time rules, −12:00…+14:00 offset bounds and named groups as
+ * {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   HH:mm:ss(.SSS)?(Z|±HH:MM)
+ *
+ * Valid examples:
+ * - "09:30:00+01:00"
+ * - "10:20:30.123Z"                       // With milliseconds
+ *
+ * Invalid examples:
+ * - "09:30:00"                            // Missing timezone
+ * - "09:30:00+15:00"                      // Offset out of range
+ * - "2025-11-02T09:30:00Z"                // Date is not allowed
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601FullTimeRegex.test('09:30:00+01:00'); // true
+ * ISO8601FullTimeRegex.test('09:30:00'); // false
+ */
+const ISO8601FullTimeRegex = new RegExp(
+  '^' + TIME_SOURCE + TIMEZONE_SOURCE + '$'
+);
+
+/**
+ * Strict regular expression for validating ISO 8601 week dates.
+ *
+ * Week 53 is only accepted in ISO week-numbering years that actually have 53 weeks
+ * (years starting on a Thursday, or leap years starting on a Wednesday), the same way
+ * {@link ISO8601Regex} only accepts Feb 29 in leap years.
+ *
+ * Supported format:
+ *   YYYY-Www-D
+ *
+ * Valid examples:
+ * - "2025-W45-7"                          // Sunday of week 45
+ * - "2026-W53-4"                          // 2026 has 53 ISO weeks
+ *
+ * Invalid examples:
+ * - "2025-W53-1"                          // 2025 only has 52 ISO weeks
+ * - "2025-W00-1"                          // Invalid week
+ * - "2025-W45-8"                          // Invalid weekday
+ * - "2025W457"                            // Basic format not supported
+ *
+ * ### Named groups
+ * - `year`: ISO week-numbering year (may differ from the calendar year near January 1)
+ * - `week`: 01–53
+ * - `weekday`: 1 (Monday) – 7 (Sunday)
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601WeekDateRegex.test('2026-W53-4'); // true
+ * ISO8601WeekDateRegex.test('2025-W53-4'); // false
+ */
+const ISO8601WeekDateRegex = new RegExp(
+  '^' + WEEK_DATE_SOURCE + '$'
+);
+
+/**
+ * Strict regular expression for validating ISO 8601 week date-time strings.
+ *
+ * Combines the week-date rules of {@link ISO8601WeekDateRegex} with the time and
+ * timezone rules of {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   YYYY-Www-DTHH:mm:ss(.SSS)?(Z|±HH:MM)
+ *
+ * Valid examples:
+ * - "2026-W53-4T10:20:30Z"
+ * - "2025-W01-1T00:00:00.000+01:00"
+ *
+ * Invalid examples:
+ * - "2025-W53-4T10:20:30Z"                // 2025 only has 52 ISO weeks
+ * - "2026-W53-4T10:20:30"                 // Missing timezone
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601WeekDateTimeRegex.test('2026-W53-4T10:20:30Z'); // true
+ * ISO8601WeekDateTimeRegex.test('2025-W53-4T10:20:30Z'); // false
+ */
+const ISO8601WeekDateTimeRegex = new RegExp(
+  '^' + WEEK_DATE_SOURCE + 'T' + TIME_SOURCE + TIMEZONE_SOURCE + '$'
+);
+
+/**
+ * Strict regular expression for validating ISO 8601 ordinal dates.
+ *
+ * Day 366 is only accepted in leap years, using the same Gregorian rules as the Feb 29
+ * check of {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   YYYY-DDD
+ *
+ * Valid examples:
+ * - "2025-032"                            // February 1
+ * - "2024-366"                            // Leap year (day 366 allowed)
+ *
+ * Invalid examples:
+ * - "2025-366"                            // 2025 not a leap year
+ * - "2025-000"                            // Invalid day
+ * - "2025-32"                             // Day must have 3 digits
+ *
+ * ### Named groups
+ * - `year`: 0000–9999
+ * - `ordinalDay`: 001–366
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601OrdinalDateRegex.test('2024-366'); // true
+ * ISO8601OrdinalDateRegex.test('2025-366'); // false
+ */
+const ISO8601OrdinalDateRegex = new RegExp(
+  '^' + ORDINAL_DATE_SOURCE + '$'
+);
+
+/**
+ * Strict regular expression for validating ISO 8601 ordinal date-time strings.
+ *
+ * Combines the ordinal-date rules of {@link ISO8601OrdinalDateRegex} with the time and
+ * timezone rules of {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   YYYY-DDDTHH:mm:ss(.SSS)?(Z|±HH:MM)
+ *
+ * Valid examples:
+ * - "2025-032T10:00:00Z"
+ * - "2024-366T23:59:59.999+14:00"
+ *
+ * Invalid examples:
+ * - "2025-366T10:00:00Z"                  // 2025 not a leap year
+ * - "2025-032T10:00:00"                   // Missing timezone
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601OrdinalDateTimeRegex.test('2025-032T10:00:00Z'); // true
+ * ISO8601OrdinalDateTimeRegex.test('2025-366T10:00:00Z'); // false
+ */
+const ISO8601OrdinalDateTimeRegex = new RegExp(
+  '^' + ORDINAL_DATE_SOURCE + 'T' + TIME_SOURCE + TIMEZONE_SOURCE + '$'
+);
+
+/**
+ * Converts an ordinal date (year + day of year) into a calendar date.
+ *
+ * @param {number} year - Year, 0–9999.
+ * @param {number} ordinalDay - Day of the year, 1–365 (366 in leap years).
+ * @returns {{ year: number, month: number, day: number }}
+ * @throws {RangeError} If the year or day of the year is out of range.
+ * @example
+ * ordinalToCalendarDate(2024, 366); // { year: 2024, month: 12, day: 31 }
+ * ordinalToCalendarDate(2025, 32);  // { year: 2025, month: 2, day: 1 }
+ */
+function ordinalToCalendarDate(year, ordinalDay) {
+  const leap = isLeapYear(year);
+
+  if (
+    !isYear(year) ||
+    !Number.isInteger(ordinalDay) ||
+    ordinalDay < 1 ||
+    ordinalDay > (leap ? 366 : 365)
+  ) {
+    throw new RangeError(`Invalid ordinal date: year ${year}, day ${ordinalDay}`);
+  }
+
+  let month = 12;
+  while (DAYS_BEFORE_MONTH[month - 1] + (leap && month > 2 ? 1 : 0) >= ordinalDay) {
+    month--;
+  }
+
+  const day = ordinalDay - DAYS_BEFORE_MONTH[month - 1] - (leap && month > 2 ? 1 : 0);
+
+  return { year, month, day };
+}
+
+/**
+ * Converts a calendar date into an ordinal date (year + day of year).
+ *
+ * @param {number} year - Year, 0–9999.
+ * @param {number} month - Month, 1–12.
+ * @param {number} day - Day of the month, valid for the given month and year.
+ * @returns {{ year: number, ordinalDay: number }}
+ * @throws {RangeError} If the date does not exist (e.g. Feb 29 in a common year).
+ * @example
+ * calendarToOrdinalDate(2024, 12, 31); // { year: 2024, ordinalDay: 366 }
+ * calendarToOrdinalDate(2025, 2, 1);   // { year: 2025, ordinalDay: 32 }
+ */
+function calendarToOrdinalDate(year, month, day) {
+  if (
+    !isYear(year) ||
+    !Number.isInteger(month) ||
+    month < 1 ||
+    month > 12 ||
+    !Number.isInteger(day) ||
+    day < 1 ||
+    day > daysInMonth(year, month)
+  ) {
+    throw new RangeError(`Invalid calendar date: ${year}-${month}-${day}`);
+  }
+
+  const ordinalDay =
+    DAYS_BEFORE_MONTH[month - 1] + (month > 2 && isLeapYear(year) ? 1 : 0) + day;
+
+  return { year, ordinalDay };
+}
+
+/**
+ * Strict regular expression for validating ISO 8601 durations.
+ *
+ * Supported formats:
+ *   PnYnMnDTnHnMnS                        // Any subset of components, in this order
+ *   PnW                                   // Weeks on their own
+ *
+ * Valid examples:
+ * - "P1Y2M10DT2H30M"
+ * - "PT36H"                               // Components may exceed their carry-over point
+ * - "PT0.5S"                              // Fraction on the last component
+ * - "P2W"
+ *
+ * Invalid examples:
+ * - "P"                                   // No components
+ * - "P1DT"                                // Empty time part
+ * - "P0.5DT1H"                            // Fraction on a non-final component
+ * - "P1W2D"                               // Weeks combined with other components
+ * - "PT1,5S"                              // Comma decimal sign
+ * - "-P1D"                                // Negative durations
+ *
+ * ### Named groups
+ * `years`, `months`, `weeks`, `days`, `hours`, `minutes`, `seconds` — each is the raw
+ * number (with fraction, if any) or `undefined` when the component is absent.
+ *
+ * ### Backtracking
+ * Every component is a digit run followed by a letter designator, so each character
+ * is consumed by exactly one quantifier and matching is linear in the input length.
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601DurationRegex.test('P1Y2M10DT2H30M'); // true
+ * ISO8601DurationRegex.test('PT'); // false
+ */
+const ISO8601DurationRegex = new RegExp(
+  '^P' +
+    '(?:' +
+      '(?<weeks>\\d+(?:\\.\\d+)?)W' +                      // PnW on its own
       '|' +
+      '(?!$)' +                                           // at least one component
+      '(?:(?<years>\\d+(?:\\.\\d+(?=Y$))?)Y)?' +           // a fraction must be on the last component
+      '(?:(?<months>\\d+(?:\\.\\d+(?=M$))?)M)?' +
+      '(?:(?<days>\\d+(?:\\.\\d+(?=D$))?)D)?' +
       '(?:' +
-        '\\+(?:(?:0\\d|1[0-3]):[0-5]\\d|14:00)' +     // +00:00…+13:59 or +14:00
-        '|' +
-        '-(?:(?:0\\d|1[01]):[0-5]\\d|12:00)' +        // -00:00…-11:59 or -12:00
-      ')' +
+        'T(?!$)' +                                        // 'T' must be followed by a component
+        '(?:(?<hours>\\d+(?:\\.\\d+(?=H$))?)H)?' +
+        '(?:(?<minutes>\\d+(?:\\.\\d+(?=M$))?)M)?' +
+        '(?:(?<seconds>\\d+(?:\\.\\d+)?)S)?' +
+      ')?' +
     ')' +
   '$'
 );
 
-module.exports = { ISO8601Regex };
+/**
+ * Parses an ISO 8601 duration validated by {@link ISO8601DurationRegex}.
+ *
+ * Components are returned as numbers, with `0` for absent components. Only the last
+ * component may be fractional.
+ *
+ * @param {string} input - Duration string, e.g. `"P1Y2M10DT2H30M"`.
+ * @returns {{ years: number, months: number, weeks: number, days: number, hours: number, minutes: number, seconds: number } | null}
+ *   The parsed components, or `null` if the input is not a valid duration.
+ * @example
+ * parseDuration('PT1.5S');
+ * // { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 1.5 }
+ * parseDuration('P'); // null
+ */
+function parseDuration(input) {
+  const match = ISO8601DurationRegex.exec(input);
+  if (!match) return null;
+
+  const { years, months, weeks, days, hours, minutes, seconds } = match.groups;
+
+  return {
+    years: Number(years ?? 0),
+    months: Number(months ?? 0),
+    weeks: Number(weeks ?? 0),
+    days: Number(days ?? 0),
+    hours: Number(hours ?? 0),
+    minutes: Number(minutes ?? 0),
+    seconds: Number(seconds ?? 0),
+  };
+}
+
+const REPETITIONS_REGEX = /^R(\d*)$/;
+
+// Expands an abbreviated interval end (`12:00:00Z`, `03T12:00:00Z`, `11-03T12:00:00Z`)
+// with the components it omits from the start. A missing timezone is also taken from
+// the start.
+function expandIntervalEnd(start, startTimezone, end) {
+  const timeIndex = end.indexOf('T');
+  const omitted =
+    timeIndex === -1 ? 11 :   // HH:mm:ss…
+    timeIndex === 2 ? 8 :     // DDTHH:mm:ss…
+    timeIndex === 5 ? 5 :     // MM-DDTHH:mm:ss…
+    0;
+  const expanded = start.slice(0, omitted) + end;
+
+  return ISO8601PartialTimeRegex.test(expanded.slice(11))
+    ? expanded + startTimezone
+    : expanded;
+}
+
+// Adds a duration to a date-time (sign 1) or subtracts it (sign -1) the way calendars
+// do: years and months first, with the day clamped to the end of the month, then weeks
+// and days, then the time. The result keeps the offset of `groups`, or is null when a
+// date component has a fraction (its length is not fixed) or the result leaves years
+// 0000–9999.
+function shiftDateTime(groups, duration, sign) {
+  const { years, months, weeks, days, hours, minutes, seconds } = duration;
+  if (![years, months, weeks, days].every(Number.isInteger)) return null;
+
+  const monthIndex = Number(groups.year) * 12 + Number(groups.month) - 1 + sign * (years * 12 + months);
+  const year = Math.floor(monthIndex / 12);
+  const month = monthIndex - year * 12 + 1;
+  if (year < 0 || year > 9999) return null;
+
+  const day = Math.min(Number(groups.day), daysInMonth(year, month));
+  const offsetMinutes = timezoneOffsetMinutes(groups.timezone);
+  const local =
+    (daysFromCivil(year, month, day) + sign * (weeks * 7 + days)) * 86400000 +
+    (Number(groups.hour) * 60 + Number(groups.minute)) * 60000 +
+    Number(groups.second) * 1000 +
+    normalizeFraction(groups.millisecond).millisecond +
+    sign * Math.round((hours * 60 + minutes) * 60000 + seconds * 1000);
+  const epochMilliseconds = local - offsetMinutes * 60000;
+  if (Math.abs(epochMilliseconds) > MAX_TIME_VALUE) return null;
+
+  const shifted = formatISO8601(epochMilliseconds, {
+    offsetMinutes,
+    fractionDigits: local % 1000 === 0 ? 0 : 3,
+    utc: offsetMinutes === 0 ? groups.timezone : 'Z',
+  });
+
+  return ISO8601Regex.test(shifted) ? shifted : null;
+}
+
+// The exact time from one date-time to another, as days of 24 hours and time of day;
+// years, months and weeks are 0, as their length depends on where they fall.
+function durationBetween(startGroups, endGroups) {
+  let milliseconds = groupsToEpochMilliseconds(endGroups) - groupsToEpochMilliseconds(startGroups);
+  const days = Math.floor(milliseconds / 86400000);
+  milliseconds -= days * 86400000;
+  const hours = Math.floor(milliseconds / 3600000);
+  milliseconds -= hours * 3600000;
+  const minutes = Math.floor(milliseconds / 60000);
+  milliseconds -= minutes * 60000;
+
+  return { years: 0, months: 0, weeks: 0, days, hours, minutes, seconds: milliseconds / 1000 };
+}
+
+/**
+ * Parses an ISO 8601 time interval or repeating interval whose date-times are
+ * validated by {@link ISO8601Regex} and durations by {@link ISO8601DurationRegex}.
+ *
+ * Supported forms:
+ *   start/end                             // 2025-11-02T10:00:00Z/2025-11-02T12:00:00Z
+ *   start/duration                        // 2025-11-02T10:00:00Z/PT2H
+ *   duration/end                          // PT2H/2025-11-02T12:00:00Z
+ *   Rn/<interval>, R/<interval>           // R5/2025-11-02T10:00:00Z/P1D
+ *
+ * The end of a start/end interval may omit leading components, which are taken from
+ * the start (`2025-11-02T10:00:00Z/12:00:00Z`, `2025-11-02T10:00:00Z/03T09:00:00`).
+ * It must not be before the start once both offsets are applied.
+ *
+ * The member the input leaves out is computed:
+ * - the end of start/duration, or the start of duration/end, by calendar arithmetic
+ *   in the offset of the given date-time: years and months first, with the day
+ *   clamped to the end of the month (`2025-01-31T00:00:00Z/P1M` ends on 02-28), then
+ *   weeks and days, then the time, to the millisecond. It is `null` when the duration
+ *   has a fraction of a year, month, week or day, whose length is not fixed, or when
+ *   it would fall outside years 0000–9999;
+ * - the duration of start/end, as the exact elapsed days (of 24 hours), hours, minutes
+ *   and seconds; its years, months and weeks are 0.
+ *
+ * @param {string} input - Interval string.
+ * @returns {{ start: string | null, end: string | null, duration: NonNullable<ReturnType<typeof parseDuration>>, repetitions: number | null } | null}
+ *   `start` and `end` are full date-time strings (the end expanded if it was
+ *   abbreviated), computed as above when the input gives a duration instead.
+ *   `repetitions` is the repeat count, `Infinity` for `R/`, or `null` if the interval
+ *   does not repeat. Returns `null` if the input is not a valid interval.
+ * @example
+ * parseISO8601Interval('2025-11-02T10:00:00Z/12:00:00Z');
+ * // { start: '2025-11-02T10:00:00Z', end: '2025-11-02T12:00:00Z',
+ * //   duration: { years: 0, months: 0, weeks: 0, days: 0, hours: 2, minutes: 0, seconds: 0 },
+ * //   repetitions: null }
+ * parseISO8601Interval('2025-11-02T10:00:00+01:00/P1M').end; // '2025-12-02T10:00:00+01:00'
+ * parseISO8601Interval('2025-11-02T12:00:00+01:00/2025-11-02T10:00:00Z'); // null — ends 1 h before it starts
+ */
+function parseISO8601Interval(input) {
+  if (typeof input !== 'string') return null;
+
+  const parts = input.split('/');
+  let repetitions = null;
+
+  if (parts.length === 3) {
+    const match = REPETITIONS_REGEX.exec(parts.shift());
+    if (!match) return null;
+    repetitions = match[1] === '' ? Infinity : Number(match[1]);
+  }
+
+  if (parts.length !== 2) return null;
+
+  const [first, second] = parts;
+
+  if (first[0] === 'P') {
+    const duration = parseDuration(first);
+    const endMatch = ISO8601Regex.exec(second);
+    if (!duration || !endMatch) return null;
+    return { start: shiftDateTime(endMatch.groups, duration, -1), end: second, duration, repetitions };
+  }
+
+  const startMatch = ISO8601Regex.exec(first);
+  if (!startMatch) return null;
+
+  if (second[0] === 'P') {
+    const duration = parseDuration(second);
+    if (!duration) return null;
+    return { start: first, end: shiftDateTime(startMatch.groups, duration, 1), duration, repetitions };
+  }
+
+  const end = expandIntervalEnd(first, startMatch.groups.timezone, second);
+  const endMatch = ISO8601Regex.exec(end);
+
+  if (
+    !endMatch ||
+    groupsToEpochMilliseconds(endMatch.groups) < groupsToEpochMilliseconds(startMatch.groups)
+  ) {
+    return null;
+  }
+
+  return { start: first, end, duration: durationBetween(startMatch.groups, endMatch.groups), repetitions };
+}
+
+/**
+ * Tests whether a string is a valid ISO 8601 time interval or repeating interval, as
+ * accepted by {@link parseISO8601Interval}.
+ *
+ * @param {string} input - Interval string.
+ * @returns {boolean}
+ * @example
+ * isISO8601Interval('R5/2025-11-02T10:00:00Z/P1D'); // true
+ * isISO8601Interval('2025-11-02T12:00:00Z/2025-11-02T10:00:00Z'); // false — end before start
+ */
+function isISO8601Interval(input) {
+  return parseISO8601Interval(input) !== null;
+}
+
+/**
+ * Regular expression accepting ISO 8601 date-time strings with a leap second
+ * (`:60`), as permitted by RFC 3339.
+ *
+ * Identical to {@link ISO8601Regex} except that the second may be `60`. A regex cannot
+ * check *when* the leap second falls once the offset is applied, so use
+ * {@link isISO8601WithLeapSecond} to validate the position.
+ *
+ * Supported format:
+ *   YYYY-MM-DDTHH:mm:ss(.SSS)?(Z|±HH:MM), ss = 00–60
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601LeapSecondRegex.test('2016-12-31T23:59:60Z'); // true
+ * ISO8601LeapSecondRegex.test('2016-12-31T23:59:61Z'); // false
+ */
+const ISO8601LeapSecondRegex = new RegExp(
+  '^' + DATE_SOURCE + 'T' + timeSource(':', { leapSecond: true }) + TIMEZONE_SOURCE + '$'
+);
+
+/**
+ * UTC dates at the end of which a leap second (`23:59:60Z`) was inserted, from the
+ * IERS Bulletin C announcements. No leap second has been scheduled since
+ * 2016-12-31; new entries must be added here when one is announced.
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ * @see https://hpiers.obspm.fr/iers/bul/bulc/Leap_Second.dat
+ */
+const IERSLeapSeconds = Object.freeze([
+  '1972-06-30', '1972-12-31', '1973-12-31', '1974-12-31', '1975-12-31',
+  '1976-12-31', '1977-12-31', '1978-12-31', '1979-12-31', '1981-06-30',
+  '1982-06-30', '1983-06-30', '1985-06-30', '1987-12-31', '1989-12-31',
+  '1990-12-31', '1992-06-30', '1993-06-30', '1994-06-30', '1995-12-31',
+  '1997-06-30', '1998-12-31', '2005-12-31', '2008-12-31', '2012-06-30',
+  '2015-06-30', '2016-12-31',
+]);
+
+const IERS_LEAP_SECOND_DATES = new Set(IERSLeapSeconds);
+
+/**
+ * Validates an ISO 8601 date-time that may contain a leap second.
+ *
+ * Strings without a leap second are validated exactly like {@link ISO8601Regex}.
+ * Second `60` is only accepted when, after applying the offset, it falls at
+ * `23:59:60Z` on June 30 or December 31 — the only points where leap seconds can be
+ * inserted. With `strict: true`, the date must also be a published leap second from
+ * {@link IERSLeapSeconds}.
+ *
+ * @param {string} input - Date-time string.
+ * @param {{ strict?: boolean }} [options]
+ * @param {boolean} [options.strict=false] - Also require a published IERS leap second.
+ * @returns {boolean}
+ * @example
+ * isISO8601WithLeapSecond('2016-12-31T23:59:60Z');                     // true
+ * isISO8601WithLeapSecond('2017-01-01T00:59:60+01:00');                // true — 23:59:60Z
+ * isISO8601WithLeapSecond('2016-12-31T23:59:60+01:00');                // false — 22:59:60Z
+ * isISO8601WithLeapSecond('2017-06-30T23:59:60Z');                     // true
+ * isISO8601WithLeapSecond('2017-06-30T23:59:60Z', { strict: true });   // false — no leap second that day
+ */
+function isISO8601WithLeapSecond(input, { strict = false } = {}) {
+  const match = ISO8601LeapSecondRegex.exec(input);
+  if (!match) return false;
+
+  const { year, month, day, hour, minute, second, timezone } = match.groups;
+  if (second !== '60') return true;
+
+  const utcMinutes =
+    daysFromCivil(Number(year), Number(month), Number(day)) * 1440 +
+    Number(hour) * 60 +
+    Number(minute) -
+    timezoneOffsetMinutes(timezone);
+
+  if (utcMinutes - Math.floor(utcMinutes / 1440) * 1440 !== 1439) return false;
+
+  const utc = civilFromDays(Math.floor(utcMinutes / 1440));
+  if (!((utc.month === 6 && utc.day === 30) || (utc.month === 12 && utc.day === 31))) {
+    return false;
+  }
+
+  return (
+    !strict ||
+    IERS_LEAP_SECOND_DATES.has(
+      `${String(utc.year).padStart(4, '0')}-${String(utc.month).padStart(2, '0')}-${String(utc.day).padStart(2, '0')}`
+    )
+  );
+}
+
+// Largest absolute ECMAScript time value: ±100,000,000 days from the epoch.
+const MAX_TIME_VALUE = 8.64e15;
+
+/**
+ * Strict ISO 8601 date-time regex that also accepts the expanded years produced by
+ * `Date.prototype.toISOString()` outside 0000–9999: a sign and 6 digits, from
+ * `-271821` to `+275760`. `-000000` is rejected, as in ECMAScript, and leap years
+ * follow the proleptic Gregorian calendar (year 0 and -4 are leap years, -100 is not).
+ *
+ * Years are bounded here, but the exact ECMAScript time-value limits depend on the
+ * offset; use {@link isISO8601WithExpandedYear} to enforce them.
+ *
+ * Supported format:
+ *   (YYYY|±YYYYYY)-MM-DDTHH:mm:ss(.SSS)?(Z|±HH:MM)
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601ExpandedYearRegex.test('+275760-09-13T00:00:00.000Z'); // true
+ * ISO8601ExpandedYearRegex.test('-000001-12-31T00:00:00Z');      // true
+ * ISO8601ExpandedYearRegex.test('-000000-01-01T00:00:00Z');      // false
+ * ISO8601ExpandedYearRegex.test('-000100-02-29T00:00:00Z');      // false — not a leap year
+ */
+const ISO8601ExpandedYearRegex = new RegExp(
+  '^' + dateSource('-', { expandedYear: true }) + 'T' + TIME_SOURCE + TIMEZONE_SOURCE + '$'
+);
+
+/**
+ * Validates an ISO 8601 date-time that may use an expanded year, and checks that the
+ * instant is within the ECMAScript time-value range (±8.64e15 ms, i.e.
+ * `-271821-04-20T00:00:00Z` to `+275760-09-13T00:00:00Z`). Anything it accepts
+ * round-trips through `Date`.
+ *
+ * @param {string} input - The string to validate.
+ * @returns {boolean}
+ * @example
+ * isISO8601WithExpandedYear('+275760-09-13T00:00:00.000Z');  // true
+ * isISO8601WithExpandedYear('+275760-09-13T00:00:00.001Z');  // false — beyond the Date range
+ * isISO8601WithExpandedYear('+275760-09-13T01:00:00+01:00'); // true — same instant as the maximum
+ */
+function isISO8601WithExpandedYear(input) {
+  const match = ISO8601ExpandedYearRegex.exec(input);
+  return match !== null && Math.abs(groupsToEpochMilliseconds(match.groups)) <= MAX_TIME_VALUE;
+}
+
+const FRACTION_MODES = ['exact', 'max', 'unlimited'];
+const SEPARATORS = ['T', 'space', 'any'];
+const TIMEZONE_POLICIES = ['required', 'utc', 'offset', 'optional'];
+const OFFSET_RANGES = ['real-world', 'rfc3339'];
+const PRECISIONS = ['second', 'minute', 'hour'];
+
+function oneOf(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new TypeError(`Invalid ${name}: ${value} (expected ${allowed.join(', ')})`);
+  }
+
+  return value;
+}
+
+function boolean(name, value) {
+  if (typeof value !== 'boolean') {
+    throw new TypeError(`Invalid ${name}: ${value} (expected a boolean)`);
+  }
+
+  return value;
+}
+
+// Fills in defaults and validates, in a fixed key order so that equal options
+// produce the same cache key.
+function normalizeRegexOptions({
+  separator = 'T',
+  lowercase = false,
+  timezone = 'required',
+  allowUnknownOffset = true,
+  offsetRange = 'real-world',
+  expandedYear = false,
+  precision = 'second',
+  fraction,
+  ...unknown
+}) {
+  const [unknownOption] = Object.keys(unknown);
+
+  if (unknownOption !== undefined) {
+    throw new TypeError(`Unknown option: ${unknownOption}`);
+  }
+
+  const normalized = {
+    separator: oneOf('separator', separator, SEPARATORS),
+    lowercase: boolean('lowercase', lowercase),
+    timezone: oneOf('timezone', timezone, TIMEZONE_POLICIES),
+    allowUnknownOffset: boolean('allowUnknownOffset', allowUnknownOffset),
+    offsetRange: oneOf('offsetRange', offsetRange, OFFSET_RANGES),
+    expandedYear: boolean('expandedYear', expandedYear),
+    precision: oneOf('precision', precision, PRECISIONS),
+    fraction: null,
+  };
+
+  if (fraction !== undefined) {
+    oneOf('fraction mode', fraction?.mode, FRACTION_MODES);
+
+    if (fraction.mode !== 'unlimited' && !(Number.isInteger(fraction.digits) && fraction.digits > 0)) {
+      throw new RangeError(`Invalid fraction digits: ${fraction.digits}`);
+    }
+
+    normalized.fraction =
+      fraction.mode === 'unlimited'
+        ? { mode: 'unlimited' }
+        : { mode: fraction.mode, digits: fraction.digits };
+  }
+
+  return normalized;
+}
+
+function regexSource({
+  separator,
+  lowercase,
+  timezone,
+  allowUnknownOffset,
+  offsetRange,
+  expandedYear,
+  precision,
+  fraction,
+}) {
+  const T = lowercase ? '[Tt]' : 'T';
+  const separatorSource =
+    separator === 'T' ? T : separator === 'space' ? ' ' : lowercase ? '[Tt ]' : '[T ]';
+  const timezonePart = timezoneSource(':', {
+    utc: timezone === 'offset' ? null : lowercase ? '[Zz]' : 'Z',
+    offsets: timezone !== 'utc',
+    unknownOffset: allowUnknownOffset,
+    range: offsetRange,
+  });
+
+  return (
+    '^' +
+    dateSource('-', { expandedYear }) +
+    separatorSource +
+    timeSource(':', {
+      fraction: fraction ? fractionSource(fraction) : MILLISECOND_SOURCE,
+      precision,
+    }) +
+    timezonePart + (timezone === 'optional' ? '?' : '') +
+    '$'
+  );
+}
+
+// Every option but `digits` has a few values; caching only digits up to nanoseconds
+// keeps the cache finite whatever callers pass.
+const MAX_CACHED_FRACTION_DIGITS = 9;
+
+const regexCache = new Map([
+  [JSON.stringify(normalizeRegexOptions({})), ISO8601Regex],
+]);
+
+/**
+ * Builds (and caches) a strict ISO 8601 date-time regex from an options object.
+ *
+ * Calling it without options (or with only default values) returns
+ * {@link ISO8601Regex} itself; equal options return the same RegExp instance, except
+ * with more than 9 fraction `digits`, which build a new one on each call. Every
+ * preset keeps the calendar and time rules and the named groups of
+ * {@link ISO8601Regex}.
+ *
+ * ### Options
+ * - `separator`: `'T'` (default), `'space'` (RFC 3339 section 5.6 note) or `'any'`
+ * - `lowercase`: also accept `t` and `z` (RFC 3339 is case-insensitive). Defaults to `false`.
+ * - `timezone`: `'required'` (default, `Z` or an offset), `'utc'` (`Z` only),
+ *   `'offset'` (numeric offset only) or `'optional'` (the `timezone` group may be undefined)
+ * - `allowUnknownOffset`: accept `-00:00`, which RFC 3339 reserves for an unknown local
+ *   offset. Defaults to `true`.
+ * - `offsetRange`: `'real-world'` (default, −12:00…+14:00) or `'rfc3339'` (the full
+ *   ±00:00…±23:59 grammar)
+ * - `expandedYear`: also accept signed 6-digit years, like
+ *   {@link ISO8601ExpandedYearRegex}. Defaults to `false`.
+ * - `precision`: the coarsest time precision accepted, for ISO 8601 reduced-precision
+ *   times: `'second'` (default) requires seconds, `'minute'` also accepts `10:20`, and
+ *   `'hour'` also accepts `10`. Omitted `minute`/`second` groups are undefined, and a
+ *   fraction is only allowed after seconds.
+ * - `fraction`: fractional-second precision, captured in a `fraction` group instead
+ *   of `millisecond` (see below)
+ *
+ * ### Fractional seconds
+ * RFC 3339 allows any number of fraction digits, while {@link ISO8601Regex} caps them
+ * at 3 (`millisecond` group). The `fraction` option captures them in a `fraction`
+ * group instead:
+ * - `{ mode: 'exact', digits: N }`: required, exactly N digits
+ * - `{ mode: 'max', digits: N }`: optional, 1 to N digits
+ * - `{ mode: 'unlimited' }`: optional, any number of digits. The digit run is always
+ *   followed by the timezone or the end of input, neither of which can start with a
+ *   digit, so a failed match backtracks at most once per digit: matching stays linear
+ *   in the input length.
+ *
+ * Use {@link normalizeFraction} to turn the `fraction` group into milli-, micro- and
+ * nanoseconds.
+ *
+ * @param {{
+ *   separator?: 'T' | 'space' | 'any',
+ *   lowercase?: boolean,
+ *   timezone?: 'required' | 'utc' | 'offset' | 'optional',
+ *   allowUnknownOffset?: boolean,
+ *   offsetRange?: 'real-world' | 'rfc3339',
+ *   expandedYear?: boolean,
+ *   precision?: 'second' | 'minute' | 'hour',
+ *   fraction?: { mode: 'exact' | 'max' | 'unlimited', digits?: number },
+ * }} [options]
+ * @returns {RegExp} The same RegExp instance for equal options (up to 9 fraction `digits`).
+ * @throws {TypeError} If an option is not recognized or has an invalid value.
+ * @throws {RangeError} If `digits` is not a positive integer.
+ * @example
+ * const utcOnly = createISO8601Regex({ timezone: 'utc' });
+ * utcOnly.test('2025-11-02T10:20:30Z');      // true
+ * utcOnly.test('2025-11-02T10:20:30+01:00'); // false
+ *
+ * const postgres = createISO8601Regex({ separator: 'space', fraction: { mode: 'max', digits: 6 } });
+ * postgres.test('2025-11-02 10:20:30.123456+00:00'); // true
+ *
+ * createISO8601Regex({ precision: 'minute' }).exec('2025-11-02T10:20Z').groups.second; // undefined
+ */
+function createISO8601Regex(options = {}) {
+  const normalized = normalizeRegexOptions(options);
+
+  if (normalized.fraction?.digits > MAX_CACHED_FRACTION_DIGITS) {
+    return new RegExp(regexSource(normalized));
+  }
+
+  const key = JSON.stringify(normalized);
+  let regex = regexCache.get(key);
+
+  if (!regex) {
+    regex = new RegExp(regexSource(normalized));
+    regexCache.set(key, regex);
+  }
+
+  return regex;
+}
+
+/**
+ * Splits fractional-second digits (the `fraction` or `millisecond` group) into
+ * millisecond, microsecond and nanosecond components, each 0–999.
+ *
+ * Digits beyond nanosecond precision are truncated.
+ *
+ * @param {string | undefined} fraction - Fraction digits without the leading dot.
+ * @returns {{ millisecond: number, microsecond: number, nanosecond: number }}
+ * @example
+ * normalizeFraction('5');          // { millisecond: 500, microsecond: 0, nanosecond: 0 }
+ * normalizeFraction('123456789');  // { millisecond: 123, microsecond: 456, nanosecond: 789 }
+ * normalizeFraction(undefined);    // { millisecond: 0, microsecond: 0, nanosecond: 0 }
+ */
+function normalizeFraction(fraction) {
+  const digits = (fraction ?? '').slice(0, 9).padEnd(9, '0');
+
+  return {
+    millisecond: Number(digits.slice(0, 3)),
+    microsecond: Number(digits.slice(3, 6)),
+    nanosecond: Number(digits.slice(6, 9)),
+  };
+}
+
+/**
+ * Parses an ISO 8601 date-time into numeric fields and exact epoch values, using the
+ * named groups of {@link ISO8601Regex} (or of the {@link createISO8601Regex} preset
+ * built from `options`).
+ *
+ * The epoch is computed from the fields themselves, without `Date`, so nothing rolls
+ * over and no precision is lost: `epochNanoseconds` keeps the full fraction (up to
+ * nanoseconds) as a BigInt. Strings without a timezone (`timezone: 'optional'`) have
+ * `offsetMinutes`, `epochMilliseconds` and `epochNanoseconds` set to `null`. With
+ * `expandedYear: true`, instants beyond the ECMAScript time-value range return `null`.
+ *
+ * `precision` tells which time components were written: `'second'`, or `'minute'` and
+ * `'hour'` for the reduced-precision forms accepted with the `precision` option, whose
+ * omitted components are 0. So `10:20` and `10:20:00` parse to the same instant but
+ * stay distinguishable.
+ *
+ * @param {string} input - The string to parse.
+ * @param {Parameters<typeof createISO8601Regex>[0]} [options] - Regex options; defaults to {@link ISO8601Regex}.
+ * @returns {{
+ *   year: number, month: number, day: number,
+ *   hour: number, minute: number, second: number,
+ *   millisecond: number, microsecond: number, nanosecond: number,
+ *   offsetMinutes: number | null,
+ *   epochMilliseconds: number | null,
+ *   epochNanoseconds: bigint | null,
+ *   precision: 'second' | 'minute' | 'hour',
+ * } | null} The parsed value, or `null` if the input does not match.
+ * @example
+ * parseISO8601('2025-11-02T10:20:30.123+09:30');
+ * // { year: 2025, month: 11, day: 2, hour: 10, minute: 20, second: 30,
+ * //   millisecond: 123, microsecond: 0, nanosecond: 0, offsetMinutes: 570,
+ * //   epochMilliseconds: 1762044630123, epochNanoseconds: 1762044630123000000n,
+ * //   precision: 'second' }
+ *
+ * parseISO8601('2025-11-02T10:20+09:30', { precision: 'minute' }).precision; // 'minute'
+ *
+ * parseISO8601('2025-11-02T10:20:30.123456789Z', { fraction: { mode: 'max', digits: 9 } })
+ *   .epochNanoseconds; // 1762078830123456789n
+ *
+ * parseISO8601('2025-02-29T10:20:30Z'); // null
+ */
+function parseISO8601(input, options) {
+  const regex = options === undefined ? ISO8601Regex : createISO8601Regex(options);
+  const match = regex.exec(input);
+
+  if (!match) return null;
+
+  const { groups } = match;
+  const { millisecond, microsecond, nanosecond } = normalizeFraction(
+    groups.fraction ?? groups.millisecond
+  );
+  const hasTimezone = groups.timezone !== undefined;
+  const epochMilliseconds = hasTimezone ? groupsToEpochMilliseconds(groups) : null;
+  // A local time is checked as if it were UTC.
+  const rangeMilliseconds = epochMilliseconds ?? groupsToEpochMilliseconds({ ...groups, timezone: 'Z' });
+
+  // Only reachable with expanded years: keep results within the range of `Date`.
+  if (Math.abs(rangeMilliseconds) > MAX_TIME_VALUE) return null;
+
+  return {
+    year: Number(groups.year),
+    month: Number(groups.month),
+    day: Number(groups.day),
+    hour: Number(groups.hour),
+    minute: Number(groups.minute ?? 0),
+    second: Number(groups.second ?? 0),
+    millisecond,
+    microsecond,
+    nanosecond,
+    offsetMinutes: hasTimezone ? timezoneOffsetMinutes(groups.timezone) : null,
+    epochMilliseconds,
+    epochNanoseconds: hasTimezone
+      ? BigInt(epochMilliseconds) * 1000000n + BigInt(microsecond * 1000 + nanosecond)
+      : null,
+    precision: groups.second !== undefined ? 'second' : groups.minute !== undefined ? 'minute' : 'hour',
+  };
+}
+
+const VALID = Object.freeze({ valid: true });
+
+function invalid(code, index, message) {
+  return { valid: false, code, index, message };
+}
+
+function describeCharacter(input, index) {
+  return index < input.length ? JSON.stringify(input[index]) : 'end of input';
+}
+
+function isDigit(input, index) {
+  const code = input.charCodeAt(index);
+  return code >= 48 && code <= 57;
+}
+
+// Index of the first non-digit among `length` characters from `index`, or -1.
+function firstNonDigit(input, index, length) {
+  for (let i = index; i < index + length; i++) {
+    if (!isDigit(input, i)) return i;
+  }
+  return -1;
+}
+
+function expectSeparator(input, index, separator, where) {
+  return input[index] === separator
+    ? null
+    : invalid(
+        'INVALID_SEPARATOR',
+        index,
+        `Expected '${separator}' ${where}, found ${describeCharacter(input, index)}`
+      );
+}
+
+// Walks the ISO8601Regex grammar and reports the first violation. Only called once
+// the regex has rejected the input, so it favors clarity over speed.
+function diagnose(input) {
+  let bad = firstNonDigit(input, 0, 4);
+  if (bad !== -1) {
+    return invalid('INVALID_YEAR', bad, `Expected a 4-digit year, found ${describeCharacter(input, bad)}`);
+  }
+  const year = Number(input.slice(0, 4));
+
+  let error = expectSeparator(input, 4, '-', 'after the year');
+  if (error) return error;
+
+  bad = firstNonDigit(input, 5, 2);
+  if (bad !== -1) {
+    return invalid('INVALID_MONTH', bad, `Expected a 2-digit month, found ${describeCharacter(input, bad)}`);
+  }
+  const month = Number(input.slice(5, 7));
+  if (month < 1 || month > 12) {
+    return invalid('MONTH_OUT_OF_RANGE', 5, `Month ${input.slice(5, 7)} is out of range (01–12)`);
+  }
+
+  error = expectSeparator(input, 7, '-', 'after the month');
+  if (error) return error;
+
+  bad = firstNonDigit(input, 8, 2);
+  if (bad !== -1) {
+    return invalid('INVALID_DAY', bad, `Expected a 2-digit day, found ${describeCharacter(input, bad)}`);
+  }
+  const day = Number(input.slice(8, 10));
+  if (month === 2 && day === 29 && !isLeapYear(year)) {
+    return invalid('NOT_LEAP_YEAR', 8, `February 29 does not exist in ${input.slice(0, 4)}, which is not a leap year`);
+  }
+  if (day < 1 || day > daysInMonth(year, month)) {
+    return invalid(
+      'DAY_OUT_OF_RANGE',
+      8,
+      `Day ${input.slice(8, 10)} is out of range for month ${input.slice(5, 7)} (01–${daysInMonth(year, month)})`
+    );
+  }
+
+  if (input.length === 10) {
+    return invalid('MISSING_TIME', 10, "Expected 'T' followed by a time, found end of input");
+  }
+
+  error = expectSeparator(input, 10, 'T', 'between the date and the time');
+  if (error) return error;
+
+  bad = firstNonDigit(input, 11, 2);
+  if (bad !== -1) {
+    return invalid('INVALID_HOUR', bad, `Expected a 2-digit hour, found ${describeCharacter(input, bad)}`);
+  }
+  if (Number(input.slice(11, 13)) > 23) {
+    return invalid('HOUR_OUT_OF_RANGE', 11, `Hour ${input.slice(11, 13)} is out of range (00–23)`);
+  }
+
+  error = expectSeparator(input, 13, ':', 'after the hour');
+  if (error) return error;
+
+  bad = firstNonDigit(input, 14, 2);
+  if (bad !== -1) {
+    return invalid('INVALID_MINUTE', bad, `Expected a 2-digit minute, found ${describeCharacter(input, bad)}`);
+  }
+  if (Number(input.slice(14, 16)) > 59) {
+    return invalid('MINUTE_OUT_OF_RANGE', 14, `Minute ${input.slice(14, 16)} is out of range (00–59)`);
+  }
+
+  if (input[16] !== ':' && (input.length === 16 || 'Zz+-'.includes(input[16]))) {
+    return invalid(
+      'MISSING_SECONDS',
+      16,
+      'Expected seconds after the minute: the strict regex requires them (see createISO8601Regex({ precision }))'
+    );
+  }
+
+  error = expectSeparator(input, 16, ':', 'after the minute');
+  if (error) return error;
+
+  bad = firstNonDigit(input, 17, 2);
+  if (bad !== -1) {
+    return invalid('INVALID_SECOND', bad, `Expected a 2-digit second, found ${describeCharacter(input, bad)}`);
+  }
+  if (Number(input.slice(17, 19)) > 59) {
+    return invalid(
+      'SECOND_OUT_OF_RANGE',
+      17,
+      `Second ${input.slice(17, 19)} is out of range (00–59); use isISO8601WithLeapSecond() for leap seconds`
+    );
+  }
+
+  let index = 19;
+
+  if (input[index] === ',') {
+    return invalid('INVALID_FRACTION', index, "Expected '.' as the decimal separator, found ','");
+  }
+
+  if (input[index] === '.') {
+    index++;
+    const start = index;
+    while (isDigit(input, index)) index++;
+
+    if (index === start) {
+      return invalid('INVALID_FRACTION', index, `Expected fraction digits after '.', found ${describeCharacter(input, index)}`);
+    }
+    if (index - start > 3) {
+      return invalid('FRACTION_TOO_LONG', start + 3, `Fractional seconds have ${index - start} digits; at most 3 are allowed`);
+    }
+  }
+
+  if (index === input.length) {
+    return invalid('MISSING_TIMEZONE', index, "Expected 'Z' or an offset such as +01:00, found end of input");
+  }
+
+  const sign = input[index];
+
+  if (sign === 'Z') {
+    index++;
+  } else if (sign === '+' || sign === '-') {
+    bad = firstNonDigit(input, index + 1, 2);
+    if (bad === -1 && input[index + 3] !== ':') bad = index + 3;
+    if (bad === -1) bad = firstNonDigit(input, index + 4, 2);
+    if (bad !== -1) {
+      return invalid('INVALID_TIMEZONE', bad, `Expected an offset shaped ±HH:MM, found ${describeCharacter(input, bad)}`);
+    }
+
+    const hours = Number(input.slice(index + 1, index + 3));
+    const minutes = Number(input.slice(index + 4, index + 6));
+    const limit = sign === '+' ? 14 * 60 : 12 * 60;
+
+    if (minutes > 59 || hours * 60 + minutes > limit) {
+      return invalid(
+        'OFFSET_OUT_OF_RANGE',
+        index,
+        `Offset ${input.slice(index, index + 6)} is out of range (-12:00 to +14:00)`
+      );
+    }
+    index += 6;
+  } else {
+    return invalid(
+      'INVALID_TIMEZONE',
+      index,
+      `Expected 'Z' or an offset such as +01:00, found ${describeCharacter(input, index)}`
+    );
+  }
+
+  if (index < input.length) {
+    return invalid('TRAILING_CHARACTERS', index, `Unexpected ${describeCharacter(input, index)} after the timezone`);
+  }
+
+  return VALID;
+}
+
+/**
+ * Validates an ISO 8601 date-time like {@link ISO8601Regex} and, when it is rejected,
+ * explains why.
+ *
+ * Valid input costs a single `ISO8601Regex.test()` and returns a shared frozen
+ * `{ valid: true }` object. Invalid input returns the first violation found, reading
+ * left to right:
+ *
+ * - `code`: a machine-readable error code:
+ *   `INVALID_TYPE`, `INVALID_YEAR`, `INVALID_MONTH`, `MONTH_OUT_OF_RANGE`, `INVALID_DAY`,
+ *   `DAY_OUT_OF_RANGE`, `NOT_LEAP_YEAR`, `INVALID_SEPARATOR`, `MISSING_TIME`,
+ *   `INVALID_HOUR`, `HOUR_OUT_OF_RANGE`, `INVALID_MINUTE`, `MINUTE_OUT_OF_RANGE`,
+ *   `MISSING_SECONDS`, `INVALID_SECOND`, `SECOND_OUT_OF_RANGE`, `INVALID_FRACTION`,
+ *   `FRACTION_TOO_LONG`, `MISSING_TIMEZONE`, `INVALID_TIMEZONE`, `OFFSET_OUT_OF_RANGE`
+ *   or `TRAILING_CHARACTERS`
+ * - `index`: the position of the offending character (the input length when it ends
+ *   too early)
+ * - `message`: a human-readable explanation
+ *
+ * @param {unknown} input - The value to validate.
+ * @returns {{ valid: true } | { valid: false, code: string, index: number, message: string }}
+ * @example
+ * validateISO8601('2025-11-02T10:20:30Z');
+ * // { valid: true }
+ *
+ * validateISO8601('2025-02-29T10:20:30Z');
+ * // { valid: false, code: 'NOT_LEAP_YEAR', index: 8,
+ * //   message: 'February 29 does not exist in 2025, which is not a leap year' }
+ *
+ * validateISO8601('2025-11-02T10:20:30+14:30');
+ * // { valid: false, code: 'OFFSET_OUT_OF_RANGE', index: 19,
+ * //   message: 'Offset +14:30 is out of range (-12:00 to +14:00)' }
+ */
+function validateISO8601(input) {
+  if (typeof input !== 'string') {
+    return invalid('INVALID_TYPE', 0, `Expected a string, received ${input === null ? 'null' : typeof input}`);
+  }
+
+  return ISO8601Regex.test(input) ? VALID : diagnose(input);
+}
+
+const COMPONENT_LIMITS = [
+  ['month', 1, 12],
+  ['hour', 0, 23],
+  ['minute', 0, 59],
+  ['second', 0, 59],
+  ['millisecond', 0, 999],
+  ['microsecond', 0, 999],
+  ['nanosecond', 0, 999],
+];
+
+function checkOffsetMinutes(offsetMinutes) {
+  if (!Number.isInteger(offsetMinutes) || offsetMinutes < -720 || offsetMinutes > 840) {
+    throw new RangeError(`Invalid offset: ${offsetMinutes} minutes (expected -720 to 840)`);
+  }
+}
+
+function pad(value, width) {
+  return String(value).padStart(width, '0');
+}
+
+function formatOffset(offsetMinutes, utc) {
+  if (offsetMinutes === 0) return utc;
+
+  const minutes = Math.abs(offsetMinutes);
+  return `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60), 2)}:${pad(minutes % 60, 2)}`;
+}
+
+// A Date, epoch milliseconds, epoch nanoseconds or components →
+// { epochMilliseconds, subMillisecond (ns), offsetMinutes (of components, or null) }.
+function toInstant(value) {
+  if (value instanceof Date) {
+    const epochMilliseconds = value.getTime();
+    if (Number.isNaN(epochMilliseconds)) throw new RangeError('Invalid Date');
+    return { epochMilliseconds, subMillisecond: 0, offsetMinutes: null };
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) throw new RangeError(`Invalid epoch milliseconds: ${value}`);
+    return { epochMilliseconds: value, subMillisecond: 0, offsetMinutes: null };
+  }
+
+  if (typeof value === 'bigint') {
+    let milliseconds = value / 1000000n;
+    if (value < 0n && milliseconds * 1000000n !== value) milliseconds--;
+    return {
+      epochMilliseconds: Number(milliseconds),
+      subMillisecond: Number(value - milliseconds * 1000000n),
+      offsetMinutes: null,
+    };
+  }
+
+  if (value === null || typeof value !== 'object') {
+    throw new TypeError('Expected a Date, epoch milliseconds, epoch nanoseconds or components');
+  }
+
+  const {
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond = 0,
+    microsecond = 0,
+    nanosecond = 0,
+  } = value;
+  // null when parseISO8601 found no timezone designator; the wall clock is then UTC.
+  const offsetMinutes = value.offsetMinutes ?? 0;
+  const components = { month, hour, minute, second, millisecond, microsecond, nanosecond };
+
+  if (!Number.isInteger(year)) throw new RangeError(`Invalid year: ${year}`);
+
+  for (const [name, min, max] of COMPONENT_LIMITS) {
+    const component = components[name];
+    if (!Number.isInteger(component) || component < min || component > max) {
+      throw new RangeError(`Invalid ${name}: ${component} (expected ${min}–${max})`);
+    }
+  }
+
+  if (!Number.isInteger(day) || day < 1 || day > daysInMonth(year, month)) {
+    throw new RangeError(`Invalid day: ${day} (${year}-${pad(month, 2)} has ${daysInMonth(year, month)} days)`);
+  }
+
+  checkOffsetMinutes(offsetMinutes);
+
+  const minutes = daysFromCivil(year, month, day) * 1440 + hour * 60 + minute - offsetMinutes;
+
+  return {
+    epochMilliseconds: minutes * 60000 + second * 1000 + millisecond,
+    subMillisecond: microsecond * 1000 + nanosecond,
+    offsetMinutes,
+  };
+}
+
+/**
+ * Formats a `Date`, epoch value or date-time components as a strict ISO 8601 string.
+ *
+ * - `value`: a `Date`, integer epoch milliseconds, BigInt epoch nanoseconds, or
+ *   components shaped like the {@link parseISO8601} result (`year` … `second`, optional
+ *   `millisecond`/`microsecond`/`nanosecond` and `offsetMinutes`, which default to 0;
+ *   a `null` offset, as parsed without a timezone designator, is also 0).
+ * - `offsetMinutes`: the output offset, −720 to 840. Defaults to the offset of the
+ *   components, or UTC.
+ * - `fractionDigits`: 0 (no fraction) to 9; extra precision is truncated. Defaults to 3.
+ * - `utc`: how a zero offset is written: `'Z'` (default), `'+00:00'` or `'-00:00'`.
+ *
+ * Invalid components (Feb 30, hour 24, offset +15:00) and instants beyond the
+ * ECMAScript time-value range throw instead of rolling over. The result matches
+ * {@link ISO8601Regex} for years 0000–9999 with `fractionDigits` ≤ 3; other years use
+ * the expanded `±YYYYYY` form of {@link ISO8601ExpandedYearRegex}, and more digits
+ * need a `createISO8601Regex({ fraction })` preset.
+ *
+ * @param {Date | number | bigint | object} value - The instant or components to format.
+ * @param {{ offsetMinutes?: number, fractionDigits?: number, utc?: 'Z' | '+00:00' | '-00:00' }} [options]
+ * @returns {string}
+ * @throws {RangeError} If a component, the offset or `fractionDigits` is invalid, or the instant is out of range.
+ * @throws {TypeError} If `value` is not a supported type.
+ * @example
+ * formatISO8601(new Date(Date.UTC(2025, 10, 2, 10, 20, 30)));          // '2025-11-02T10:20:30.000Z'
+ * formatISO8601(1762078830123, { offsetMinutes: 330 });                 // '2025-11-02T15:50:30.123+05:30'
+ * formatISO8601(1762078830123456789n, { fractionDigits: 9 });           // '2025-11-02T10:20:30.123456789Z'
+ * formatISO8601({ year: 2024, month: 2, day: 29, hour: 0, minute: 0, second: 0 },
+ *   { fractionDigits: 0, utc: '+00:00' });                               // '2024-02-29T00:00:00+00:00'
+ * formatISO8601({ year: 2025, month: 2, day: 30, hour: 0, minute: 0, second: 0 }); // throws RangeError
+ */
+function formatISO8601(value, { offsetMinutes, fractionDigits = 3, utc = 'Z' } = {}) {
+  if (!Number.isInteger(fractionDigits) || fractionDigits < 0 || fractionDigits > 9) {
+    throw new RangeError(`Invalid fractionDigits: ${fractionDigits} (expected 0–9)`);
+  }
+  if (utc !== 'Z' && utc !== '+00:00' && utc !== '-00:00') {
+    throw new RangeError(`Invalid utc: ${utc} (expected 'Z', '+00:00' or '-00:00')`);
+  }
+
+  const instant = toInstant(value);
+  const offset = offsetMinutes ?? instant.offsetMinutes ?? 0;
+
+  checkOffsetMinutes(offset);
+
+  const { epochMilliseconds, subMillisecond } = instant;
+
+  if (
+    Math.abs(epochMilliseconds) > MAX_TIME_VALUE ||
+    (epochMilliseconds === MAX_TIME_VALUE && subMillisecond > 0)
+  ) {
+    throw new RangeError('Instant is outside the ECMAScript time-value range');
+  }
+
+  const local = epochMilliseconds + offset * 60000;
+  const days = Math.floor(local / 86400000);
+  const millisecondOfDay = local - days * 86400000;
+  const { year, month, day } = civilFromDays(days);
+  const hour = Math.floor(millisecondOfDay / 3600000);
+  const minute = Math.floor(millisecondOfDay / 60000) % 60;
+  const second = Math.floor(millisecondOfDay / 1000) % 60;
+  const fraction = pad(millisecondOfDay % 1000, 3) + pad(subMillisecond, 6);
+
+  return (
+    (year >= 0 && year <= 9999 ? pad(year, 4) : `${year < 0 ? '-' : '+'}${pad(Math.abs(year), 6)}`) +
+    `-${pad(month, 2)}-${pad(day, 2)}T${pad(hour, 2)}:${pad(minute, 2)}:${pad(second, 2)}` +
+    (fractionDigits > 0 ? '.' + fraction.slice(0, fractionDigits) : '') +
+    formatOffset(offset, utc)
+  );
+}
+
+/**
+ * Global, unanchored variant of {@link ISO8601Regex} for extracting timestamps from
+ * free-form text with `String.prototype.matchAll()` or `replace()`.
+ *
+ * A match must stand on its own as a token: it cannot be preceded by a letter, digit,
+ * `_`, `+` or `-`, nor followed by one of those, or by `.`/`:` and a digit. So
+ * `x2025-11-02T10:20:30Zy`, `12025-11-02T10:20:30Z` and `…T10:20:30.1234Z` yield
+ * nothing instead of a partial match. Punctuation such as spaces, brackets, quotes,
+ * `=`, `/` or a trailing `:`/`.` is fine.
+ *
+ * The pattern has no unbounded repetition, so each attempt inspects at most ~30
+ * characters and scanning stays linear in the input length, also on multi-megabyte
+ * adversarial input. Being global, it keeps `lastIndex` between `exec()`/`test()`
+ * calls; prefer `matchAll()` or {@link findISO8601}, which do not share that state.
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * const line = 'started=2025-11-02T10:20:30Z finished=2025-11-02T10:21:05.250+01:00';
+ * [...line.matchAll(ISO8601ScanRegex)].map((m) => m[0]);
+ * // ['2025-11-02T10:20:30Z', '2025-11-02T10:21:05.250+01:00']
+ */
+const ISO8601ScanRegex = new RegExp(
+  '(?<![\\w+\\-])' +                                  // not glued to a preceding token
+  DATE_SOURCE + 'T' + TIME_SOURCE + TIMEZONE_SOURCE +
+  '(?![\\w+\\-]|[.:]\\d)',                            // not glued to a following token
+  'g'
+);
+
+/**
+ * Iterates over every strict ISO 8601 date-time in `text`, using
+ * {@link ISO8601ScanRegex}.
+ *
+ * @param {string} text - The text to scan.
+ * @returns {Generator<{ match: string, index: number, groups: Record<string, string | undefined> }>}
+ *   Each match, its index in `text` and the named groups of {@link ISO8601Regex}.
+ * @throws {TypeError} If `text` is not a string.
+ * @example
+ * for (const { match, index, groups } of findISO8601('at 2025-11-02T10:20:30Z: ok')) {
+ *   console.log(match, index, groups.timezone); // '2025-11-02T10:20:30Z' 3 'Z'
+ * }
+ */
+function* findISO8601(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError(`Expected a string, received ${text === null ? 'null' : typeof text}`);
+  }
+
+  for (const match of text.matchAll(ISO8601ScanRegex)) {
+    yield { match: match[0], index: match.index, groups: match.groups };
+  }
+}
+
+// RFC 9557 suffix grammar. A time-zone-part may not be exactly "." or "..".
+const TIME_ZONE_PART_SOURCE = '(?!\\.\\.?[/\\]])[A-Za-z._][A-Za-z0-9._+\\-]*';
+const TIME_ZONE_NAME_SOURCE = TIME_ZONE_PART_SOURCE + '(?:/' + TIME_ZONE_PART_SOURCE + ')*';
+const TIME_NUMOFFSET_SOURCE = '[+\\-](?:[01]\\d|2[0-3]):[0-5]\\d';
+const SUFFIX_TAG_SOURCE = '\\[!?[a-z_][a-z0-9_\\-]*=[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*\\]';
+
+/**
+ * Strict ISO 8601 date-time regex that also accepts the RFC 9557 (IXDTF) suffix: an
+ * optional time zone annotation followed by any number of key=value tags, each
+ * optionally marked critical with `!`.
+ *
+ * The date-time itself is validated exactly like {@link ISO8601Regex}. The time zone
+ * annotation is an IANA-style name (`Europe/Paris`) or a numeric offset (`+01:00`) and
+ * must come before the tags. Keys are lowercase (`u-ca`, or `_x` for experimental
+ * keys); values are alphanumeric parts joined by `-`.
+ *
+ * A regex cannot apply the rules that span several annotations (duplicate keys,
+ * critical inconsistencies), so use {@link parseISO8601IXDTF} or
+ * {@link isISO8601IXDTF} to validate those.
+ *
+ * Supported format:
+ *   YYYY-MM-DDTHH:mm:ss(.SSS)?(Z|±HH:MM)([!?zone])?([!?key=value])*
+ *
+ * Named groups: those of {@link ISO8601Regex}, plus `timeZoneCritical` (`'!'` or
+ * `undefined`), `timeZoneAnnotation` and `tags` (the raw tag suffix, possibly empty).
+ *
+ * @constant
+ * @type {RegExp}
+ * @see https://www.rfc-editor.org/rfc/rfc9557
+ * @example
+ * ISO8601IXDTFRegex.test('2025-11-02T10:20:30+01:00[Europe/Paris][u-ca=gregory]'); // true
+ * ISO8601IXDTFRegex.test('2025-11-02T10:20:30Z[!UTC]');                            // true
+ * ISO8601IXDTFRegex.test('2025-11-02T10:20:30Z[u-ca=gregory][Europe/Paris]');      // false — zone must come first
+ * ISO8601IXDTFRegex.test('2025-11-02T10:20:30Z[U-CA=gregory]');                    // false — keys are lowercase
+ */
+const ISO8601IXDTFRegex = new RegExp(
+  '^' + DATE_SOURCE + 'T' + TIME_SOURCE + TIMEZONE_SOURCE +
+  '(?:\\[' +
+    '(?<timeZoneCritical>!)?' +                                        // critical flag
+    '(?<timeZoneAnnotation>' + TIME_ZONE_NAME_SOURCE + '|' + TIME_NUMOFFSET_SOURCE + ')' +
+  '\\])?' +
+  '(?<tags>(?:' + SUFFIX_TAG_SOURCE + ')*)' +                          // [!?key=value]*
+  '$'
+);
+
+const SUFFIX_TAG_REGEX = /\[(!?)([^=]+)=([^\]]+)\]/g;
+
+let supportedTimeZones;
+
+// Intl.supportedValuesOf() lists canonical names only, which in current engines
+// leaves out 'UTC' and renamed zones such as 'Asia/Kolkata'; the runtime still
+// knows those, so fall back to asking Intl.DateTimeFormat.
+function isSupportedTimeZone(name) {
+  supportedTimeZones ??= new Set(Intl.supportedValuesOf('timeZone'));
+  if (supportedTimeZones.has(name)) return true;
+
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses an RFC 9557 (IXDTF) date-time accepted by {@link ISO8601IXDTFRegex} and
+ * applies the rules the regex cannot express:
+ *
+ * - a key may repeat only if none of its occurrences is critical (`!`);
+ * - a critical numeric time zone annotation must match the date-time's offset
+ *   (`Z` and `-00:00` state no local offset and are consistent with any annotation).
+ *
+ * Elective (non-critical) tags are returned as-is for the application to use or
+ * ignore; it is up to the application to reject critical tags it does not support.
+ *
+ * @param {string} input - The string to parse.
+ * @param {{ checkTimeZone?: boolean }} [options]
+ * @param {boolean} [options.checkTimeZone=false] - Also require a named time zone
+ *   annotation to be one the runtime's `Intl` data knows about.
+ * @returns {{
+ *   dateTime: string,
+ *   timeZoneAnnotation: string | null,
+ *   timeZoneCritical: boolean,
+ *   tags: Array<{ key: string, value: string, critical: boolean }>
+ * } | null} The RFC 3339 date-time, the annotations in order, or `null` when invalid.
+ * @example
+ * parseISO8601IXDTF('2025-11-02T10:20:30+01:00[Europe/Paris][!u-ca=gregory]');
+ * // {
+ * //   dateTime: '2025-11-02T10:20:30+01:00',
+ * //   timeZoneAnnotation: 'Europe/Paris',
+ * //   timeZoneCritical: false,
+ * //   tags: [{ key: 'u-ca', value: 'gregory', critical: true }],
+ * // }
+ *
+ * parseISO8601IXDTF('2025-11-02T10:20:30Z[u-ca=gregory][!u-ca=iso8601]'); // null — critical duplicate
+ * parseISO8601IXDTF('2025-11-02T10:20:30+01:00[!+02:00]');                // null — inconsistent offset
+ * parseISO8601IXDTF('2025-11-02T10:20:30Z[Mars/Olympus]', { checkTimeZone: true }); // null
+ */
+function parseISO8601IXDTF(input, { checkTimeZone = false } = {}) {
+  const match = ISO8601IXDTFRegex.exec(input);
+  if (!match) return null;
+
+  const { timezone, timeZoneAnnotation = null, timeZoneCritical, tags: suffix } = match.groups;
+  const critical = timeZoneCritical === '!';
+
+  if (timeZoneAnnotation !== null) {
+    const isOffset = timeZoneAnnotation[0] === '+' || timeZoneAnnotation[0] === '-';
+
+    if (
+      isOffset
+        ? critical &&
+          timezone !== 'Z' &&
+          timezone !== '-00:00' &&
+          timezoneOffsetMinutes(timeZoneAnnotation) !== timezoneOffsetMinutes(timezone)
+        : checkTimeZone && !isSupportedTimeZone(timeZoneAnnotation)
+    ) {
+      return null;
+    }
+  }
+
+  const tags = [];
+  const criticalKeys = new Set();
+
+  for (const [, flag, key, value] of suffix.matchAll(SUFFIX_TAG_REGEX)) {
+    tags.push({ key, value, critical: flag === '!' });
+    if (flag === '!') criticalKeys.add(key);
+  }
+
+  if (criticalKeys.size > 0) {
+    const seen = new Set();
+    for (const { key } of tags) {
+      if (seen.has(key) && criticalKeys.has(key)) return null;
+      seen.add(key);
+    }
+  }
+
+  const bracket = input.indexOf('[');
+
+  return {
+    dateTime: bracket === -1 ? input : input.slice(0, bracket),
+    timeZoneAnnotation,
+    timeZoneCritical: critical,
+    tags,
+  };
+}
+
+/**
+ * Tests whether a string is a valid RFC 9557 (IXDTF) date-time, as accepted by
+ * {@link parseISO8601IXDTF}.
+ *
+ * @param {string} input - The string to validate.
+ * @param {{ checkTimeZone?: boolean }} [options] - See {@link parseISO8601IXDTF}.
+ * @returns {boolean}
+ * @example
+ * isISO8601IXDTF('2025-11-02T10:20:30+01:00[Europe/Paris][u-ca=gregory]'); // true
+ * isISO8601IXDTF('2025-11-02T10:20:30+01:00[!u-ca=gregory][u-ca=hebrew]'); // false
+ */
+function isISO8601IXDTF(input, options) {
+  return parseISO8601IXDTF(input, options) !== null;
+}
+
+const MS_PER_DAY = 86400000;
+const LOCAL_TIME_KINDS = ['gap', 'unique', 'overlap'];   // by number of valid offsets
+const offsetFormatters = new Map();
+
+// Offset of `timeZone` at an instant, in minutes east of UTC, read from Intl's long
+// offset name: 'GMT', 'GMT±HH:MM', or 'GMT±HH:MM:SS' for local mean time.
+function timeZoneOffsetMinutes(timeZone, epochMilliseconds) {
+  let formatter = offsetFormatters.get(timeZone);
+
+  if (formatter === undefined) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' });
+    } catch {
+      throw new RangeError(`Unknown time zone: ${timeZone}`);
+    }
+    offsetFormatters.set(timeZone, formatter);
+  }
+
+  const name = formatter
+    .formatToParts(epochMilliseconds)
+    .find((part) => part.type === 'timeZoneName').value;
+
+  if (name === 'GMT') return 0;
+
+  const minutes =
+    Number(name.slice(4, 6)) * 60 + Number(name.slice(7, 9)) + Number(name.slice(10, 12)) / 60;
+  return name[3] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Checks the offset of a date-time accepted by {@link ISO8601Regex} against an IANA
+ * time zone: it is valid when it is the offset the zone used at the instant the string
+ * denotes. Uses the runtime's built-in `Intl` time zone data, so it works offline and
+ * is as current as the runtime's ICU.
+ *
+ * The result also classifies the wall-clock time in that zone:
+ *
+ * - `'unique'` — exactly one offset is valid;
+ * - `'gap'` — the local time was skipped (e.g. spring-forward), so no offset is valid;
+ * - `'overlap'` — the local time occurred twice (e.g. fall-back), so two offsets are
+ *   valid, listed earlier instant first.
+ *
+ * `Z` is treated as `+00:00`, so it is only valid in zones at UTC+0 at that instant.
+ * Offsets are in minutes east of UTC; the zone's offset can be fractional for
+ * historical local mean time, which no ISO 8601 offset can match.
+ *
+ * @param {string} input - The date-time to check.
+ * @param {string} timeZone - An IANA time zone such as `'America/New_York'`.
+ * @returns {{
+ *   valid: boolean,
+ *   offsetMinutes: number,
+ *   expectedOffsetMinutes: number,
+ *   localTime: 'unique' | 'gap' | 'overlap',
+ *   validOffsetMinutes: number[]
+ * } | null} The check, or `null` when `input` is not accepted by {@link ISO8601Regex}.
+ * @throws {TypeError} If `timeZone` is not a string.
+ * @throws {RangeError} If the runtime does not know `timeZone`.
+ * @example
+ * checkISO8601Offset('2025-07-04T09:00:00-05:00', 'America/New_York');
+ * // { valid: false, offsetMinutes: -300, expectedOffsetMinutes: -240,
+ * //   localTime: 'unique', validOffsetMinutes: [-240] }
+ *
+ * checkISO8601Offset('2025-03-09T02:30:00-05:00', 'America/New_York').localTime; // 'gap'
+ * checkISO8601Offset('2025-11-02T01:30:00-05:00', 'America/New_York');
+ * // { valid: true, offsetMinutes: -300, expectedOffsetMinutes: -300,
+ * //   localTime: 'overlap', validOffsetMinutes: [-240, -300] }
+ */
+function checkISO8601Offset(input, timeZone) {
+  if (typeof timeZone !== 'string') {
+    throw new TypeError(
+      `Expected a time zone string, received ${timeZone === null ? 'null' : typeof timeZone}`
+    );
+  }
+
+  const match = ISO8601Regex.exec(input);
+  if (!match) return null;
+
+  const offsetMinutes = timezoneOffsetMinutes(match.groups.timezone);
+  const epochMilliseconds = groupsToEpochMilliseconds(match.groups);
+  const expectedOffsetMinutes = timeZoneOffsetMinutes(timeZone, epochMilliseconds);
+
+  // The wall-clock time, as if it were UTC. Any offset valid for it is the zone's
+  // offset either a day before or a day after, and must map back onto it.
+  const wallClock = epochMilliseconds + offsetMinutes * 60000;
+  const candidates = new Set([
+    timeZoneOffsetMinutes(timeZone, wallClock - MS_PER_DAY),
+    timeZoneOffsetMinutes(timeZone, wallClock + MS_PER_DAY),
+  ]);
+  const validOffsetMinutes = [...candidates]
+    .filter(
+      (candidate) => timeZoneOffsetMinutes(timeZone, wallClock - candidate * 60000) === candidate
+    )
+    .sort((a, b) => b - a);
+
+  return {
+    valid: offsetMinutes === expectedOffsetMinutes,
+    offsetMinutes,
+    expectedOffsetMinutes,
+    localTime: LOCAL_TIME_KINDS[validOffsetMinutes.length],
+    validOffsetMinutes,
+  };
+}
+
+// '/a/b~1c' → ['a', 'b/c']; '' (the whole document) → [].
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string') {
+    throw new TypeError(
+      `Expected a JSON pointer string, received ${pointer === null ? 'null' : typeof pointer}`
+    );
+  }
+  if (pointer === '') return [];
+  if (pointer[0] !== '/' || /~(?![01])/.test(pointer)) {
+    throw new RangeError(`Invalid JSON pointer ${JSON.stringify(pointer)}`);
+  }
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replaceAll('~1', '/').replaceAll('~0', '~'));
+}
+
+function parsePointers(paths) {
+  if (typeof paths === 'string' || typeof paths?.[Symbol.iterator] !== 'function') {
+    throw new TypeError('Expected an iterable of JSON pointers');
+  }
+  return Array.from(paths, parsePointer);
+}
+
+function formatPointer(trail) {
+  let pointer = '';
+  for (const key of trail) {
+    pointer += '/' + String(key).replaceAll('~', '~0').replaceAll('/', '~1');
+  }
+  return pointer;
+}
+
+// Calls visit(container, key, trail) for every location `tokens` selects below
+// `node`, with container null where the path does not exist. `*` selects every
+// element or member. `trail` holds the concrete keys of the location, so walking
+// allocates nothing until a visitor needs the pointer.
+function walkPointer(node, tokens, depth, trail, visit) {
+  const token = tokens[depth];
+
+  if (node === null || typeof node !== 'object') {
+    trail.push(token);
+    visit(null, token, trail);
+    trail.pop();
+  } else if (token !== '*') {
+    walkMember(node, token, tokens, depth, trail, visit);
+  } else if (Array.isArray(node)) {
+    for (let i = 0; i < node.length; i++) walkMember(node, i, tokens, depth, trail, visit);
+  } else {
+    for (const key in node) {
+      if (Object.hasOwn(node, key)) walkMember(node, key, tokens, depth, trail, visit);
+    }
+  }
+}
+
+function walkMember(node, key, tokens, depth, trail, visit) {
+  trail.push(key);
+
+  if (!Object.hasOwn(node, key)) visit(null, key, trail);
+  else if (depth === tokens.length - 1) visit(node, key, trail);
+  else walkPointer(node[key], tokens, depth + 1, trail, visit);
+
+  trail.pop();
+}
+
+const CONVERTERS = {
+  date: (value) => new Date(groupsToEpochMilliseconds(ISO8601Regex.exec(value).groups)),
+  parsed: (value) => parseISO8601(value),
+};
+
+/**
+ * Creates a `JSON.parse` reviver that converts strict ISO 8601 date-times, as
+ * accepted by {@link ISO8601Regex}, while parsing. Strings that are not strict
+ * date-times are left as they are; use {@link createISO8601Validator} to reject them.
+ *
+ * With `paths`, only the values at those JSON pointers (RFC 6901) are converted;
+ * `*` selects every element of an array or member of an object, as in
+ * `/items/*\/createdAt`. The paths are resolved once the whole document is parsed,
+ * since a reviver sees values bottom-up without their paths. Without `paths`, every
+ * string value that matches is converted.
+ *
+ * @param {{ paths?: Iterable<string>, convert?: 'date' | 'parsed' | ((value: string) => unknown) }} [options]
+ * @param {Iterable<string>} [options.paths] - JSON pointers of the values to convert.
+ * @param {'date' | 'parsed' | ((value: string) => unknown)} [options.convert='date'] -
+ *   `'date'` for a `Date`, `'parsed'` for the result of {@link parseISO8601}, or a
+ *   function called with each matching string, e.g. to build `Temporal` objects.
+ * @returns {(this: any, key: string, value: unknown) => unknown} The reviver.
+ * @throws {TypeError} If `convert` is unknown or `paths` is not an iterable of strings.
+ * @throws {RangeError} If a path is not a valid JSON pointer.
+ * @example
+ * const reviver = createISO8601Reviver({ paths: ['/createdAt', '/items/*\/at'] });
+ * const body = JSON.parse(text, reviver);
+ * body.createdAt instanceof Date; // true
+ *
+ * JSON.parse('{"at":"2025-11-02T10:20:30+01:00","note":"2025-02-29T00:00:00Z"}',
+ *   createISO8601Reviver({ convert: 'parsed' }));
+ * // { at: { year: 2025, ..., offsetMinutes: 60, ... }, note: '2025-02-29T00:00:00Z' }
+ */
+function createISO8601Reviver({ paths, convert = 'date' } = {}) {
+  const converter =
+    typeof convert === 'function'
+      ? convert
+      : CONVERTERS[oneOf('convert', convert, Object.keys(CONVERTERS))];
+
+  if (paths === undefined) {
+    return function reviver(key, value) {
+      return typeof value === 'string' && ISO8601Regex.test(value) ? converter(value) : value;
+    };
+  }
+
+  const pointers = parsePointers(paths);
+  const trail = [];
+  // Holder of the last call that was taken for the root, and the conversions made
+  // from it as [container, key, original, ...], to undo if it was not the root.
+  let root = null;
+  const converted = [];
+
+  function revive(container, key) {
+    if (container === null) return;
+
+    const value = container[key];
+    if (typeof value === 'string' && ISO8601Regex.test(value)) {
+      converted.push(container, key, value);
+      container[key] = converter(value);
+    }
+  }
+
+  return function reviver(key, value) {
+    // JSON.parse calls the reviver last for the root, held under '' by a wrapper
+    // object of its own. A nested object whose only key is '' looks the same, so the
+    // paths are resolved from both; the nested one is passed as the value of the very
+    // next call, which undoes what was converted from it.
+    if (root !== null) {
+      if (value === root) {
+        for (let i = 0; i < converted.length; i += 3) converted[i][converted[i + 1]] = converted[i + 2];
+      }
+      root = null;
+      converted.length = 0;
+    }
+
+    if (key !== '' || Object.keys(this).length !== 1) return value;
+
+    root = this;
+    trail.length = 0;
+    for (const tokens of pointers) {
+      if (tokens.length === 0) revive(this, '');
+      else walkPointer(this[''], tokens, 0, trail, revive);
+    }
+
+    return this[''];
+  };
+}
+
+const NO_ERRORS = Object.freeze([]);
+const MISSING_VALUE = { code: 'MISSING_VALUE', message: 'No value at this path' };
+
+/**
+ * Creates a validator that checks the values at the given JSON pointers (RFC 6901)
+ * like {@link validateISO8601} and returns every failure with its path. `*` selects
+ * every element of an array or member of an object, as in `/items/*\/createdAt`.
+ *
+ * The pointers are parsed once, when the validator is created. Validating walks
+ * only the configured paths, and allocates nothing when everything is valid: the
+ * result is then a shared, frozen empty array.
+ *
+ * @param {Iterable<string>} paths - JSON pointers of the values to check.
+ * @param {{ allowMissing?: boolean }} [options]
+ * @param {boolean} [options.allowMissing=false] - Skip paths that do not exist
+ *   instead of reporting them, at the first missing key, with code `MISSING_VALUE`.
+ * @returns {(value: unknown) => ReadonlyArray<{ path: string, code: string, message: string }>}
+ *   The validator. Failures are listed in path order; empty when all are valid.
+ * @throws {TypeError} If `paths` is not an iterable of strings.
+ * @throws {RangeError} If a path is not a valid JSON pointer.
+ * @example
+ * const validate = createISO8601Validator(['/createdAt', '/items/*\/at']);
+ *
+ * validate({ createdAt: '2025-11-02T10:20:30Z', items: [{ at: '2025-11-02T10:20:30Z' }] });
+ * // []
+ *
+ * validate({ createdAt: '2025-02-29T10:20:30Z', items: [{ at: '2025-11-02T10:20:30Z' }, {}] });
+ * // [
+ * //   { path: '/createdAt', code: 'NOT_LEAP_YEAR',
+ * //     message: 'February 29 does not exist in 2025, which is not a leap year' },
+ * //   { path: '/items/1/at', code: 'MISSING_VALUE', message: 'No value at this path' },
+ * // ]
+ */
+function createISO8601Validator(paths, { allowMissing = false } = {}) {
+  const pointers = parsePointers(paths);
+  const trail = [];
+  let errors = NO_ERRORS;
+
+  boolean('allowMissing', allowMissing);
+
+  function report(trail, { code, message }) {
+    if (errors === NO_ERRORS) errors = [];
+    errors.push({ path: formatPointer(trail), code, message });
+  }
+
+  function check(container, key, trail) {
+    if (container === null) {
+      if (!allowMissing) report(trail, MISSING_VALUE);
+      return;
+    }
+
+    const result = validateISO8601(container[key]);
+    if (!result.valid) report(trail, result);
+  }
+
+  return function validate(value) {
+    errors = NO_ERRORS;
+    trail.length = 0;
+
+    for (const tokens of pointers) {
+      if (tokens.length > 0) {
+        walkPointer(value, tokens, 0, trail, check);
+      } else {
+        const result = validateISO8601(value);
+        if (!result.valid) report(trail, result);
+      }
+    }
+
+    const result = errors;
+    errors = NO_ERRORS;
+    return result;
+  };
+}
+
+/**
+ * Tests whether a value is a string accepted by {@link ISO8601Regex}. Unlike
+ * `ISO8601Regex.test()`, it does not coerce non-strings, and in TypeScript it
+ * narrows the value to the branded `ISO8601String` type.
+ *
+ * @param {unknown} input - The value to test.
+ * @returns {boolean}
+ * @example
+ * if (isISO8601(body.createdAt)) {
+ *   record.createdAt = body.createdAt; // ISO8601String
+ * }
+ *
+ * isISO8601('2025-11-02T10:20:30Z'); // true
+ * isISO8601(null);                   // false — ISO8601Regex.test(null) tests 'null'
+ */
+function isISO8601(input) {
+  return typeof input === 'string' && ISO8601Regex.test(input);
+}
+
+/**
+ * Matches a value against {@link ISO8601Regex}. The same as `ISO8601Regex.exec()`
+ * for strings, but `null` for non-strings, and typed in TypeScript so that `groups`
+ * has exactly the keys of the pattern.
+ *
+ * @param {unknown} input - The value to match.
+ * @returns {RegExpExecArray | null} The match, with `groups` `year`, `month`, `day`,
+ *   `hour`, `minute`, `second`, `millisecond` (possibly `undefined`) and `timezone`.
+ * @example
+ * const match = execISO8601('2025-11-02T10:20:30+01:00');
+ * match?.groups.timezone;    // '+01:00'
+ * match?.groups.millisecond; // undefined
+ */
+function execISO8601(input) {
+  return typeof input === 'string' ? ISO8601Regex.exec(input) : null;
+}
+
+// The groups an instant is computed from; week and ordinal dates have no month and day.
+// Expanded years carry a sign.
+const INSTANT_GROUPS = {
+  year: /^[+-]?[0-9]+$/,
+  month: /^[0-9]+$/,
+  day: /^[0-9]+$/,
+  hour: /^[0-9]+$/,
+};
+
+// A string checked against ISO8601Regex, or the named groups of a calendar date-time
+// match → { epochMilliseconds, subMillisecond (ns) }.
+function toComparableInstant(input) {
+  let groups;
+
+  if (typeof input === 'string') {
+    const match = ISO8601Regex.exec(input);
+    if (!match) {
+      throw new RangeError(`Invalid ISO 8601 date-time: ${validateISO8601(input).message}`);
+    }
+    groups = match.groups;
+  } else if (input !== null && typeof input === 'object') {
+    groups = input;
+  } else {
+    throw new TypeError('Expected an ISO 8601 string or the named groups of a match');
+  }
+
+  if (groups.timezone === undefined) {
+    throw new RangeError('Date-time has no timezone designator, so it is not an instant');
+  }
+  for (const [name, pattern] of Object.entries(INSTANT_GROUPS)) {
+    if (!pattern.test(groups[name])) {
+      throw new RangeError(
+        `Groups have no ${name}: only calendar date-times (YYYY-MM-DDTHH…) can be compared, not week or ordinal dates`
+      );
+    }
+  }
+
+  const { microsecond, nanosecond } = normalizeFraction(groups.fraction ?? groups.millisecond);
+
+  return {
+    epochMilliseconds: groupsToEpochMilliseconds(groups),
+    subMillisecond: microsecond * 1000 + nanosecond,
+  };
+}
+
+/**
+ * Compares two date-times by the instant they denote, once their offsets are applied.
+ * Works on the named groups of {@link ISO8601Regex}, without `Date`, so
+ * `2025-11-02T23:30:00-12:00` and `2025-11-04T01:30:00+14:00` are equal, and
+ * sub-millisecond digits still count when you pass the groups of a
+ * {@link createISO8601Regex} `fraction` match.
+ *
+ * Usable directly as an `Array.prototype.sort()` comparator; the sort is stable, so
+ * equal instants keep their order.
+ *
+ * @param {string | Record<string, string | undefined>} a - A string accepted by
+ *   {@link ISO8601Regex}, or the named groups of a calendar date-time match (`year`,
+ *   `month`, `day`, `hour` …) from any of this package's regexes.
+ * @param {string | Record<string, string | undefined>} b - Likewise.
+ * @returns {-1 | 0 | 1} `-1` if `a` is earlier, `1` if it is later, `0` if both are the same instant.
+ * @throws {RangeError} If a string is not a valid date-time, or groups are not a
+ *   calendar date-time with a timezone.
+ * @throws {TypeError} If an argument is neither a string nor an object.
+ * @example
+ * compareISO8601('2025-11-02T10:00:00+01:00', '2025-11-02T09:30:00Z'); // -1
+ *
+ * ['2025-11-02T10:00:00Z', '2025-11-02T10:00:00+01:00', '2025-11-02T09:59:59-00:30'].sort(compareISO8601);
+ * // ['2025-11-02T10:00:00+01:00', '2025-11-02T10:00:00Z', '2025-11-02T09:59:59-00:30']
+ */
+function compareISO8601(a, b) {
+  const left = toComparableInstant(a);
+  const right = toComparableInstant(b);
+
+  if (left.epochMilliseconds !== right.epochMilliseconds) {
+    return left.epochMilliseconds < right.epochMilliseconds ? -1 : 1;
+  }
+  if (left.subMillisecond !== right.subMillisecond) {
+    return left.subMillisecond < right.subMillisecond ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Tests whether `a` is an earlier instant than `b`. See {@link compareISO8601}.
+ *
+ * @param {string | Record<string, string | undefined>} a
+ * @param {string | Record<string, string | undefined>} b
+ * @returns {boolean}
+ * @throws {RangeError} If a string is not a valid date-time, or groups are not a
+ *   calendar date-time with a timezone.
+ * @throws {TypeError} If an argument is neither a string nor an object.
+ * @example
+ * // The strings sort the other way round: the 3rd at 11:30Z is after the 2nd at 22:00Z.
+ * isBefore('2025-11-02T23:30:00-12:00', '2025-11-03T12:00:00+14:00'); // false
+ */
+function isBefore(a, b) {
+  return compareISO8601(a, b) < 0;
+}
+
+/**
+ * Tests whether `a` is a later instant than `b`. See {@link compareISO8601}.
+ *
+ * @param {string | Record<string, string | undefined>} a
+ * @param {string | Record<string, string | undefined>} b
+ * @returns {boolean}
+ * @throws {RangeError} If a string is not a valid date-time, or groups are not a
+ *   calendar date-time with a timezone.
+ * @throws {TypeError} If an argument is neither a string nor an object.
+ * @example
+ * isAfter('2025-11-03T09:00:00+14:00', '2025-11-02T18:00:00-02:00'); // false — 19:00Z is before 20:00Z
+ */
+function isAfter(a, b) {
+  return compareISO8601(a, b) > 0;
+}
+
+/**
+ * Tests whether `a` and `b` denote the same instant, however they are written. See
+ * {@link compareISO8601}.
+ *
+ * @param {string | Record<string, string | undefined>} a
+ * @param {string | Record<string, string | undefined>} b
+ * @returns {boolean}
+ * @throws {RangeError} If a string is not a valid date-time, or groups are not a
+ *   calendar date-time with a timezone.
+ * @throws {TypeError} If an argument is neither a string nor an object.
+ * @example
+ * isEqualInstant('2025-11-02T10:20:30.5Z', '2025-11-02T11:20:30.500+01:00'); // true
+ * isEqualInstant('2025-11-02T10:20:30Z', '2025-11-02T10:20:30-00:00');       // true
+ */
+function isEqualInstant(a, b) {
+  return compareISO8601(a, b) === 0;
+}
+
+// Instants with a 4-digit UTC year: [0000-01-01T00:00:00Z, 10000-01-01T00:00:00Z).
+const SORT_KEY_MIN = daysFromCivil(0, 1, 1) * 86400000;
+const SORT_KEY_MAX = daysFromCivil(10000, 1, 1) * 86400000;
+
+/**
+ * Normalizes a date-time to a key that sorts lexicographically in instant order: the
+ * instant in UTC, always with nine fraction digits (`YYYY-MM-DDTHH:mm:ss.sssssssssZ`).
+ * Two date-times have the same key exactly when {@link isEqualInstant} is `true`, so
+ * keys can go into database indexes, `Map`s or a plain string sort.
+ *
+ * An offset can carry an instant at the very edges of the 4-digit years outside them
+ * (`0000-01-01T00:00:00+01:00` is in year −1 in UTC); such instants have no key that
+ * sorts with the others, and throw. Use {@link compareISO8601} for those.
+ *
+ * @param {string | Record<string, string | undefined>} input - A string accepted by
+ *   {@link ISO8601Regex}, or the named groups of a calendar date-time match (`year`,
+ *   `month`, `day`, `hour` …) from any of this package's regexes.
+ * @returns {string}
+ * @throws {RangeError} If a string is not a valid date-time, groups are not a calendar
+ *   date-time with a timezone, or the UTC year is outside 0000–9999.
+ * @throws {TypeError} If `input` is neither a string nor an object.
+ * @example
+ * toSortKey('2025-11-02T23:30:00-12:00'); // '2025-11-03T11:30:00.000000000Z'
+ * toSortKey('2025-11-04T01:30:00+14:00'); // '2025-11-03T11:30:00.000000000Z'
+ *
+ * events.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+ */
+function toSortKey(input) {
+  const { epochMilliseconds, subMillisecond } = toComparableInstant(input);
+
+  if (epochMilliseconds < SORT_KEY_MIN || epochMilliseconds >= SORT_KEY_MAX) {
+    throw new RangeError('Instant is outside UTC years 0000–9999, so it has no sort key');
+  }
+
+  return formatISO8601(BigInt(epochMilliseconds) * 1000000n + BigInt(subMillisecond), {
+    fractionDigits: 9,
+  });
+}
+
+module.exports = {
+  ISO8601Regex,
+  ISO8601BasicRegex,
+  ISO8601ExtendedOrBasicRegex,
+  ISO8601DateRegex,
+  ISO8601PartialTimeRegex,
+  ISO8601FullTimeRegex,
+  ISO8601WeekDateRegex,
+  ISO8601WeekDateTimeRegex,
+  ISO8601OrdinalDateRegex,
+  ISO8601OrdinalDateTimeRegex,
+  ordinalToCalendarDate,
+  calendarToOrdinalDate,
+  ISO8601DurationRegex,
+  parseDuration,
+  parseISO8601Interval,
+  isISO8601Interval,
+  ISO8601LeapSecondRegex,
+  IERSLeapSeconds,
+  isISO8601WithLeapSecond,
+  ISO8601ExpandedYearRegex,
+  isISO8601WithExpandedYear,
+  createISO8601Regex,
+  normalizeFraction,
+  parseISO8601,
+  validateISO8601,
+  formatISO8601,
+  ISO8601ScanRegex,
+  findISO8601,
+  ISO8601IXDTFRegex,
+  parseISO8601IXDTF,
+  isISO8601IXDTF,
+  checkISO8601Offset,
+  createISO8601Reviver,
+  createISO8601Validator,
+  isISO8601,
+  execISO8601,
+  compareISO8601,
+  isBefore,
+  isAfter,
+  isEqualInstant,
+  toSortKey,
+};
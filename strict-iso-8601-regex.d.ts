@@ -47,3 +47,1086 @@
  * ISO8601Regex.test('2025-04-31T12:00:00Z'); // false
  */
 export declare const ISO8601Regex: RegExp;
+
+/**
+ * Strict regular expression for validating ISO 8601 date-time strings in basic
+ * (compact) format, without `-` and `:` separators.
+ *
+ * Enforces the same calendar correctness, time rules, −12:00…+14:00 offset bounds and
+ * named groups as {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   YYYYMMDDTHHmmss(.SSS)?(Z|±HHMM)
+ *
+ * Valid examples:
+ * - "20251102T102030Z"
+ * - "20251102T102030.123+0530"            // With milliseconds and offset
+ * - "20240229T120000Z"                    // Leap year (Feb 29 allowed)
+ *
+ * Invalid examples:
+ * - "2025-11-02T10:20:30Z"                // Extended format
+ * - "20250431T120000Z"                    // Invalid day for April
+ * - "20251102T102030+05:30"               // Extended offset
+ * - "20251102T102030+1500"                // Offset out of range
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601BasicRegex.test('20251102T102030Z'); // true
+ * ISO8601BasicRegex.test('20250229T102030Z'); // false
+ */
+export declare const ISO8601BasicRegex: RegExp;
+
+/**
+ * Strict regular expression accepting ISO 8601 date-time strings in either extended
+ * (`2025-11-02T10:20:30Z`) or basic (`20251102T102030Z`) format.
+ *
+ * The whole string must use one format: mixed separators such as
+ * `2025-11-02T102030Z` are rejected. Calendar, time and offset rules and the named
+ * groups are the same as {@link ISO8601Regex}.
+ *
+ * Valid examples:
+ * - "2025-11-02T10:20:30+05:30"
+ * - "20251102T102030+0530"
+ *
+ * Invalid examples:
+ * - "2025-11-02T102030Z"                  // Extended date, basic time
+ * - "20251102T10:20:30Z"                  // Basic date, extended time
+ * - "2025-11-02T10:20:30+0530"            // Basic offset in extended string
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601ExtendedOrBasicRegex.test('20251102T102030Z'); // true
+ * ISO8601ExtendedOrBasicRegex.test('2025-11-02T102030Z'); // false
+ */
+export declare const ISO8601ExtendedOrBasicRegex: RegExp;
+
+/**
+ * Strict regular expression for validating ISO 8601 calendar dates without a time
+ * (RFC 3339 `full-date`).
+ *
+ * Shares the month/day ranges and leap-year rules of {@link ISO8601Regex}, and exposes
+ * the same `year`, `month` and `day` named groups.
+ *
+ * Supported format:
+ *   YYYY-MM-DD
+ *
+ * Valid examples:
+ * - "2025-11-02"
+ * - "2024-02-29"                          // Leap year (Feb 29 allowed)
+ *
+ * Invalid examples:
+ * - "2025-04-31"                          // Invalid day for April
+ * - "1900-02-29"                          // 1900 not a leap year
+ * - "2025-11-02T10:20:30Z"                // Time is not allowed
+ * - "20251102"                            // Basic format not supported
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601DateRegex.test('2024-02-29'); // true
+ * ISO8601DateRegex.test('2025-02-29'); // false
+ */
+export declare const ISO8601DateRegex: RegExp;
+
+/**
+ * Strict regular expression for validating ISO 8601 times of day without an offset
+ * (RFC 3339 `partial-time`), such as local wall-clock times.
+ *
+ * Uses the same hour/minute/second/millisecond rules and named groups as
+ * {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   HH:mm:ss(.SSS)?
+ *
+ * Valid examples:
+ * - "09:30:00"
+ * - "23:59:59.999"                        // With milliseconds
+ *
+ * Invalid examples:
+ * - "09:30:00Z"                           // Offset is not allowed
+ * - "24:00:00"                            // Invalid hour
+ * - "09:30"                               // Missing seconds
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601PartialTimeRegex.test('09:30:00'); // true
+ * ISO8601PartialTimeRegex.test('09:30:00Z'); // false
+ */
+export declare const ISO8601PartialTimeRegex: RegExp;
+
+/**
+ * Strict regular expression for validating ISO 8601 times of day with a UTC designator
+ * or offset (RFC 3339 `full-time`).
+ *
+ * Uses the same time rules, −12:00…+14:00 offset bounds and named groups as
+ * {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   HH:mm:ss(.SSS)?(Z|±HH:MM)
+ *
+ * Valid examples:
+ * - "09:30:00+01:00"
+ * - "10:20:30.123Z"                       // With milliseconds
+ *
+ * Invalid examples:
+ * - "09:30:00"                            // Missing timezone
+ * - "09:30:00+15:00"                      // Offset out of range
+ * - "2025-11-02T09:30:00Z"                // Date is not allowed
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601FullTimeRegex.test('09:30:00+01:00'); // true
+ * ISO8601FullTimeRegex.test('09:30:00'); // false
+ */
+export declare const ISO8601FullTimeRegex: RegExp;
+
+/**
+ * Strict regular expression for validating ISO 8601 week dates.
+ *
+ * Week 53 is only accepted in ISO week-numbering years that actually have 53 weeks
+ * (years starting on a Thursday, or leap years starting on a Wednesday), the same way
+ * {@link ISO8601Regex} only accepts Feb 29 in leap years.
+ *
+ * Supported format:
+ *   YYYY-Www-D
+ *
+ * Valid examples:
+ * - "2025-W45-7"                          // Sunday of week 45
+ * - "2026-W53-4"                          // 2026 has 53 ISO weeks
+ *
+ * Invalid examples:
+ * - "2025-W53-1"                          // 2025 only has 52 ISO weeks
+ * - "2025-W00-1"                          // Invalid week
+ * - "2025-W45-8"                          // Invalid weekday
+ * - "2025W457"                            // Basic format not supported
+ *
+ * ### Named groups
+ * - `year`: ISO week-numbering year (may differ from the calendar year near January 1)
+ * - `week`: 01–53
+ * - `weekday`: 1 (Monday) – 7 (Sunday)
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601WeekDateRegex.test('2026-W53-4'); // true
+ * ISO8601WeekDateRegex.test('2025-W53-4'); // false
+ */
+export declare const ISO8601WeekDateRegex: RegExp;
+
+/**
+ * Strict regular expression for validating ISO 8601 week date-time strings.
+ *
+ * Combines the week-date rules of {@link ISO8601WeekDateRegex} with the time and
+ * timezone rules of {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   YYYY-Www-DTHH:mm:ss(.SSS)?(Z|±HH:MM)
+ *
+ * Valid examples:
+ * - "2026-W53-4T10:20:30Z"
+ * - "2025-W01-1T00:00:00.000+01:00"
+ *
+ * Invalid examples:
+ * - "2025-W53-4T10:20:30Z"                // 2025 only has 52 ISO weeks
+ * - "2026-W53-4T10:20:30"                 // Missing timezone
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601WeekDateTimeRegex.test('2026-W53-4T10:20:30Z'); // true
+ * ISO8601WeekDateTimeRegex.test('2025-W53-4T10:20:30Z'); // false
+ */
+export declare const ISO8601WeekDateTimeRegex: RegExp;
+
+/**
+ * Strict regular expression for validating ISO 8601 ordinal dates.
+ *
+ * Day 366 is only accepted in leap years, using the same Gregorian rules as the Feb 29
+ * check of {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   YYYY-DDD
+ *
+ * Valid examples:
+ * - "2025-032"                            // February 1
+ * - "2024-366"                            // Leap year (day 366 allowed)
+ *
+ * Invalid examples:
+ * - "2025-366"                            // 2025 not a leap year
+ * - "2025-000"                            // Invalid day
+ * - "2025-32"                             // Day must have 3 digits
+ *
+ * ### Named groups
+ * - `year`: 0000–9999
+ * - `ordinalDay`: 001–366
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601OrdinalDateRegex.test('2024-366'); // true
+ * ISO8601OrdinalDateRegex.test('2025-366'); // false
+ */
+export declare const ISO8601OrdinalDateRegex: RegExp;
+
+/**
+ * Strict regular expression for validating ISO 8601 ordinal date-time strings.
+ *
+ * Combines the ordinal-date rules of {@link ISO8601OrdinalDateRegex} with the time and
+ * timezone rules of {@link ISO8601Regex}.
+ *
+ * Supported format:
+ *   YYYY-DDDTHH:mm:ss(.SSS)?(Z|±HH:MM)
+ *
+ * Valid examples:
+ * - "2025-032T10:00:00Z"
+ * - "2024-366T23:59:59.999+14:00"
+ *
+ * Invalid examples:
+ * - "2025-366T10:00:00Z"                  // 2025 not a leap year
+ * - "2025-032T10:00:00"                   // Missing timezone
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601OrdinalDateTimeRegex.test('2025-032T10:00:00Z'); // true
+ * ISO8601OrdinalDateTimeRegex.test('2025-366T10:00:00Z'); // false
+ */
+export declare const ISO8601OrdinalDateTimeRegex: RegExp;
+
+/** A calendar date as numbers. */
+export interface CalendarDate {
+  year: number;
+  month: number;
+  day: number;
+}
+
+/** An ordinal date (day of the year) as numbers. */
+export interface OrdinalDate {
+  year: number;
+  ordinalDay: number;
+}
+
+/**
+ * Converts an ordinal date (year + day of year) into a calendar date.
+ *
+ * @throws {RangeError} If the year or day of the year is out of range.
+ * @example
+ * ordinalToCalendarDate(2024, 366); // { year: 2024, month: 12, day: 31 }
+ * ordinalToCalendarDate(2025, 32);  // { year: 2025, month: 2, day: 1 }
+ */
+export declare function ordinalToCalendarDate(
+  year: number,
+  ordinalDay: number
+): CalendarDate;
+
+/**
+ * Converts a calendar date into an ordinal date (year + day of year).
+ *
+ * @throws {RangeError} If the date does not exist (e.g. Feb 29 in a common year).
+ * @example
+ * calendarToOrdinalDate(2024, 12, 31); // { year: 2024, ordinalDay: 366 }
+ * calendarToOrdinalDate(2025, 2, 1);   // { year: 2025, ordinalDay: 32 }
+ */
+export declare function calendarToOrdinalDate(
+  year: number,
+  month: number,
+  day: number
+): OrdinalDate;
+
+/**
+ * Strict regular expression for validating ISO 8601 durations.
+ *
+ * Supported formats:
+ *   PnYnMnDTnHnMnS                        // Any subset of components, in this order
+ *   PnW                                   // Weeks on their own
+ *
+ * Valid examples:
+ * - "P1Y2M10DT2H30M"
+ * - "PT36H"                               // Components may exceed their carry-over point
+ * - "PT0.5S"                              // Fraction on the last component
+ * - "P2W"
+ *
+ * Invalid examples:
+ * - "P"                                   // No components
+ * - "P1DT"                                // Empty time part
+ * - "P0.5DT1H"                            // Fraction on a non-final component
+ * - "P1W2D"                               // Weeks combined with other components
+ * - "PT1,5S"                              // Comma decimal sign
+ * - "-P1D"                                // Negative durations
+ *
+ * ### Named groups
+ * `years`, `months`, `weeks`, `days`, `hours`, `minutes`, `seconds` — each is the raw
+ * number (with fraction, if any) or `undefined` when the component is absent.
+ *
+ * ### Backtracking
+ * Every component is a digit run followed by a letter designator, so each character
+ * is consumed by exactly one quantifier and matching is linear in the input length.
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601DurationRegex.test('P1Y2M10DT2H30M'); // true
+ * ISO8601DurationRegex.test('PT'); // false
+ */
+export declare const ISO8601DurationRegex: RegExp;
+
+/** Components of an ISO 8601 duration, `0` when absent. */
+export interface ISO8601Duration {
+  years: number;
+  months: number;
+  weeks: number;
+  days: number;
+  hours: number;
+  minutes: number;
+  seconds: number;
+}
+
+/**
+ * Parses an ISO 8601 duration validated by {@link ISO8601DurationRegex}.
+ *
+ * Components are returned as numbers, with `0` for absent components. Only the last
+ * component may be fractional.
+ *
+ * @returns The parsed components, or `null` if the input is not a valid duration.
+ * @example
+ * parseDuration('PT1.5S');
+ * // { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 1.5 }
+ * parseDuration('P'); // null
+ */
+export declare function parseDuration(input: string): ISO8601Duration | null;
+
+/** Result of {@link parseISO8601Interval}. */
+export interface ISO8601Interval {
+  /**
+   * Start date-time. For duration/end intervals it is computed from the end, or `null`
+   * when the duration has a fraction of a year, month, week or day, or the start would
+   * fall outside years 0000–9999.
+   */
+  start: string | null;
+  /**
+   * End date-time, expanded if abbreviated. For start/duration intervals it is computed
+   * from the start, or `null` in the same cases as `start`.
+   */
+  end: string | null;
+  /**
+   * Duration. For start/end intervals, the exact elapsed days (of 24 hours), hours,
+   * minutes and seconds, with years, months and weeks 0.
+   */
+  duration: ISO8601Duration;
+  /** Repeat count, `Infinity` for `R/`, or `null` if the interval does not repeat. */
+  repetitions: number | null;
+}
+
+/**
+ * Parses an ISO 8601 time interval or repeating interval whose date-times are
+ * validated by {@link ISO8601Regex} and durations by {@link ISO8601DurationRegex}.
+ *
+ * Supported forms:
+ *   start/end                             // 2025-11-02T10:00:00Z/2025-11-02T12:00:00Z
+ *   start/duration                        // 2025-11-02T10:00:00Z/PT2H
+ *   duration/end                          // PT2H/2025-11-02T12:00:00Z
+ *   Rn/<interval>, R/<interval>           // R5/2025-11-02T10:00:00Z/P1D
+ *
+ * The end of a start/end interval may omit leading components, which are taken from
+ * the start (`2025-11-02T10:00:00Z/12:00:00Z`, `2025-11-02T10:00:00Z/03T09:00:00`).
+ * It must not be before the start once both offsets are applied.
+ *
+ * The member the input leaves out is computed. A start or end is found by calendar
+ * arithmetic in the offset of the other date-time: years and months first, with the
+ * day clamped to the end of the month, then weeks and days, then the time.
+ *
+ * @returns The parsed interval, or `null` if the input is not a valid interval.
+ * @example
+ * parseISO8601Interval('2025-11-02T10:00:00Z/12:00:00Z');
+ * // { start: '2025-11-02T10:00:00Z', end: '2025-11-02T12:00:00Z',
+ * //   duration: { years: 0, months: 0, weeks: 0, days: 0, hours: 2, minutes: 0, seconds: 0 },
+ * //   repetitions: null }
+ * parseISO8601Interval('2025-01-31T00:00:00Z/P1M')?.end; // '2025-02-28T00:00:00Z'
+ * parseISO8601Interval('2025-11-02T12:00:00+01:00/2025-11-02T10:00:00Z'); // null — ends 1 h before it starts
+ */
+export declare function parseISO8601Interval(input: string): ISO8601Interval | null;
+
+/**
+ * Tests whether a string is a valid ISO 8601 time interval or repeating interval, as
+ * accepted by {@link parseISO8601Interval}.
+ *
+ * @example
+ * isISO8601Interval('R5/2025-11-02T10:00:00Z/P1D'); // true
+ * isISO8601Interval('2025-11-02T12:00:00Z/2025-11-02T10:00:00Z'); // false — end before start
+ */
+export declare function isISO8601Interval(input: string): boolean;
+
+/**
+ * Regular expression accepting ISO 8601 date-time strings with a leap second
+ * (`:60`), as permitted by RFC 3339.
+ *
+ * Identical to {@link ISO8601Regex} except that the second may be `60`. A regex cannot
+ * check *when* the leap second falls once the offset is applied, so use
+ * {@link isISO8601WithLeapSecond} to validate the position.
+ *
+ * Supported format:
+ *   YYYY-MM-DDTHH:mm:ss(.SSS)?(Z|±HH:MM), ss = 00–60
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601LeapSecondRegex.test('2016-12-31T23:59:60Z'); // true
+ * ISO8601LeapSecondRegex.test('2016-12-31T23:59:61Z'); // false
+ */
+export declare const ISO8601LeapSecondRegex: RegExp;
+
+/**
+ * UTC dates at the end of which a leap second (`23:59:60Z`) was inserted, from the
+ * IERS Bulletin C announcements. No leap second has been scheduled since
+ * 2016-12-31; new entries must be added here when one is announced.
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ * @see https://hpiers.obspm.fr/iers/bul/bulc/Leap_Second.dat
+ */
+export declare const IERSLeapSeconds: ReadonlyArray<string>;
+
+/** Options for {@link isISO8601WithLeapSecond}. */
+export interface LeapSecondOptions {
+  /** Also require a published IERS leap second from {@link IERSLeapSeconds}. Defaults to `false`. */
+  strict?: boolean;
+}
+
+/**
+ * Validates an ISO 8601 date-time that may contain a leap second.
+ *
+ * Strings without a leap second are validated exactly like {@link ISO8601Regex}.
+ * Second `60` is only accepted when, after applying the offset, it falls at
+ * `23:59:60Z` on June 30 or December 31 — the only points where leap seconds can be
+ * inserted. With `strict: true`, the date must also be a published leap second from
+ * {@link IERSLeapSeconds}.
+ *
+ * @example
+ * isISO8601WithLeapSecond('2016-12-31T23:59:60Z');                     // true
+ * isISO8601WithLeapSecond('2017-01-01T00:59:60+01:00');                // true — 23:59:60Z
+ * isISO8601WithLeapSecond('2016-12-31T23:59:60+01:00');                // false — 22:59:60Z
+ * isISO8601WithLeapSecond('2017-06-30T23:59:60Z');                     // true
+ * isISO8601WithLeapSecond('2017-06-30T23:59:60Z', { strict: true });   // false — no leap second that day
+ */
+export declare function isISO8601WithLeapSecond(
+  input: string,
+  options?: LeapSecondOptions
+): boolean;
+
+/**
+ * Strict ISO 8601 date-time regex that also accepts the expanded years produced by
+ * `Date.prototype.toISOString()` outside 0000–9999: a sign and 6 digits, from
+ * `-271821` to `+275760`. `-000000` is rejected, as in ECMAScript, and leap years
+ * follow the proleptic Gregorian calendar (year 0 and -4 are leap years, -100 is not).
+ *
+ * Years are bounded here, but the exact ECMAScript time-value limits depend on the
+ * offset; use {@link isISO8601WithExpandedYear} to enforce them.
+ *
+ * Supported format:
+ *   (YYYY|±YYYYYY)-MM-DDTHH:mm:ss(.SSS)?(Z|±HH:MM)
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * ISO8601ExpandedYearRegex.test('+275760-09-13T00:00:00.000Z'); // true
+ * ISO8601ExpandedYearRegex.test('-000001-12-31T00:00:00Z');      // true
+ * ISO8601ExpandedYearRegex.test('-000000-01-01T00:00:00Z');      // false
+ * ISO8601ExpandedYearRegex.test('-000100-02-29T00:00:00Z');      // false — not a leap year
+ */
+export declare const ISO8601ExpandedYearRegex: RegExp;
+
+/**
+ * Validates an ISO 8601 date-time that may use an expanded year, and checks that the
+ * instant is within the ECMAScript time-value range (±8.64e15 ms, i.e.
+ * `-271821-04-20T00:00:00Z` to `+275760-09-13T00:00:00Z`). Anything it accepts
+ * round-trips through `Date`.
+ *
+ * @example
+ * isISO8601WithExpandedYear('+275760-09-13T00:00:00.000Z');  // true
+ * isISO8601WithExpandedYear('+275760-09-13T00:00:00.001Z');  // false — beyond the Date range
+ * isISO8601WithExpandedYear('+275760-09-13T01:00:00+01:00'); // true — same instant as the maximum
+ */
+export declare function isISO8601WithExpandedYear(input: string): boolean;
+
+/** Fractional-second precision accepted by {@link createISO8601Regex}. */
+export type FractionPrecision =
+  /** Required, exactly `digits` digits. */
+  | { mode: 'exact'; digits: number }
+  /** Optional, 1 to `digits` digits. */
+  | { mode: 'max'; digits: number }
+  /** Optional, any number of digits; matching stays linear in the input length. */
+  | { mode: 'unlimited' };
+
+/** Time precision of a date-time: which of hour, minute and second were written. */
+export type ISO8601Precision = 'second' | 'minute' | 'hour';
+
+/** Options for {@link createISO8601Regex}. Omitted options keep the {@link ISO8601Regex} behavior. */
+export interface ISO8601RegexOptions {
+  /**
+   * Date/time separator: `'T'` (default), `'space'` (allowed by RFC 3339 section 5.6)
+   * or `'any'` of the two.
+   */
+  separator?: 'T' | 'space' | 'any';
+  /** Also accept lowercase `t` and `z`. Defaults to `false`. */
+  lowercase?: boolean;
+  /**
+   * Timezone policy: `'required'` (default, `Z` or an offset), `'utc'` (`Z` only),
+   * `'offset'` (numeric offset only) or `'optional'` (the `timezone` group may be
+   * undefined).
+   */
+  timezone?: 'required' | 'utc' | 'offset' | 'optional';
+  /** Accept `-00:00`, the RFC 3339 "unknown local offset". Defaults to `true`. */
+  allowUnknownOffset?: boolean;
+  /**
+   * Accepted offsets: `'real-world'` (default, −12:00…+14:00) or `'rfc3339'` (the full
+   * ±00:00…±23:59 grammar).
+   */
+  offsetRange?: 'real-world' | 'rfc3339';
+  /**
+   * Also accept signed 6-digit years, like {@link ISO8601ExpandedYearRegex}. Defaults
+   * to `false`. {@link parseISO8601} returns `null` beyond the ECMAScript time-value range.
+   */
+  expandedYear?: boolean;
+  /**
+   * Coarsest time precision accepted: `'second'` (default) requires seconds,
+   * `'minute'` also accepts `10:20`, and `'hour'` also accepts `10`. Omitted `minute`
+   * and `second` groups are undefined; a fraction is only allowed after seconds.
+   */
+  precision?: ISO8601Precision;
+  /**
+   * Fractional-second precision, captured in a `fraction` group. When omitted, up to
+   * 3 digits are captured in the `millisecond` group, like {@link ISO8601Regex}.
+   */
+  fraction?: FractionPrecision;
+}
+
+/**
+ * Builds (and caches) a strict ISO 8601 date-time regex from an options object.
+ *
+ * Calling it without options (or with only default values) returns
+ * {@link ISO8601Regex} itself; equal options return the same RegExp instance, except
+ * with more than 9 fraction `digits`, which build a new one on each call. Every
+ * preset keeps the calendar and time rules and the named groups of
+ * {@link ISO8601Regex}.
+ *
+ * @throws {TypeError} If an option is not recognized or has an invalid value.
+ * @throws {RangeError} If `digits` is not a positive integer.
+ * @example
+ * const utcOnly = createISO8601Regex({ timezone: 'utc' });
+ * utcOnly.test('2025-11-02T10:20:30Z');      // true
+ * utcOnly.test('2025-11-02T10:20:30+01:00'); // false
+ *
+ * const postgres = createISO8601Regex({ separator: 'space', fraction: { mode: 'max', digits: 6 } });
+ * postgres.test('2025-11-02 10:20:30.123456+00:00'); // true
+ */
+export declare function createISO8601Regex(options?: ISO8601RegexOptions): RegExp;
+
+/** Fractional seconds split into sub-second components, each 0–999. */
+export interface NormalizedFraction {
+  millisecond: number;
+  microsecond: number;
+  nanosecond: number;
+}
+
+/**
+ * Splits fractional-second digits (the `fraction` or `millisecond` group) into
+ * millisecond, microsecond and nanosecond components. Digits beyond nanosecond
+ * precision are truncated.
+ *
+ * @example
+ * normalizeFraction('5');          // { millisecond: 500, microsecond: 0, nanosecond: 0 }
+ * normalizeFraction('123456789');  // { millisecond: 123, microsecond: 456, nanosecond: 789 }
+ */
+export declare function normalizeFraction(fraction: string | undefined): NormalizedFraction;
+
+/** Result of {@link parseISO8601}. */
+export interface ParsedISO8601 {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+  millisecond: number;
+  microsecond: number;
+  nanosecond: number;
+  /** Minutes east of UTC (`Z` is 0), or `null` when the input has no timezone. */
+  offsetMinutes: number | null;
+  /** Milliseconds since the Unix epoch, or `null` when the input has no timezone. */
+  epochMilliseconds: number | null;
+  /** Nanoseconds since the Unix epoch, or `null` when the input has no timezone. */
+  epochNanoseconds: bigint | null;
+  /**
+   * The time components written: `'second'`, or `'minute'`/`'hour'` for the reduced
+   * precision accepted with the `precision` option. Omitted components are 0, so
+   * `10:20` and `10:20:00` differ only here.
+   */
+  precision: ISO8601Precision;
+}
+
+/**
+ * Parses an ISO 8601 date-time into numeric fields and exact epoch values, using the
+ * named groups of {@link ISO8601Regex} (or of the {@link createISO8601Regex} preset
+ * built from `options`).
+ *
+ * The epoch is computed from the fields themselves, without `Date`, so nothing rolls
+ * over and no precision is lost.
+ *
+ * @returns The parsed value, or `null` if the input does not match.
+ * @example
+ * parseISO8601('2025-11-02T10:20:30.123+09:30')?.offsetMinutes; // 570
+ * parseISO8601('2025-11-02T10:20:30.123456789Z', { fraction: { mode: 'max', digits: 9 } })
+ *   ?.epochNanoseconds; // 1762078830123456789n
+ * parseISO8601('2025-02-29T10:20:30Z'); // null
+ */
+export declare function parseISO8601(
+  input: string,
+  options?: ISO8601RegexOptions
+): ParsedISO8601 | null;
+
+/** Machine-readable reasons reported by {@link validateISO8601}. */
+export type ISO8601ErrorCode =
+  | 'INVALID_TYPE'
+  | 'INVALID_YEAR'
+  | 'INVALID_MONTH'
+  | 'MONTH_OUT_OF_RANGE'
+  | 'INVALID_DAY'
+  | 'DAY_OUT_OF_RANGE'
+  | 'NOT_LEAP_YEAR'
+  | 'INVALID_SEPARATOR'
+  | 'MISSING_TIME'
+  | 'INVALID_HOUR'
+  | 'HOUR_OUT_OF_RANGE'
+  | 'INVALID_MINUTE'
+  | 'MINUTE_OUT_OF_RANGE'
+  | 'MISSING_SECONDS'
+  | 'INVALID_SECOND'
+  | 'SECOND_OUT_OF_RANGE'
+  | 'INVALID_FRACTION'
+  | 'FRACTION_TOO_LONG'
+  | 'MISSING_TIMEZONE'
+  | 'INVALID_TIMEZONE'
+  | 'OFFSET_OUT_OF_RANGE'
+  | 'TRAILING_CHARACTERS';
+
+/** Result of {@link validateISO8601}. */
+export type ISO8601ValidationResult =
+  | { readonly valid: true }
+  | {
+      valid: false;
+      code: ISO8601ErrorCode;
+      /** Position of the offending character (the input length when it ends too early). */
+      index: number;
+      /** Human-readable explanation. */
+      message: string;
+    };
+
+/**
+ * Validates an ISO 8601 date-time like {@link ISO8601Regex} and, when it is rejected,
+ * explains why with the first violation found.
+ *
+ * Valid input costs a single `ISO8601Regex.test()` and returns a shared frozen
+ * `{ valid: true }` object.
+ *
+ * @example
+ * validateISO8601('2025-11-02T10:20:30Z'); // { valid: true }
+ * validateISO8601('2025-02-29T10:20:30Z');
+ * // { valid: false, code: 'NOT_LEAP_YEAR', index: 8,
+ * //   message: 'February 29 does not exist in 2025, which is not a leap year' }
+ */
+export declare function validateISO8601(input: unknown): ISO8601ValidationResult;
+
+/** Date-time components accepted by {@link formatISO8601}; a {@link ParsedISO8601} also fits. */
+export interface ISO8601Components {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+  /** Defaults to 0. */
+  millisecond?: number;
+  /** Defaults to 0. */
+  microsecond?: number;
+  /** Defaults to 0. */
+  nanosecond?: number;
+  /**
+   * Offset the components are expressed in, in minutes east of UTC. Defaults to 0, as
+   * does `null` (a {@link ParsedISO8601} without a timezone designator).
+   */
+  offsetMinutes?: number | null;
+}
+
+/** Options for {@link formatISO8601}. */
+export interface FormatISO8601Options {
+  /** Output offset, −720 to 840. Defaults to the offset of the components, or UTC. */
+  offsetMinutes?: number;
+  /** Fraction digits, 0 (none) to 9; extra precision is truncated. Defaults to 3. */
+  fractionDigits?: number;
+  /** How a zero offset is written. Defaults to `'Z'`. */
+  utc?: 'Z' | '+00:00' | '-00:00';
+}
+
+/**
+ * Formats a `Date`, integer epoch milliseconds, BigInt epoch nanoseconds or date-time
+ * components as a strict ISO 8601 string.
+ *
+ * Invalid components (Feb 30, hour 24, offset +15:00) and instants beyond the
+ * ECMAScript time-value range throw instead of rolling over. The result matches
+ * {@link ISO8601Regex} for years 0000–9999 with `fractionDigits` ≤ 3; other years use
+ * the expanded `±YYYYYY` form of {@link ISO8601ExpandedYearRegex}, and more digits
+ * need a `createISO8601Regex({ fraction })` preset.
+ *
+ * @throws {RangeError} If a component, the offset or `fractionDigits` is invalid, or the instant is out of range.
+ * @throws {TypeError} If `value` is not a supported type.
+ * @example
+ * formatISO8601(1762078830123, { offsetMinutes: 330 });       // '2025-11-02T15:50:30.123+05:30'
+ * formatISO8601(1762078830123456789n, { fractionDigits: 9 }); // '2025-11-02T10:20:30.123456789Z'
+ */
+export declare function formatISO8601(
+  value: Date | number | bigint | ISO8601Components,
+  options?: FormatISO8601Options
+): string;
+
+/**
+ * Global, unanchored variant of {@link ISO8601Regex} for extracting timestamps from
+ * free-form text with `String.prototype.matchAll()` or `replace()`.
+ *
+ * A match must stand on its own as a token: it cannot be preceded by a letter, digit,
+ * `_`, `+` or `-`, nor followed by one of those, or by `.`/`:` and a digit, so
+ * `x2025-11-02T10:20:30Zy` yields nothing instead of a partial match. Scanning stays
+ * linear in the input length.
+ *
+ * @constant
+ * @type {RegExp}
+ * @example
+ * const line = 'started=2025-11-02T10:20:30Z finished=2025-11-02T10:21:05.250+01:00';
+ * [...line.matchAll(ISO8601ScanRegex)].map((m) => m[0]);
+ * // ['2025-11-02T10:20:30Z', '2025-11-02T10:21:05.250+01:00']
+ */
+export declare const ISO8601ScanRegex: RegExp;
+
+/** A date-time found by {@link findISO8601}. */
+export interface ISO8601Match {
+  /** The matched date-time. */
+  match: string;
+  /** Index of the match in the scanned text. */
+  index: number;
+  /** Named groups, as captured by {@link ISO8601Regex}. */
+  groups: ISO8601Groups;
+}
+
+/**
+ * Iterates over every strict ISO 8601 date-time in `text`, using
+ * {@link ISO8601ScanRegex}.
+ *
+ * @throws {TypeError} If `text` is not a string.
+ * @example
+ * for (const { match, index, groups } of findISO8601('at 2025-11-02T10:20:30Z: ok')) {
+ *   console.log(match, index, groups.timezone); // '2025-11-02T10:20:30Z' 3 'Z'
+ * }
+ */
+export declare function findISO8601(text: string): Generator<ISO8601Match, void, undefined>;
+
+/**
+ * Strict ISO 8601 date-time regex that also accepts the RFC 9557 (IXDTF) suffix: an
+ * optional time zone annotation (`[Europe/Paris]`, `[+01:00]`) followed by any number
+ * of key=value tags (`[u-ca=gregory]`), each optionally marked critical with `!`.
+ *
+ * Named groups: those of {@link ISO8601Regex}, plus `timeZoneCritical`,
+ * `timeZoneAnnotation` and `tags` (the raw tag suffix). Rules that span several
+ * annotations are applied by {@link parseISO8601IXDTF} and {@link isISO8601IXDTF}.
+ *
+ * @constant
+ * @type {RegExp}
+ * @see https://www.rfc-editor.org/rfc/rfc9557
+ * @example
+ * ISO8601IXDTFRegex.test('2025-11-02T10:20:30+01:00[Europe/Paris][u-ca=gregory]'); // true
+ * ISO8601IXDTFRegex.test('2025-11-02T10:20:30Z[u-ca=gregory][Europe/Paris]');      // false — zone must come first
+ */
+export declare const ISO8601IXDTFRegex: RegExp;
+
+/** A key=value suffix tag of an RFC 9557 date-time. */
+export interface IXDTFTag {
+  /** The key, e.g. `'u-ca'`. */
+  key: string;
+  /** The value, e.g. `'gregory'`. */
+  value: string;
+  /** Whether the tag was marked critical with `!`. */
+  critical: boolean;
+}
+
+/** Result of {@link parseISO8601IXDTF}. */
+export interface ParsedISO8601IXDTF {
+  /** The RFC 3339 date-time before the suffix. */
+  dateTime: string;
+  /** The time zone name or numeric offset in the annotation, or `null` when absent. */
+  timeZoneAnnotation: string | null;
+  /** Whether the time zone annotation was marked critical with `!`. */
+  timeZoneCritical: boolean;
+  /** The suffix tags, in order. */
+  tags: IXDTFTag[];
+}
+
+export interface IXDTFOptions {
+  /**
+   * Also require a named time zone annotation to be one the runtime's `Intl` data
+   * knows about. Default `false`.
+   */
+  checkTimeZone?: boolean;
+}
+
+/**
+ * Parses an RFC 9557 (IXDTF) date-time accepted by {@link ISO8601IXDTFRegex}, and
+ * rejects keys repeated with a critical occurrence and critical numeric annotations
+ * that contradict the offset.
+ *
+ * @returns The date-time and its annotations, or `null` when invalid.
+ * @example
+ * parseISO8601IXDTF('2025-11-02T10:20:30+01:00[Europe/Paris][!u-ca=gregory]');
+ * // { dateTime: '2025-11-02T10:20:30+01:00', timeZoneAnnotation: 'Europe/Paris',
+ * //   timeZoneCritical: false, tags: [{ key: 'u-ca', value: 'gregory', critical: true }] }
+ */
+export declare function parseISO8601IXDTF(
+  input: string,
+  options?: IXDTFOptions
+): ParsedISO8601IXDTF | null;
+
+/**
+ * Tests whether a string is a valid RFC 9557 (IXDTF) date-time, as accepted by
+ * {@link parseISO8601IXDTF}.
+ *
+ * @example
+ * isISO8601IXDTF('2025-11-02T10:20:30+01:00[!u-ca=gregory][u-ca=hebrew]'); // false
+ */
+export declare function isISO8601IXDTF(input: string, options?: IXDTFOptions): boolean;
+
+/** Result of {@link checkISO8601Offset}. */
+export interface ISO8601OffsetCheck {
+  /** Whether the offset is the one the zone used at the instant the string denotes. */
+  valid: boolean;
+  /** The offset in the string, in minutes east of UTC (`Z` is `0`). */
+  offsetMinutes: number;
+  /** The zone's offset at that instant (fractional for historical local mean time). */
+  expectedOffsetMinutes: number;
+  /**
+   * How the wall-clock time maps onto the zone: to one instant, to none (skipped by a
+   * DST gap), or to two (repeated in an overlap).
+   */
+  localTime: 'unique' | 'gap' | 'overlap';
+  /** The offsets valid for the wall-clock time in the zone, earlier instant first. */
+  validOffsetMinutes: number[];
+}
+
+/**
+ * Checks the offset of a date-time accepted by {@link ISO8601Regex} against an IANA
+ * time zone, using the runtime's built-in `Intl` data, and reports DST gaps and
+ * overlaps for the wall-clock time.
+ *
+ * @returns The check, or `null` when `input` is not accepted by {@link ISO8601Regex}.
+ * @throws {TypeError} If `timeZone` is not a string.
+ * @throws {RangeError} If the runtime does not know `timeZone`.
+ * @example
+ * checkISO8601Offset('2025-07-04T09:00:00-05:00', 'America/New_York');
+ * // { valid: false, offsetMinutes: -300, expectedOffsetMinutes: -240,
+ * //   localTime: 'unique', validOffsetMinutes: [-240] }
+ *
+ * checkISO8601Offset('2025-03-09T02:30:00-05:00', 'America/New_York').localTime; // 'gap'
+ */
+export declare function checkISO8601Offset(
+  input: string,
+  timeZone: string
+): ISO8601OffsetCheck | null;
+
+/** Options for {@link createISO8601Reviver}. */
+export interface ISO8601ReviverOptions<T = Date> {
+  /**
+   * JSON pointers (RFC 6901) of the values to convert; `*` selects every element or
+   * member. Default: every string value that matches {@link ISO8601Regex}.
+   */
+  paths?: Iterable<string>;
+  /**
+   * `'date'` (default) for a `Date`, `'parsed'` for the result of {@link parseISO8601},
+   * or a function called with each matching string.
+   */
+  convert?: 'date' | 'parsed' | ((value: string) => T);
+}
+
+/**
+ * Creates a `JSON.parse` reviver that converts strict ISO 8601 date-times, as
+ * accepted by {@link ISO8601Regex}, at the given JSON pointers or everywhere.
+ * Strings that are not strict date-times are left as they are.
+ *
+ * @throws {TypeError} If `convert` is unknown or `paths` is not an iterable of strings.
+ * @throws {RangeError} If a path is not a valid JSON pointer.
+ * @example
+ * const body = JSON.parse(text, createISO8601Reviver({ paths: ['/createdAt', '/items/*\/at'] }));
+ * body.createdAt instanceof Date; // true
+ */
+export declare function createISO8601Reviver<T = Date>(
+  options?: ISO8601ReviverOptions<T>
+): (this: any, key: string, value: any) => any;
+
+/** A failure reported by a validator from {@link createISO8601Validator}. */
+export interface ISO8601PathError {
+  /** JSON pointer of the invalid value, with `*` resolved to concrete keys. */
+  path: string;
+  /** A {@link validateISO8601} code, or `MISSING_VALUE`. */
+  code: ISO8601ErrorCode | 'MISSING_VALUE';
+  /** Human-readable reason. */
+  message: string;
+}
+
+export interface ISO8601ValidatorOptions {
+  /** Skip paths that do not exist instead of reporting them. Default `false`. */
+  allowMissing?: boolean;
+}
+
+/**
+ * Creates a validator that checks the values at the given JSON pointers like
+ * {@link validateISO8601} and returns every failure with its path. Allocates nothing
+ * when everything is valid: the result is then a shared, frozen empty array.
+ *
+ * @throws {TypeError} If `paths` is not an iterable of strings.
+ * @throws {RangeError} If a path is not a valid JSON pointer.
+ * @example
+ * const validate = createISO8601Validator(['/createdAt', '/items/*\/at']);
+ *
+ * validate({ createdAt: '2025-02-29T10:20:30Z', items: [] });
+ * // [{ path: '/createdAt', code: 'NOT_LEAP_YEAR',
+ * //    message: 'February 29 does not exist in 2025, which is not a leap year' }]
+ */
+export declare function createISO8601Validator(
+  paths: Iterable<string>,
+  options?: ISO8601ValidatorOptions
+): (value: unknown) => readonly ISO8601PathError[];
+
+declare const ISO8601StringBrand: unique symbol;
+
+/**
+ * A string accepted by {@link ISO8601Regex}, as narrowed by {@link isISO8601}. The
+ * template literal keeps it assignable to `string` and rejects obviously different
+ * literals; the brand keeps unchecked strings from being assigned to it.
+ */
+export type ISO8601String = `${number}-${number}-${number}T${number}:${number}:${string}` & {
+  readonly [ISO8601StringBrand]: true;
+};
+
+/**
+ * The named groups of an {@link ISO8601Regex} match. A type alias rather than an
+ * interface, so that it stays assignable to index-signature types such as
+ * `Record<string, string | undefined>`.
+ */
+export type ISO8601Groups = {
+  year: string;
+  month: string;
+  day: string;
+  hour: string;
+  minute: string;
+  second: string;
+  /** The fraction digits, without the dot; `undefined` when there is no fraction. */
+  millisecond: string | undefined;
+  /** `Z` or an offset such as `+01:00`. */
+  timezone: string;
+};
+
+/** The result of {@link execISO8601}: a `RegExpExecArray` with exact `groups`. */
+export interface ISO8601ExecArray extends Array<string | undefined> {
+  /** The matched date-time: always the whole input. */
+  0: ISO8601String;
+  index: number;
+  input: string;
+  groups: ISO8601Groups;
+}
+
+/**
+ * Tests whether a value is a string accepted by {@link ISO8601Regex}, narrowing it
+ * to {@link ISO8601String}. Non-strings are `false`, never coerced.
+ *
+ * @example
+ * if (isISO8601(body.createdAt)) {
+ *   record.createdAt = body.createdAt; // ISO8601String
+ * }
+ */
+export declare function isISO8601(input: unknown): input is ISO8601String;
+
+/**
+ * Matches a value against {@link ISO8601Regex}. `null` for non-strings and for
+ * strings that do not match.
+ *
+ * @example
+ * const match = execISO8601('2025-11-02T10:20:30+01:00');
+ * match?.groups.timezone;    // '+01:00'
+ * match?.groups.millisecond; // undefined
+ */
+export declare function execISO8601(input: unknown): ISO8601ExecArray | null;
+
+/**
+ * A string accepted by {@link ISO8601Regex}, or the named groups of a calendar date-time
+ * match from any of this package's regexes (`year` … `second`, `millisecond` or
+ * `fraction`, `timezone`). Week and ordinal dates have no `month` and `day`, so they
+ * are not comparable. The `groups` of a {@link createISO8601Regex} match are typed as
+ * plain strings; pass them `as ComparableISO8601` when the pattern has calendar dates.
+ */
+export type ComparableISO8601 =
+  | string
+  | {
+      readonly year: string;
+      readonly month: string;
+      readonly day: string;
+      readonly hour: string;
+      readonly [group: string]: string | undefined;
+    };
+
+/**
+ * Compares two date-times by the instant they denote, once their offsets are applied,
+ * without `Date`. Usable directly as an `Array.prototype.sort()` comparator.
+ *
+ * @throws {RangeError} If a string is not a valid date-time, or groups are not a
+ *   calendar date-time with a timezone.
+ * @throws {TypeError} If an argument is neither a string nor an object.
+ * @example
+ * compareISO8601('2025-11-02T10:00:00+01:00', '2025-11-02T09:30:00Z'); // -1
+ * timestamps.sort(compareISO8601);
+ */
+export declare function compareISO8601(a: ComparableISO8601, b: ComparableISO8601): -1 | 0 | 1;
+
+/**
+ * Tests whether `a` is an earlier instant than `b`. See {@link compareISO8601}.
+ *
+ * @example
+ * isBefore('2025-11-02T23:30:00-12:00', '2025-11-03T12:00:00+14:00'); // false
+ */
+export declare function isBefore(a: ComparableISO8601, b: ComparableISO8601): boolean;
+
+/**
+ * Tests whether `a` is a later instant than `b`. See {@link compareISO8601}.
+ *
+ * @example
+ * isAfter('2025-11-03T09:00:00+14:00', '2025-11-02T18:00:00-02:00'); // false
+ */
+export declare function isAfter(a: ComparableISO8601, b: ComparableISO8601): boolean;
+
+/**
+ * Tests whether `a` and `b` denote the same instant. See {@link compareISO8601}.
+ *
+ * @example
+ * isEqualInstant('2025-11-02T10:20:30Z', '2025-11-02T11:20:30+01:00'); // true
+ */
+export declare function isEqualInstant(a: ComparableISO8601, b: ComparableISO8601): boolean;
+
+/**
+ * Normalizes a date-time to a key that sorts lexicographically in instant order: the
+ * instant in UTC with nine fraction digits (`YYYY-MM-DDTHH:mm:ss.sssssssssZ`).
+ *
+ * @throws {RangeError} If a string is not a valid date-time, groups are not a calendar
+ *   date-time with a timezone, or the UTC year is outside 0000–9999.
+ * @throws {TypeError} If `input` is neither a string nor an object.
+ * @example
+ * toSortKey('2025-11-02T23:30:00-12:00'); // '2025-11-03T11:30:00.000000000Z'
+ */
+export declare function toSortKey(input: ComparableISO8601): string;
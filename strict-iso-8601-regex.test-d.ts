@@ -0,0 +1,107 @@
+// Type-level tests for strict-iso-8601-regex.d.ts, checked by `tsc -p .` in `npm test`.
+// Nothing here runs; a failing expectation is a compile error.
+
+import {
+  compareISO8601,
+  execISO8601,
+  findISO8601,
+  formatISO8601,
+  isISO8601,
+  parseISO8601,
+  type ISO8601ExecArray,
+  type ISO8601Groups,
+  type ISO8601String,
+  type ParsedISO8601,
+} from './strict-iso-8601-regex.js';
+import { toTemporalInstant, type TemporalLike } from './adapters/temporal.js';
+import { createISO8601PatternSource } from './portable/portable.js';
+
+type Equal<A, B> =
+  (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2 ? true : false;
+function expectType<T extends true>(): T | void {}
+
+// The groups have exactly these keys; strict-iso-8601-regex.test.js checks the same
+// list against the runtime groups.
+expectType<
+  Equal<
+    keyof ISO8601Groups,
+    'year' | 'month' | 'day' | 'hour' | 'minute' | 'second' | 'millisecond' | 'timezone'
+  >
+>();
+expectType<Equal<ISO8601Groups['year'], string>>();
+expectType<Equal<ISO8601Groups['timezone'], string>>();
+expectType<Equal<ISO8601Groups['millisecond'], string | undefined>>();
+
+// isISO8601 narrows unknown values to the branded type.
+declare const body: { createdAt: unknown };
+
+if (isISO8601(body.createdAt)) {
+  expectType<Equal<typeof body.createdAt, ISO8601String>>();
+
+  const text: string = body.createdAt;
+  const slice: string = body.createdAt.slice(0, 10);
+  void text;
+  void slice;
+}
+
+declare const input: string;
+
+if (!isISO8601(input)) {
+  expectType<Equal<typeof input, string>>();
+}
+
+// Unchecked strings are not ISO8601String, not even well-formed literals.
+// @ts-expect-error — a plain string is not branded
+const unchecked: ISO8601String = input;
+// @ts-expect-error — nor is a literal that merely looks right
+const literal: ISO8601String = '2025-11-02T10:20:30Z';
+void unchecked;
+void literal;
+
+// execISO8601 returns exact groups, with millisecond possibly undefined.
+const match = execISO8601(body.createdAt);
+expectType<Equal<typeof match, ISO8601ExecArray | null>>();
+
+if (match) {
+  expectType<Equal<typeof match[0], ISO8601String>>();
+  expectType<Equal<typeof match.groups, ISO8601Groups>>();
+  expectType<Equal<typeof match.index, number>>();
+
+  const { year, millisecond } = match.groups;
+  expectType<Equal<typeof year, string>>();
+  expectType<Equal<typeof millisecond, string | undefined>>();
+
+  // @ts-expect-error — millisecond must be checked before use as a string
+  millisecond.padEnd(3, '0');
+  // @ts-expect-error — no such group
+  match.groups.fraction;
+
+  // The comparison helpers take strings or the groups of a match.
+  expectType<Equal<ReturnType<typeof compareISO8601>, -1 | 0 | 1>>();
+  compareISO8601(match.groups, match[0]);
+  toTemporalInstant(match.groups, { Temporal: {} as TemporalLike });
+}
+
+// Week and ordinal date groups have no month and day, so they are not comparable.
+declare const weekGroups: { year: string; week: string; weekday: string; hour: string; timezone: string };
+// @ts-expect-error — week date groups are not a calendar date-time
+compareISO8601(weekGroups, '2025-11-02T10:20:30Z');
+
+// findISO8601 shares the same groups.
+for (const found of findISO8601('at 2025-11-02T10:20:30Z')) {
+  expectType<Equal<typeof found.groups, ISO8601Groups>>();
+}
+
+// Portable sources: only the known dialects.
+expectType<Equal<ReturnType<typeof createISO8601PatternSource>, string>>();
+createISO8601PatternSource({ dialect: 're2' });
+createISO8601PatternSource({ dialect: 'python', groups: true });
+// @ts-expect-error — not a supported dialect
+createISO8601PatternSource({ dialect: 'posix' });
+
+// parseISO8601 reports which time components were written.
+expectType<Equal<ParsedISO8601['precision'], 'second' | 'minute' | 'hour'>>();
+
+// formatISO8601 takes a parseISO8601 result as it is, including a null offset.
+const parsed = parseISO8601('2025-11-02T10:20:30', { timezone: 'optional' });
+if (parsed) formatISO8601(parsed);
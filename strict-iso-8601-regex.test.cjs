@@ -1,5 +1,47 @@
 const assert = require("node:assert/strict");
-const { ISO8601Regex } = require("./strict-iso-8601-regex.cjs");
+const {
+  ISO8601Regex,
+  ISO8601BasicRegex,
+  ISO8601ExtendedOrBasicRegex,
+  ISO8601DateRegex,
+  ISO8601PartialTimeRegex,
+  ISO8601FullTimeRegex,
+  ISO8601WeekDateRegex,
+  ISO8601WeekDateTimeRegex,
+  ISO8601OrdinalDateRegex,
+  ISO8601OrdinalDateTimeRegex,
+  ordinalToCalendarDate,
+  calendarToOrdinalDate,
+  ISO8601DurationRegex,
+  parseDuration,
+  parseISO8601Interval,
+  isISO8601Interval,
+  ISO8601LeapSecondRegex,
+  IERSLeapSeconds,
+  isISO8601WithLeapSecond,
+  createISO8601Regex,
+  normalizeFraction,
+  parseISO8601,
+  validateISO8601,
+  ISO8601ExpandedYearRegex,
+  isISO8601WithExpandedYear,
+  formatISO8601,
+  ISO8601ScanRegex,
+  findISO8601,
+  ISO8601IXDTFRegex,
+  parseISO8601IXDTF,
+  isISO8601IXDTF,
+  checkISO8601Offset,
+  createISO8601Reviver,
+  createISO8601Validator,
+  isISO8601,
+  execISO8601,
+  compareISO8601,
+  isBefore,
+  isAfter,
+  isEqualInstant,
+  toSortKey,
+} = require("./strict-iso-8601-regex.cjs");
 const { describe } = require("node:test");
 
 describe("ISO8601Regex — CommonJS import", () => {
@@ -45,3 +87,238 @@ describe("ISO8601Regex — CommonJS import", () => {
   assert.strictEqual(millisecond, "123", "Millisecond capture failed");
   assert.strictEqual(timezone, "+05:30", "Timezone capture failed");
 });
+
+describe("ISO8601DateRegex — CommonJS import", () => {
+  ["2025-11-02", "2024-02-29", "2000-02-29"].forEach((testCase) => {
+    assert.ok(ISO8601DateRegex.test(testCase), `Valid case failed: ${testCase}`);
+  });
+
+  ["2025-04-31", "1900-02-29", "2025-11-02T10:20:30Z"].forEach((testCase) => {
+    assert.ok(
+      !ISO8601DateRegex.test(testCase),
+      `Invalid case incorrectly accepted: ${testCase}`
+    );
+  });
+
+  const { year, month, day } = ISO8601DateRegex.exec("2024-02-29").groups;
+
+  assert.strictEqual(year, "2024", "Year capture failed");
+  assert.strictEqual(month, "02", "Month capture failed");
+  assert.strictEqual(day, "29", "Day capture failed");
+});
+
+describe("ISO8601PartialTimeRegex / ISO8601FullTimeRegex — CommonJS import", () => {
+  assert.ok(ISO8601PartialTimeRegex.test("09:30:00"), "Partial time failed");
+  assert.ok(ISO8601PartialTimeRegex.test("23:59:59.999"), "Partial time with ms failed");
+  assert.ok(!ISO8601PartialTimeRegex.test("09:30:00Z"), "Partial time accepted offset");
+
+  assert.ok(ISO8601FullTimeRegex.test("09:30:00+01:00"), "Full time failed");
+  assert.ok(!ISO8601FullTimeRegex.test("09:30:00"), "Full time accepted missing offset");
+  assert.ok(!ISO8601FullTimeRegex.test("09:30:00+14:01"), "Full time accepted +14:01");
+
+  const { hour, minute, second, millisecond, timezone } =
+    ISO8601FullTimeRegex.exec("10:20:30.123-12:00").groups;
+
+  assert.strictEqual(hour, "10", "Hour capture failed");
+  assert.strictEqual(minute, "20", "Minute capture failed");
+  assert.strictEqual(second, "30", "Second capture failed");
+  assert.strictEqual(millisecond, "123", "Millisecond capture failed");
+  assert.strictEqual(timezone, "-12:00", "Timezone capture failed");
+});
+
+describe("ISO8601WeekDateRegex / ISO8601WeekDateTimeRegex — CommonJS import", () => {
+  assert.ok(ISO8601WeekDateRegex.test("2026-W53-4"), "Week 53 of 2026 failed");
+  assert.ok(!ISO8601WeekDateRegex.test("2025-W53-4"), "Week 53 of 2025 accepted");
+  assert.ok(ISO8601WeekDateTimeRegex.test("2026-W53-4T10:20:30Z"), "Week date-time failed");
+  assert.ok(!ISO8601WeekDateTimeRegex.test("2026-W53-4T10:20:30"), "Missing timezone accepted");
+
+  const { year, week, weekday } = ISO8601WeekDateRegex.exec("2020-W53-7").groups;
+
+  assert.strictEqual(year, "2020", "Year capture failed");
+  assert.strictEqual(week, "53", "Week capture failed");
+  assert.strictEqual(weekday, "7", "Weekday capture failed");
+});
+
+describe("ISO8601OrdinalDateRegex / ordinal helpers — CommonJS import", () => {
+  assert.ok(ISO8601OrdinalDateRegex.test("2024-366"), "Day 366 of leap year failed");
+  assert.ok(!ISO8601OrdinalDateRegex.test("2025-366"), "Day 366 of common year accepted");
+  assert.ok(ISO8601OrdinalDateTimeRegex.test("2025-032T10:00:00Z"), "Ordinal date-time failed");
+  assert.strictEqual(
+    ISO8601OrdinalDateRegex.exec("2025-032").groups.ordinalDay,
+    "032",
+    "ordinalDay capture failed"
+  );
+
+  assert.deepStrictEqual(ordinalToCalendarDate(2024, 366), { year: 2024, month: 12, day: 31 });
+  assert.deepStrictEqual(calendarToOrdinalDate(2025, 2, 1), { year: 2025, ordinalDay: 32 });
+  assert.throws(() => ordinalToCalendarDate(2025, 366), RangeError);
+});
+
+describe("ISO8601BasicRegex / ISO8601ExtendedOrBasicRegex — CommonJS import", () => {
+  assert.ok(ISO8601BasicRegex.test("20251102T102030.123+0530"), "Basic format failed");
+  assert.ok(!ISO8601BasicRegex.test("20250229T102030Z"), "Basic Feb 29 common year accepted");
+  assert.ok(ISO8601ExtendedOrBasicRegex.test("20251102T102030Z"), "Combined basic failed");
+  assert.ok(ISO8601ExtendedOrBasicRegex.test("2025-11-02T10:20:30Z"), "Combined extended failed");
+  assert.ok(!ISO8601ExtendedOrBasicRegex.test("2025-11-02T102030Z"), "Mixed separators accepted");
+  assert.strictEqual(
+    ISO8601BasicRegex.exec("20251102T102030-1200").groups.timezone,
+    "-1200",
+    "Timezone capture failed"
+  );
+});
+
+describe("ISO8601DurationRegex / parseDuration — CommonJS import", () => {
+  assert.ok(ISO8601DurationRegex.test("P1Y2M10DT2H30M"), "Duration failed");
+  assert.ok(ISO8601DurationRegex.test("P2W"), "Week duration failed");
+  assert.ok(!ISO8601DurationRegex.test("PT"), "Empty time part accepted");
+  assert.ok(!ISO8601DurationRegex.test("P0.5DT1H"), "Non-final fraction accepted");
+
+  assert.deepStrictEqual(parseDuration("PT1.5S"), {
+    years: 0,
+    months: 0,
+    weeks: 0,
+    days: 0,
+    hours: 0,
+    minutes: 0,
+    seconds: 1.5,
+  });
+  assert.strictEqual(parseDuration("P"), null, "parseDuration accepted P");
+});
+
+describe("parseISO8601Interval / isISO8601Interval — CommonJS import", () => {
+  assert.ok(isISO8601Interval("2025-11-02T10:00:00Z/2025-11-02T12:00:00Z"), "Start/end failed");
+  assert.ok(!isISO8601Interval("2025-11-02T12:00:00Z/2025-11-02T10:00:00Z"), "End before start accepted");
+
+  const interval = parseISO8601Interval("R5/2025-11-02T10:00:00Z/12:00:00Z");
+  assert.strictEqual(interval.end, "2025-11-02T12:00:00Z", "Abbreviated end not expanded");
+  assert.strictEqual(interval.repetitions, 5, "Repetitions not parsed");
+});
+
+describe("isISO8601WithLeapSecond — CommonJS import", () => {
+  assert.ok(ISO8601LeapSecondRegex.test("2016-12-31T23:59:60Z"), "Leap second regex failed");
+  assert.ok(IERSLeapSeconds.includes("2016-12-31"), "IERS table missing 2016-12-31");
+  assert.ok(isISO8601WithLeapSecond("2017-01-01T00:59:60+01:00"), "Offset leap second failed");
+  assert.ok(!isISO8601WithLeapSecond("2016-12-31T23:59:60+01:00"), "Misplaced leap second accepted");
+  assert.ok(
+    !isISO8601WithLeapSecond("2017-06-30T23:59:60Z", { strict: true }),
+    "Unpublished leap second accepted in strict mode"
+  );
+});
+
+describe("createISO8601Regex / normalizeFraction — CommonJS import", () => {
+  const micro = createISO8601Regex({ fraction: { mode: "exact", digits: 6 } });
+
+  assert.equal(createISO8601Regex(), ISO8601Regex, "Default preset mismatch");
+  assert.ok(micro.test("2025-11-02T10:20:30.123456Z"), "Microsecond regex failed");
+  assert.ok(!micro.test("2025-11-02T10:20:30.123Z"), "Short fraction accepted");
+  assert.ok(
+    createISO8601Regex({ separator: "space", timezone: "utc" }).test("2025-11-02 10:20:30Z"),
+    "Space/UTC preset failed"
+  );
+  assert.ok(
+    !createISO8601Regex({ allowUnknownOffset: false }).test("2025-11-02T10:20:30-00:00"),
+    "Unknown offset accepted"
+  );
+  assert.deepEqual(normalizeFraction("123456789"), {
+    millisecond: 123,
+    microsecond: 456,
+    nanosecond: 789,
+  });
+});
+
+describe("parseISO8601 — CommonJS import", () => {
+  const parsed = parseISO8601("2025-11-02T10:20:30.123+09:30");
+
+  assert.equal(parsed.offsetMinutes, 570, "Offset mismatch");
+  assert.equal(parsed.epochMilliseconds, Date.parse("2025-11-02T10:20:30.123+09:30"), "Epoch mismatch");
+  assert.equal(parsed.epochNanoseconds, 1762044630123000000n, "Epoch nanoseconds mismatch");
+  assert.equal(parseISO8601("2025-02-29T10:20:30Z"), null, "Invalid date parsed");
+});
+
+describe("validateISO8601 — CommonJS import", () => {
+  assert.deepEqual(validateISO8601("2025-11-02T10:20:30Z"), { valid: true });
+  assert.equal(validateISO8601("2025-02-29T10:20:30Z").code, "NOT_LEAP_YEAR", "Leap-year code mismatch");
+  assert.equal(validateISO8601("2025-11-02T10:20:30").code, "MISSING_TIMEZONE", "Timezone code mismatch");
+});
+
+describe("ISO8601ExpandedYearRegex / isISO8601WithExpandedYear — CommonJS import", () => {
+  assert.ok(ISO8601ExpandedYearRegex.test("-000001-12-31T00:00:00Z"), "Expanded year regex failed");
+  assert.ok(!ISO8601ExpandedYearRegex.test("-000000-01-01T00:00:00Z"), "-000000 accepted");
+  assert.ok(isISO8601WithExpandedYear(new Date(8.64e15).toISOString()), "Maximum Date rejected");
+  assert.ok(!isISO8601WithExpandedYear("+275760-09-13T00:00:00.001Z"), "Beyond maximum accepted");
+});
+
+describe("formatISO8601 — CommonJS import", () => {
+  assert.equal(formatISO8601(1762078830123, { offsetMinutes: 330 }), "2025-11-02T15:50:30.123+05:30");
+  assert.equal(formatISO8601(1762078830123456789n, { fractionDigits: 9 }), "2025-11-02T10:20:30.123456789Z");
+  assert.throws(
+    () => formatISO8601({ year: 2025, month: 2, day: 30, hour: 0, minute: 0, second: 0 }),
+    RangeError
+  );
+});
+
+describe("ISO8601ScanRegex / findISO8601 — CommonJS import", () => {
+  const text = "at 2025-11-02T10:20:30Z: ok, x2025-11-02T10:20:30Zy";
+
+  assert.equal([...text.matchAll(ISO8601ScanRegex)].length, 1, "Scan regex mismatch");
+  assert.deepEqual(
+    [...findISO8601(text)].map(({ match, index }) => [match, index]),
+    [["2025-11-02T10:20:30Z", 3]]
+  );
+});
+
+describe("ISO8601IXDTFRegex / parseISO8601IXDTF — CommonJS import", () => {
+  const input = "2025-11-02T10:20:30+01:00[Europe/Paris][u-ca=gregory]";
+
+  assert.ok(ISO8601IXDTFRegex.test(input), "IXDTF regex failed");
+  assert.equal(parseISO8601IXDTF(input).timeZoneAnnotation, "Europe/Paris");
+  assert.deepEqual(parseISO8601IXDTF(input).tags, [{ key: "u-ca", value: "gregory", critical: false }]);
+  assert.ok(!isISO8601IXDTF("2025-11-02T10:20:30Z[!u-ca=gregory][u-ca=hebrew]"), "Critical duplicate accepted");
+});
+
+describe("checkISO8601Offset — CommonJS import", () => {
+  assert.ok(checkISO8601Offset("2025-07-04T09:00:00-04:00", "America/New_York").valid, "EDT rejected");
+  assert.ok(!checkISO8601Offset("2025-07-04T09:00:00-05:00", "America/New_York").valid, "EST accepted in July");
+  assert.equal(checkISO8601Offset("2025-03-09T02:30:00-05:00", "America/New_York").localTime, "gap");
+});
+
+describe("createISO8601Reviver / createISO8601Validator — CommonJS import", () => {
+  const body = JSON.parse(
+    '{"createdAt":"2025-11-02T10:20:30Z","note":"2025-11-02T10:20:30Z"}',
+    createISO8601Reviver({ paths: ["/createdAt"] })
+  );
+
+  assert.ok(body.createdAt instanceof Date, "Reviver did not convert");
+  assert.equal(body.note, "2025-11-02T10:20:30Z", "Reviver converted outside its paths");
+  assert.deepEqual(createISO8601Validator(["/createdAt"])({ createdAt: "2025-02-29T10:20:30Z" }), [
+    {
+      path: "/createdAt",
+      code: "NOT_LEAP_YEAR",
+      message: "February 29 does not exist in 2025, which is not a leap year",
+    },
+  ]);
+});
+
+describe("isISO8601 / execISO8601 — CommonJS import", () => {
+  assert.ok(isISO8601("2025-11-02T10:20:30Z"), "Guard rejected a valid date-time");
+  assert.ok(!isISO8601(null), "Guard coerced null");
+  assert.equal(execISO8601("2025-11-02T10:20:30.123+01:00").groups.millisecond, "123");
+  assert.equal(execISO8601(20251102), null);
+});
+
+describe("compareISO8601 / toSortKey — CommonJS import", () => {
+  assert.equal(compareISO8601("2025-11-02T23:30:00-12:00", "2025-11-04T01:30:00+14:00"), 0);
+  assert.ok(isBefore("2025-11-02T10:00:00+01:00", "2025-11-02T09:30:00Z"), "isBefore ignored the offset");
+  assert.ok(isAfter("2025-11-02T23:30:00-12:00", "2025-11-03T12:00:00+14:00"), "isAfter ignored the offset");
+  assert.ok(isEqualInstant("2025-11-02T10:20:30Z", "2025-11-02T10:20:30-00:00"), "-00:00 is not UTC");
+  assert.equal(toSortKey("2025-11-02T10:20:30.5+01:00"), "2025-11-02T09:20:30.500000000Z");
+});
+
+describe("createISO8601Regex — reduced precision — CommonJS import", () => {
+  const minutes = createISO8601Regex({ precision: "minute" });
+
+  assert.ok(minutes.test("2025-11-02T10:20Z"), "Minute precision rejected");
+  assert.ok(!minutes.test("2025-02-29T10:20Z"), "Invalid date accepted");
+  assert.equal(minutes.exec("2025-11-02T10:20Z").groups.second, undefined);
+  assert.equal(parseISO8601("2025-11-02T10Z", { precision: "hour" }).precision, "hour");
+});
@@ -1,6 +1,59 @@
 import { test, describe } from "node:test";
 import assert from "node:assert/strict";
-import { ISO8601Regex } from "./strict-iso-8601-regex.js";
+import { readFileSync } from "node:fs";
+import {
+  ISO8601Regex,
+  ISO8601BasicRegex,
+  ISO8601ExtendedOrBasicRegex,
+  ISO8601DateRegex,
+  ISO8601PartialTimeRegex,
+  ISO8601FullTimeRegex,
+  ISO8601WeekDateRegex,
+  ISO8601WeekDateTimeRegex,
+  ISO8601OrdinalDateRegex,
+  ISO8601OrdinalDateTimeRegex,
+  ordinalToCalendarDate,
+  calendarToOrdinalDate,
+  ISO8601DurationRegex,
+  parseDuration,
+  parseISO8601Interval,
+  isISO8601Interval,
+  ISO8601LeapSecondRegex,
+  IERSLeapSeconds,
+  isISO8601WithLeapSecond,
+  createISO8601Regex,
+  normalizeFraction,
+  parseISO8601,
+  validateISO8601,
+  ISO8601ExpandedYearRegex,
+  isISO8601WithExpandedYear,
+  formatISO8601,
+  ISO8601ScanRegex,
+  findISO8601,
+  ISO8601IXDTFRegex,
+  parseISO8601IXDTF,
+  isISO8601IXDTF,
+  checkISO8601Offset,
+  createISO8601Reviver,
+  createISO8601Validator,
+  isISO8601,
+  execISO8601,
+  compareISO8601,
+  isBefore,
+  isAfter,
+  isEqualInstant,
+  toSortKey,
+} from "./strict-iso-8601-regex.js";
+
+// Small deterministic PRNG (mulberry32), so fuzz failures can be reproduced.
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
 describe("ISO8601Regex — strict ISO 8601 with calendar correctness", () => {
   test("accepts basic valid forms (UTC, fractional, offsets)", async (t) => {
@@ -534,3 +587,3595 @@ describe("ISO8601Regex — strict ISO 8601 with calendar correctness", () => {
     }
   });
 });
+
+describe("ISO8601DateRegex — strict RFC 3339 full-date", () => {
+  test("accepts valid calendar dates", async (t) => {
+    const cases = [
+      ["basic", "2025-11-02"],
+      ["first day of year", "2025-01-01"],
+      ["last day of year", "2025-12-31"],
+      ["leap day", "2024-02-29"],
+      ["Y2K", "2000-01-01"],
+      ["Unix epoch", "1970-01-01"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.ok(ISO8601DateRegex.test(input), `Expected match: ${input}`)
+      );
+    }
+  });
+
+  test("accepts day ranges per month and all months with max days", async (t) => {
+    const cases = [
+      ["Jan 31", "2025-01-31"],
+      ["Feb 28", "2025-02-28"],
+      ["Mar 31", "2025-03-31"],
+      ["Apr 30", "2025-04-30"],
+      ["May 31", "2025-05-31"],
+      ["Jun 30", "2025-06-30"],
+      ["Jul 31", "2025-07-31"],
+      ["Aug 31", "2025-08-31"],
+      ["Sep 30", "2025-09-30"],
+      ["Oct 31", "2025-10-31"],
+      ["Nov 30", "2025-11-30"],
+      ["Dec 31", "2025-12-31"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(ISO8601DateRegex.test(input)));
+    }
+  });
+
+  test("rejects impossible month/day combinations (calendar-aware)", async (t) => {
+    const cases = [
+      ["April 31 (30-day month)", "2025-04-31"],
+      ["June 31 (30-day month)", "2025-06-31"],
+      ["Sep 31 (30-day month)", "2025-09-31"],
+      ["Nov 31 (30-day month)", "2025-11-31"],
+      ["Feb 30", "2025-02-30"],
+      ["Feb 31", "2025-02-31"],
+      ["Month 00", "2025-00-15"],
+      ["Month 13", "2025-13-15"],
+      ["Day 00", "2025-11-00"],
+      ["Day 32", "2025-11-32"],
+      ["Day 99", "2025-11-99"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601DateRegex.test(input)));
+    }
+  });
+
+  test("accepts Feb 29 in leap years", async (t) => {
+    const cases = [
+      ["2000-02-29 (divisible by 400)", "2000-02-29"],
+      ["2016-02-29 (divisible by 4)", "2016-02-29"],
+      ["1996-02-29 (divisible by 4)", "1996-02-29"],
+      ["2400-02-29 (400-year cycle)", "2400-02-29"],
+      ["0000-02-29 (year zero)", "0000-02-29"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(ISO8601DateRegex.test(input)));
+    }
+  });
+
+  test("rejects Feb 29 in common years (including centuries not divisible by 400)", async (t) => {
+    const cases = [
+      ["1900-02-29 (century not divisible by 400)", "1900-02-29"],
+      ["2100-02-29 (century not divisible by 400)", "2100-02-29"],
+      ["2200-02-29 (century not divisible by 400)", "2200-02-29"],
+      ["2019-02-29 (common year)", "2019-02-29"],
+      ["2025-02-29 (common year)", "2025-02-29"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601DateRegex.test(input)));
+    }
+  });
+
+  test("agrees with the Gregorian calendar for every day of a 400-year cycle", () => {
+    const isLeap = (y) => (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+    const daysIn = (y, m) =>
+      m === 2 ? (isLeap(y) ? 29 : 28) : [4, 6, 9, 11].includes(m) ? 30 : 31;
+
+    for (let y = 1600; y < 2000; y++) {
+      const year = String(y).padStart(4, "0");
+      for (let m = 0; m <= 13; m++) {
+        const month = String(m).padStart(2, "0");
+        for (let d = 0; d <= 32; d++) {
+          const input = `${year}-${month}-${String(d).padStart(2, "0")}`;
+          const expected = m >= 1 && m <= 12 && d >= 1 && d <= daysIn(y, m);
+          assert.equal(ISO8601DateRegex.test(input), expected, input);
+        }
+      }
+    }
+  });
+
+  test("strict shape for year/month/day", async (t) => {
+    const bad = [
+      ["single-digit month", "2025-2-05"],
+      ["single-digit day", "2025-02-5"],
+      ["2-digit year", "25-11-02"],
+      ["3-digit year", "025-11-02"],
+      ["5-digit year", "12025-11-02"],
+      ["negative year", "-2025-11-02"],
+      ["slashes", "2025/11/02"],
+      ["dots", "2025.11.02"],
+      ["basic format (no separators)", "20251102"],
+      ["year-month only", "2025-11"],
+      ["week-date", "2025-W45-7"],
+      ["ordinal date", "2025-306"],
+    ];
+
+    for (const [label, input] of bad) {
+      await t.test(label, () => assert.ok(!ISO8601DateRegex.test(input)));
+    }
+  });
+
+  test("rejects date-times and trailing time designators", async (t) => {
+    const bad = [
+      ["full date-time", "2025-11-02T10:20:30Z"],
+      ["trailing T", "2025-11-02T"],
+      ["trailing Z", "2025-11-02Z"],
+      ["trailing offset", "2025-11-02+01:00"],
+    ];
+
+    for (const [label, input] of bad) {
+      await t.test(label, () => assert.ok(!ISO8601DateRegex.test(input)));
+    }
+  });
+
+  test("does not allow extra characters before/after (anchors ^$)", async (t) => {
+    const cases = [
+      ["prefix text", "x2025-11-02"],
+      ["suffix text", "2025-11-02x"],
+      ["leading space", " 2025-11-02"],
+      ["trailing space", "2025-11-02 "],
+      ["newline suffix", "2025-11-02\n"],
+      ["newline prefix", "\n2025-11-02"],
+      ["null byte in middle", "2025-11-\x0002"],
+      ["multiple dates", "2025-11-02 2025-11-03"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601DateRegex.test(input)));
+    }
+  });
+
+  test("year 0000 and 9999 edge cases", async (t) => {
+    const cases = [
+      ["year 0000 valid", "0000-01-01"],
+      ["year 0001 valid", "0001-12-31"],
+      ["year 9999 valid", "9999-12-31"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(ISO8601DateRegex.test(input)));
+    }
+  });
+
+  test("captures: extracts year, month and day named groups", () => {
+    const m = ISO8601DateRegex.exec("2000-02-29");
+    assert.ok(m, "Expected match");
+
+    assert.deepEqual({ ...m.groups }, { year: "2000", month: "02", day: "29" });
+  });
+
+  test("captures: exec returns null on invalid input", async (t) => {
+    const bad = ["2025-02-30", "2025-11-02T10:20:30Z", "invalid-date-string"];
+
+    for (const input of bad) {
+      await t.test(input, () => assert.equal(ISO8601DateRegex.exec(input), null));
+    }
+  });
+
+  test("accepts exactly the date part of every valid ISO8601Regex date-time", async (t) => {
+    const cases = [
+      "2024-02-29T12:00:00Z",
+      "2000-02-29T00:00:00-12:00",
+      "2038-01-19T03:14:07.045+13:59",
+      "1999-12-31T23:59:59.999Z",
+    ];
+
+    for (const input of cases) {
+      await t.test(input, () => {
+        assert.ok(ISO8601Regex.test(input));
+        assert.ok(ISO8601DateRegex.test(input.slice(0, 10)));
+      });
+    }
+  });
+
+  test("performance: regex should handle edge cases efficiently", async () => {
+    const testString = "2025-11-02";
+    const start = performance.now();
+
+    for (let i = 0; i < 10000; i++) {
+      ISO8601DateRegex.test(testString);
+    }
+
+    const duration = performance.now() - start;
+
+    assert.ok(
+      duration < 100,
+      `Performance test took ${duration}ms, expected < 100ms`
+    );
+  });
+
+  test("readme examples should all pass", async (t) => {
+    const valid = ["2025-11-02", "2024-02-29"];
+    const invalid = ["2025-04-31", "1900-02-29", "2025-11-02T10:20:30Z", "20251102"];
+
+    for (const input of valid) {
+      await t.test(`valid: ${input}`, () => assert.ok(ISO8601DateRegex.test(input)));
+    }
+
+    for (const input of invalid) {
+      await t.test(`invalid: ${input}`, () =>
+        assert.ok(!ISO8601DateRegex.test(input))
+      );
+    }
+  });
+});
+
+describe("ISO8601PartialTimeRegex — strict RFC 3339 partial-time", () => {
+  test("accepts local times with optional fraction", async (t) => {
+    const cases = [
+      ["midnight", "00:00:00"],
+      ["last second", "23:59:59"],
+      ["ms .1", "09:30:00.1"],
+      ["ms .12", "09:30:00.12"],
+      ["ms .999", "23:59:59.999"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.ok(ISO8601PartialTimeRegex.test(input), `Expected match: ${input}`)
+      );
+    }
+  });
+
+  test("rejects offsets, overflow and malformed times", async (t) => {
+    const cases = [
+      ["UTC designator", "09:30:00Z"],
+      ["offset", "09:30:00+01:00"],
+      ["hour 24", "24:00:00"],
+      ["minute 60", "23:60:00"],
+      ["second 60", "23:59:60"],
+      ["ms 4 digits", "10:20:30.1234"],
+      ["dot only", "10:20:30."],
+      ["comma fraction", "10:20:30,123"],
+      ["missing seconds", "09:30"],
+      ["single-digit hour", "9:30:00"],
+      ["basic format", "093000"],
+      ["leading T", "T09:30:00"],
+      ["date-time", "2025-11-02T09:30:00"],
+      ["leading space", " 09:30:00"],
+      ["trailing newline", "09:30:00\n"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601PartialTimeRegex.test(input)));
+    }
+  });
+
+  test("captures: hour, minute, second and millisecond; no timezone", () => {
+    const m = ISO8601PartialTimeRegex.exec("23:59:59.5");
+    assert.ok(m, "Expected match");
+
+    assert.deepEqual(
+      { ...m.groups },
+      { hour: "23", minute: "59", second: "59", millisecond: "5" }
+    );
+  });
+});
+
+describe("ISO8601FullTimeRegex — strict RFC 3339 full-time", () => {
+  test("accepts times with UTC designator or offset", async (t) => {
+    const cases = [
+      ["UTC", "10:20:30Z"],
+      ["ms .123 UTC", "10:20:30.123Z"],
+      ["offset +01:00", "09:30:00+01:00"],
+      ["offset -05:00", "09:30:00-05:00"],
+      ["offset +05:45", "09:30:00+05:45"],
+      ["offset +14:00", "23:59:59+14:00"],
+      ["offset -12:00", "00:00:00-12:00"],
+      ["offset -00:00", "00:00:00-00:00"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.ok(ISO8601FullTimeRegex.test(input), `Expected match: ${input}`)
+      );
+    }
+  });
+
+  test("rejects offsets outside real-world bounds", async (t) => {
+    const cases = [
+      ["offset +14:01", "10:20:30+14:01"],
+      ["offset +15:00", "10:20:30+15:00"],
+      ["offset -12:59", "10:20:30-12:59"],
+      ["offset -13:00", "10:20:30-13:00"],
+      ["offset +23:59", "10:20:30+23:59"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601FullTimeRegex.test(input)));
+    }
+  });
+
+  test("rejects missing or malformed timezone and time overflow", async (t) => {
+    const cases = [
+      ["missing timezone", "09:30:00"],
+      ["lowercase z", "10:20:30z"],
+      ["offset missing colon", "10:20:30+0100"],
+      ["offset single-digit hour", "10:20:30+1:00"],
+      ["Z with offset", "10:20:30Z+01:00"],
+      ["double timezone", "10:20:30ZZ"],
+      ["bare plus sign", "10:20:30+"],
+      ["hour 24", "24:00:00Z"],
+      ["second 60", "23:59:60Z"],
+      ["ms 4 digits", "10:20:30.1234Z"],
+      ["date-time", "2025-11-02T09:30:00Z"],
+      ["trailing space", "09:30:00Z "],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601FullTimeRegex.test(input)));
+    }
+  });
+
+  test("captures: same time groups as ISO8601Regex", async (t) => {
+    const cases = [
+      [
+        "fraction + positive offset",
+        "03:14:07.045+13:59",
+        { hour: "03", minute: "14", second: "07", millisecond: "045", timezone: "+13:59" },
+      ],
+      [
+        "no fraction, UTC",
+        "10:20:30Z",
+        { hour: "10", minute: "20", second: "30", millisecond: undefined, timezone: "Z" },
+      ],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => {
+        const m = ISO8601FullTimeRegex.exec(input);
+        assert.ok(m, "Expected match");
+        assert.deepEqual({ ...m.groups }, expected);
+      });
+    }
+  });
+
+  test("accepts exactly the time part of every valid ISO8601Regex date-time", async (t) => {
+    const cases = [
+      "2025-11-02T10:20:30Z",
+      "2038-01-19T03:14:07.045+13:59",
+      "2000-02-29T00:00:00-12:00",
+      "2025-05-10T04:05:06.9-00:00",
+    ];
+
+    for (const input of cases) {
+      await t.test(input, () => {
+        assert.ok(ISO8601Regex.test(input));
+        assert.ok(ISO8601FullTimeRegex.test(input.slice(11)));
+      });
+    }
+  });
+
+  test("readme examples should all pass", async (t) => {
+    const valid = [
+      [ISO8601PartialTimeRegex, "09:30:00"],
+      [ISO8601PartialTimeRegex, "23:59:59.999"],
+      [ISO8601FullTimeRegex, "09:30:00+01:00"],
+      [ISO8601FullTimeRegex, "10:20:30.123Z"],
+    ];
+    const invalid = [
+      [ISO8601PartialTimeRegex, "09:30:00Z"],
+      [ISO8601PartialTimeRegex, "24:00:00"],
+      [ISO8601PartialTimeRegex, "09:30"],
+      [ISO8601FullTimeRegex, "09:30:00"],
+      [ISO8601FullTimeRegex, "09:30:00+15:00"],
+      [ISO8601FullTimeRegex, "2025-11-02T09:30:00Z"],
+    ];
+
+    for (const [regex, input] of valid) {
+      await t.test(`valid: ${input}`, () => assert.ok(regex.test(input)));
+    }
+
+    for (const [regex, input] of invalid) {
+      await t.test(`invalid: ${input}`, () => assert.ok(!regex.test(input)));
+    }
+  });
+});
+
+describe("ISO8601WeekDateRegex — strict ISO 8601 week dates", () => {
+  test("accepts valid week dates", async (t) => {
+    const cases = [
+      ["first week, Monday", "2025-W01-1"],
+      ["mid-year", "2025-W26-3"],
+      ["week 45, Sunday", "2025-W45-7"],
+      ["week 52", "2025-W52-7"],
+      ["week 53 in a Thursday year (2026)", "2026-W53-4"],
+      ["week 53 in a leap Wednesday year (2020)", "2020-W53-7"],
+      ["week 53 in 2015", "2015-W53-1"],
+      ["week 53 in 2004", "2004-W53-5"],
+      ["year 0000", "0000-W01-1"],
+      ["year 9999", "9999-W52-5"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.ok(ISO8601WeekDateRegex.test(input), `Expected match: ${input}`)
+      );
+    }
+  });
+
+  test("rejects week 53 in 52-week years", async (t) => {
+    const cases = [
+      ["2025 (starts on Wednesday, common year)", "2025-W53-1"],
+      ["2024 (leap year starting on Monday)", "2024-W53-1"],
+      ["2016 (leap year starting on Friday)", "2016-W53-1"],
+      ["2000 (century leap year)", "2000-W53-1"],
+      ["2100", "2100-W53-1"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601WeekDateRegex.test(input)));
+    }
+  });
+
+  test("agrees with the ISO week calendar on week 53 for every year 0000–9999", () => {
+    // Jan 1 weekday (0 = Sunday) from the Gregorian 400-year cycle
+    const jan1 = (y) =>
+      (1 + 5 * ((y + 399) % 4) + 4 * ((y + 399) % 100) + 6 * ((y + 399) % 400)) % 7;
+    const isLeap = (y) => (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+    const hasWeek53 = (y) => jan1(y) === 4 || (isLeap(y) && jan1(y) === 3);
+
+    for (let y = 0; y <= 9999; y++) {
+      const input = `${String(y).padStart(4, "0")}-W53-1`;
+      assert.equal(ISO8601WeekDateRegex.test(input), hasWeek53(y), input);
+    }
+  });
+
+  test("rejects out-of-range weeks and weekdays", async (t) => {
+    const cases = [
+      ["week 00", "2025-W00-1"],
+      ["week 54", "2026-W54-1"],
+      ["week 99", "2025-W99-1"],
+      ["weekday 0", "2025-W45-0"],
+      ["weekday 8", "2025-W45-8"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601WeekDateRegex.test(input)));
+    }
+  });
+
+  test("strict shape", async (t) => {
+    const cases = [
+      ["basic format", "2025W457"],
+      ["lowercase w", "2025-w45-7"],
+      ["missing weekday", "2025-W45"],
+      ["single-digit week", "2025-W5-7"],
+      ["two-digit weekday", "2025-W45-07"],
+      ["5-digit year", "12025-W45-7"],
+      ["calendar date", "2025-11-02"],
+      ["leading space", " 2025-W45-7"],
+      ["trailing newline", "2025-W45-7\n"],
+      ["date-time", "2025-W45-7T10:20:30Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601WeekDateRegex.test(input)));
+    }
+  });
+
+  test("captures: year, week and weekday named groups", () => {
+    const m = ISO8601WeekDateRegex.exec("2026-W53-4");
+    assert.ok(m, "Expected match");
+
+    assert.deepEqual({ ...m.groups }, { year: "2026", week: "53", weekday: "4" });
+  });
+});
+
+describe("ISO8601WeekDateTimeRegex — strict ISO 8601 week date-times", () => {
+  test("accepts week date-times with UTC designator or offset", async (t) => {
+    const cases = [
+      ["UTC", "2026-W53-4T10:20:30Z"],
+      ["fraction + offset", "2025-W01-1T00:00:00.000+01:00"],
+      ["offset -12:00", "2025-W45-7T23:59:59-12:00"],
+      ["offset +14:00", "2025-W45-7T23:59:59+14:00"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(ISO8601WeekDateTimeRegex.test(input)));
+    }
+  });
+
+  test("rejects invalid weeks, times and timezones", async (t) => {
+    const cases = [
+      ["W53 in 52-week year", "2025-W53-4T10:20:30Z"],
+      ["missing timezone", "2026-W53-4T10:20:30"],
+      ["hour 24", "2025-W45-7T24:00:00Z"],
+      ["offset +14:01", "2025-W45-7T10:20:30+14:01"],
+      ["space separator", "2025-W45-7 10:20:30Z"],
+      ["date only", "2025-W45-7"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601WeekDateTimeRegex.test(input)));
+    }
+  });
+
+  test("captures: week-date and time groups", () => {
+    const m = ISO8601WeekDateTimeRegex.exec("2020-W53-7T03:14:07.045+13:59");
+    assert.ok(m, "Expected match");
+
+    assert.deepEqual(
+      { ...m.groups },
+      {
+        year: "2020",
+        week: "53",
+        weekday: "7",
+        hour: "03",
+        minute: "14",
+        second: "07",
+        millisecond: "045",
+        timezone: "+13:59",
+      }
+    );
+  });
+
+  test("performance: regex should handle edge cases efficiently", async () => {
+    const inputs = ["2026-W53-4T10:20:30Z", "2025-W53-4T10:20:30Z"];
+    const start = performance.now();
+
+    for (let i = 0; i < 10000; i++) {
+      ISO8601WeekDateTimeRegex.test(inputs[i & 1]);
+    }
+
+    const duration = performance.now() - start;
+
+    assert.ok(
+      duration < 100,
+      `Performance test took ${duration}ms, expected < 100ms`
+    );
+  });
+
+  test("readme examples should all pass", async (t) => {
+    const valid = [
+      [ISO8601WeekDateRegex, "2025-W45-7"],
+      [ISO8601WeekDateRegex, "2026-W53-4"],
+      [ISO8601WeekDateTimeRegex, "2026-W53-4T10:20:30Z"],
+      [ISO8601WeekDateTimeRegex, "2025-W01-1T00:00:00.000+01:00"],
+    ];
+    const invalid = [
+      [ISO8601WeekDateRegex, "2025-W53-1"],
+      [ISO8601WeekDateRegex, "2025-W00-1"],
+      [ISO8601WeekDateRegex, "2025-W45-8"],
+      [ISO8601WeekDateRegex, "2025W457"],
+      [ISO8601WeekDateTimeRegex, "2025-W53-4T10:20:30Z"],
+      [ISO8601WeekDateTimeRegex, "2026-W53-4T10:20:30"],
+    ];
+
+    for (const [regex, input] of valid) {
+      await t.test(`valid: ${input}`, () => assert.ok(regex.test(input)));
+    }
+
+    for (const [regex, input] of invalid) {
+      await t.test(`invalid: ${input}`, () => assert.ok(!regex.test(input)));
+    }
+  });
+});
+
+describe("ISO8601OrdinalDateRegex — strict ISO 8601 ordinal dates", () => {
+  test("accepts valid ordinal dates", async (t) => {
+    const cases = [
+      ["first day", "2025-001"],
+      ["February 1", "2025-032"],
+      ["day 100", "2025-100"],
+      ["day 365 in common year", "2025-365"],
+      ["day 366 in leap year", "2024-366"],
+      ["day 366 in 400-year leap", "2000-366"],
+      ["year 0000 day 366", "0000-366"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.ok(ISO8601OrdinalDateRegex.test(input), `Expected match: ${input}`)
+      );
+    }
+  });
+
+  test("rejects out-of-range days and day 366 in common years", async (t) => {
+    const cases = [
+      ["day 000", "2025-000"],
+      ["day 366 in common year", "2025-366"],
+      ["day 366 in 1900", "1900-366"],
+      ["day 366 in 2100", "2100-366"],
+      ["day 367", "2024-367"],
+      ["day 400", "2024-400"],
+      ["day 999", "2024-999"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601OrdinalDateRegex.test(input)));
+    }
+  });
+
+  test("agrees with the Gregorian calendar on day 366 for a 400-year cycle", () => {
+    const isLeap = (y) => (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+
+    for (let y = 1600; y < 2000; y++) {
+      assert.equal(ISO8601OrdinalDateRegex.test(`${y}-366`), isLeap(y), `${y}-366`);
+      assert.ok(ISO8601OrdinalDateRegex.test(`${y}-365`), `${y}-365`);
+    }
+  });
+
+  test("strict shape", async (t) => {
+    const cases = [
+      ["2-digit day", "2025-32"],
+      ["4-digit day", "2025-0032"],
+      ["basic format", "2025032"],
+      ["calendar date", "2025-02-01"],
+      ["5-digit year", "12025-032"],
+      ["leading space", " 2025-032"],
+      ["trailing newline", "2025-032\n"],
+      ["date-time", "2025-032T10:00:00Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601OrdinalDateRegex.test(input)));
+    }
+  });
+
+  test("captures: year and ordinalDay named groups", () => {
+    const m = ISO8601OrdinalDateRegex.exec("2024-366");
+    assert.ok(m, "Expected match");
+
+    assert.deepEqual({ ...m.groups }, { year: "2024", ordinalDay: "366" });
+  });
+});
+
+describe("ISO8601OrdinalDateTimeRegex — strict ISO 8601 ordinal date-times", () => {
+  test("accepts ordinal date-times with UTC designator or offset", async (t) => {
+    const cases = [
+      ["UTC", "2025-032T10:00:00Z"],
+      ["leap day 366 with +14:00", "2024-366T23:59:59.999+14:00"],
+      ["offset -12:00", "2025-001T00:00:00-12:00"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(ISO8601OrdinalDateTimeRegex.test(input)));
+    }
+  });
+
+  test("rejects invalid days, times and timezones", async (t) => {
+    const cases = [
+      ["day 366 in common year", "2025-366T10:00:00Z"],
+      ["missing timezone", "2025-032T10:00:00"],
+      ["hour 24", "2025-032T24:00:00Z"],
+      ["offset +14:01", "2025-032T10:00:00+14:01"],
+      ["date only", "2025-032"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601OrdinalDateTimeRegex.test(input)));
+    }
+  });
+
+  test("captures: ordinal-date and time groups", () => {
+    const m = ISO8601OrdinalDateTimeRegex.exec("2025-032T10:00:00.5-05:00");
+    assert.ok(m, "Expected match");
+
+    assert.deepEqual(
+      { ...m.groups },
+      {
+        year: "2025",
+        ordinalDay: "032",
+        hour: "10",
+        minute: "00",
+        second: "00",
+        millisecond: "5",
+        timezone: "-05:00",
+      }
+    );
+  });
+
+  test("readme examples should all pass", async (t) => {
+    const valid = [
+      [ISO8601OrdinalDateRegex, "2025-032"],
+      [ISO8601OrdinalDateRegex, "2024-366"],
+      [ISO8601OrdinalDateTimeRegex, "2025-032T10:00:00Z"],
+      [ISO8601OrdinalDateTimeRegex, "2024-366T23:59:59.999+14:00"],
+    ];
+    const invalid = [
+      [ISO8601OrdinalDateRegex, "2025-366"],
+      [ISO8601OrdinalDateRegex, "2025-000"],
+      [ISO8601OrdinalDateRegex, "2025-32"],
+      [ISO8601OrdinalDateTimeRegex, "2025-366T10:00:00Z"],
+      [ISO8601OrdinalDateTimeRegex, "2025-032T10:00:00"],
+    ];
+
+    for (const [regex, input] of valid) {
+      await t.test(`valid: ${input}`, () => assert.ok(regex.test(input)));
+    }
+
+    for (const [regex, input] of invalid) {
+      await t.test(`invalid: ${input}`, () => assert.ok(!regex.test(input)));
+    }
+  });
+});
+
+describe("ordinalToCalendarDate / calendarToOrdinalDate", () => {
+  test("converts ordinal dates to calendar dates", async (t) => {
+    const cases = [
+      [[2025, 1], { year: 2025, month: 1, day: 1 }],
+      [[2025, 32], { year: 2025, month: 2, day: 1 }],
+      [[2025, 59], { year: 2025, month: 2, day: 28 }],
+      [[2025, 60], { year: 2025, month: 3, day: 1 }],
+      [[2024, 60], { year: 2024, month: 2, day: 29 }],
+      [[2024, 61], { year: 2024, month: 3, day: 1 }],
+      [[2025, 365], { year: 2025, month: 12, day: 31 }],
+      [[2024, 366], { year: 2024, month: 12, day: 31 }],
+    ];
+
+    for (const [args, expected] of cases) {
+      await t.test(args.join("-"), () =>
+        assert.deepEqual(ordinalToCalendarDate(...args), expected)
+      );
+    }
+  });
+
+  test("converts calendar dates to ordinal dates", async (t) => {
+    const cases = [
+      [[2025, 1, 1], { year: 2025, ordinalDay: 1 }],
+      [[2025, 2, 1], { year: 2025, ordinalDay: 32 }],
+      [[2025, 3, 1], { year: 2025, ordinalDay: 60 }],
+      [[2024, 3, 1], { year: 2024, ordinalDay: 61 }],
+      [[2024, 12, 31], { year: 2024, ordinalDay: 366 }],
+      [[1900, 12, 31], { year: 1900, ordinalDay: 365 }],
+    ];
+
+    for (const [args, expected] of cases) {
+      await t.test(args.join("-"), () =>
+        assert.deepEqual(calendarToOrdinalDate(...args), expected)
+      );
+    }
+  });
+
+  test("round-trips every day of leap and common years", () => {
+    for (const year of [1900, 2000, 2024, 2025]) {
+      const days = ISO8601OrdinalDateRegex.test(`${year}-366`) ? 366 : 365;
+
+      for (let ordinalDay = 1; ordinalDay <= days; ordinalDay++) {
+        const { month, day } = ordinalToCalendarDate(year, ordinalDay);
+        const date = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+        assert.ok(ISO8601DateRegex.test(date), date);
+        assert.deepEqual(calendarToOrdinalDate(year, month, day), { year, ordinalDay });
+      }
+    }
+  });
+
+  test("throws RangeError on dates that do not exist", async (t) => {
+    const cases = [
+      ["day 366 in common year", () => ordinalToCalendarDate(2025, 366)],
+      ["day 0", () => ordinalToCalendarDate(2025, 0)],
+      ["fractional day", () => ordinalToCalendarDate(2025, 1.5)],
+      ["year 10000", () => ordinalToCalendarDate(10000, 1)],
+      ["negative year", () => ordinalToCalendarDate(-1, 1)],
+      ["Feb 29 in common year", () => calendarToOrdinalDate(2025, 2, 29)],
+      ["April 31", () => calendarToOrdinalDate(2025, 4, 31)],
+      ["month 13", () => calendarToOrdinalDate(2025, 13, 1)],
+      ["string arguments", () => calendarToOrdinalDate("2025", "1", "1")],
+    ];
+
+    for (const [label, fn] of cases) {
+      await t.test(label, () => assert.throws(fn, RangeError));
+    }
+  });
+});
+
+describe("ISO8601BasicRegex — strict ISO 8601 basic format", () => {
+  // "2025-11-02T10:20:30-05:00" → "20251102T102030-0500"
+  const toBasic = (input) =>
+    input.slice(0, 19).replace(/[-:]/g, "") + input.slice(19).replace(":", "");
+
+  test("accepts basic-format date-times", async (t) => {
+    const cases = [
+      ["UTC", "20251102T102030Z"],
+      ["ms .123 + offset", "20251102T102030.123+0530"],
+      ["ms .1", "20251102T102030.1Z"],
+      ["leap day", "20240229T120000Z"],
+      ["offset +1400", "20251102T102030+1400"],
+      ["offset -1200", "20251102T102030-1200"],
+      ["offset -0000", "20251102T102030-0000"],
+      ["upper bound time", "20251231T235959.999Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.ok(ISO8601BasicRegex.test(input), `Expected match: ${input}`)
+      );
+    }
+  });
+
+  test("rejects calendar, time and offset violations", async (t) => {
+    const cases = [
+      ["April 31", "20250431T120000Z"],
+      ["Feb 29 common year", "20250229T120000Z"],
+      ["Feb 29 1900", "19000229T000000Z"],
+      ["month 13", "20251301T120000Z"],
+      ["day 00", "20251100T120000Z"],
+      ["hour 24", "20251102T240000Z"],
+      ["minute 60", "20251102T236000Z"],
+      ["second 60", "20251102T235960Z"],
+      ["ms 4 digits", "20251102T102030.1234Z"],
+      ["offset +1401", "20251102T102030+1401"],
+      ["offset +1500", "20251102T102030+1500"],
+      ["offset -1300", "20251102T102030-1300"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601BasicRegex.test(input)));
+    }
+  });
+
+  test("rejects extended and mixed separators", async (t) => {
+    const cases = [
+      ["extended format", "2025-11-02T10:20:30Z"],
+      ["extended date", "2025-11-02T102030Z"],
+      ["extended time", "20251102T10:20:30Z"],
+      ["extended offset", "20251102T102030+05:30"],
+      ["hour-only offset", "20251102T102030+05"],
+      ["missing timezone", "20251102T102030"],
+      ["date only", "20251102"],
+      ["lowercase t", "20251102t102030Z"],
+      ["space separator", "20251102 102030Z"],
+      ["trailing newline", "20251102T102030Z\n"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601BasicRegex.test(input)));
+    }
+  });
+
+  test("captures: same named groups as ISO8601Regex", () => {
+    const m = ISO8601BasicRegex.exec("20251102T102030.123+0530");
+    assert.ok(m, "Expected match");
+
+    assert.deepEqual(
+      { ...m.groups },
+      {
+        year: "2025",
+        month: "11",
+        day: "02",
+        hour: "10",
+        minute: "20",
+        second: "30",
+        millisecond: "123",
+        timezone: "+0530",
+      }
+    );
+  });
+
+  test("agrees with ISO8601Regex on every day of a 400-year cycle", () => {
+    for (let y = 1600; y < 2000; y++) {
+      for (let m = 0; m <= 13; m++) {
+        for (let d = 0; d <= 32; d++) {
+          const date = `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+          const extended = `${date}T10:20:30-05:00`;
+          const basic = toBasic(extended);
+
+          assert.equal(ISO8601BasicRegex.test(basic), ISO8601Regex.test(extended), basic);
+        }
+      }
+    }
+  });
+});
+
+describe("ISO8601ExtendedOrBasicRegex — either format, never mixed", () => {
+  test("accepts extended and basic forms", async (t) => {
+    const cases = [
+      ["extended", "2025-11-02T10:20:30Z"],
+      ["extended with offset", "2025-11-02T10:20:30.123+05:30"],
+      ["basic", "20251102T102030Z"],
+      ["basic with offset", "20251102T102030.123+0530"],
+      ["extended leap day", "2024-02-29T12:00:00Z"],
+      ["basic leap day", "20240229T120000Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.ok(ISO8601ExtendedOrBasicRegex.test(input), `Expected match: ${input}`)
+      );
+    }
+  });
+
+  test("rejects mixed separators", async (t) => {
+    const cases = [
+      ["extended date, basic time", "2025-11-02T102030Z"],
+      ["basic date, extended time", "20251102T10:20:30Z"],
+      ["extended, basic offset", "2025-11-02T10:20:30+0530"],
+      ["basic, extended offset", "20251102T102030+05:30"],
+      ["half-extended date", "2025-1102T10:20:30Z"],
+      ["half-extended date (month)", "202511-02T10:20:30Z"],
+      ["half-extended time", "2025-11-02T10:2030Z"],
+      ["half-extended time (minute)", "2025-11-02T1020:30Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601ExtendedOrBasicRegex.test(input)));
+    }
+  });
+
+  test("keeps calendar and offset strictness in both forms", async (t) => {
+    const cases = [
+      ["extended Feb 29 common year", "2025-02-29T12:00:00Z"],
+      ["basic Feb 29 common year", "20250229T120000Z"],
+      ["extended April 31", "2025-04-31T12:00:00Z"],
+      ["basic April 31", "20250431T120000Z"],
+      ["extended +14:01", "2025-11-02T10:20:30+14:01"],
+      ["basic +1401", "20251102T102030+1401"],
+      ["extended ms 4 digits", "2025-11-02T10:20:30.1234Z"],
+      ["basic ms 4 digits", "20251102T102030.1234Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601ExtendedOrBasicRegex.test(input)));
+    }
+  });
+
+  test("agrees with ISO8601Regex and ISO8601BasicRegex on their own inputs", async (t) => {
+    const cases = [
+      "2025-11-02T10:20:30Z",
+      "2038-01-19T03:14:07.045+13:59",
+      "2000-02-29T00:00:00-12:00",
+      "2025-11-02T24:00:00Z",
+      "2025-11-02T10:20:30",
+      "20251102T102030Z",
+      "20000229T000000-1200",
+      "21000229T000000Z",
+    ];
+
+    for (const input of cases) {
+      await t.test(input, () =>
+        assert.equal(
+          ISO8601ExtendedOrBasicRegex.test(input),
+          ISO8601Regex.test(input) || ISO8601BasicRegex.test(input)
+        )
+      );
+    }
+  });
+
+  test("performance: adversarial near-matches are rejected quickly", () => {
+    const inputs = [
+      "2025-11-02T10:20:30." + "1".repeat(100_000) + "X",
+      "20251102T102030+" + "0".repeat(100_000),
+      "2025-11-02T10:20:30Z".repeat(10_000),
+    ];
+    const start = performance.now();
+
+    for (const input of inputs) {
+      assert.ok(!ISO8601ExtendedOrBasicRegex.test(input));
+    }
+
+    const duration = performance.now() - start;
+
+    assert.ok(duration < 100, `Took ${duration}ms, expected < 100ms`);
+  });
+});
+
+describe("ISO8601DurationRegex — strict ISO 8601 durations", () => {
+  test("accepts valid durations", async (t) => {
+    const cases = [
+      ["all components", "P1Y2M10DT2H30M15S"],
+      ["date only", "P1Y2M10D"],
+      ["time only", "PT2H30M"],
+      ["years", "P1Y"],
+      ["months", "P1M"],
+      ["days", "P10D"],
+      ["hours beyond carry-over", "PT36H"],
+      ["minutes", "PT1M"],
+      ["seconds", "PT15S"],
+      ["zero seconds", "PT0S"],
+      ["zero days", "P0D"],
+      ["weeks", "P2W"],
+      ["large values", "P9999Y"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.ok(ISO8601DurationRegex.test(input), `Expected match: ${input}`)
+      );
+    }
+  });
+
+  test("accepts a fraction on the last component only", async (t) => {
+    const ok = [
+      ["fractional seconds", "PT0.5S"],
+      ["fractional minutes", "PT1.5M"],
+      ["fractional hours", "P1DT1.25H"],
+      ["fractional days", "P1Y0.5D"],
+      ["fractional months", "P1Y1.5M"],
+      ["fractional years", "P1.5Y"],
+      ["fractional weeks", "P1.5W"],
+    ];
+
+    const bad = [
+      ["fraction before time part", "P0.5DT1H"],
+      ["fractional years before months", "P1.5Y2M"],
+      ["fractional minutes before seconds", "PT1.5M2S"],
+      ["fractional hours before minutes", "PT1.5H30M"],
+      ["comma decimal sign", "PT1,5S"],
+      ["missing integer part", "P.5D"],
+      ["missing fraction digits", "P1.D"],
+    ];
+
+    for (const [label, input] of ok) {
+      await t.test(`valid ${label}`, () => assert.ok(ISO8601DurationRegex.test(input)));
+    }
+
+    for (const [label, input] of bad) {
+      await t.test(`invalid ${label}`, () =>
+        assert.ok(!ISO8601DurationRegex.test(input))
+      );
+    }
+  });
+
+  test("rejects empty designators and malformed durations", async (t) => {
+    const cases = [
+      ["P alone", "P"],
+      ["PT alone", "PT"],
+      ["empty time part", "P1DT"],
+      ["weeks with other components", "P1W2D"],
+      ["weeks with time", "P1WT1H"],
+      ["out-of-order components", "P1D2M"],
+      ["repeated component", "P1Y1Y"],
+      ["time component in date part", "P1H"],
+      ["date component in time part", "PT1D"],
+      ["missing P", "1Y"],
+      ["negative duration", "-P1D"],
+      ["negative component", "P-1D"],
+      ["lowercase", "p1d"],
+      ["lowercase designator", "P1d"],
+      ["missing number", "PYT1H"],
+      ["leading space", " P1D"],
+      ["trailing space", "P1D "],
+      ["trailing newline", "P1D\n"],
+      ["alternative format", "P0001-02-03T04:05:06"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601DurationRegex.test(input)));
+    }
+  });
+
+  test("captures: named groups per component", () => {
+    const m = ISO8601DurationRegex.exec("P1Y2M10DT2H30M0.5S");
+    assert.ok(m, "Expected match");
+
+    assert.deepEqual(
+      { ...m.groups },
+      {
+        weeks: undefined,
+        years: "1",
+        months: "2",
+        days: "10",
+        hours: "2",
+        minutes: "30",
+        seconds: "0.5",
+      }
+    );
+  });
+
+  test("performance: adversarial near-matches are rejected in linear time", () => {
+    const inputs = [
+      "P" + "1".repeat(100_000) + "X",
+      "PT" + "1".repeat(100_000) + ".",
+      "P1." + "5".repeat(100_000) + "YT1H",
+      "P1Y".repeat(30_000),
+      "PT".repeat(50_000),
+      "P" + "1Y2M3D".repeat(20_000),
+    ];
+    const start = performance.now();
+
+    for (const input of inputs) {
+      assert.ok(!ISO8601DurationRegex.test(input));
+    }
+
+    const duration = performance.now() - start;
+
+    assert.ok(duration < 100, `Took ${duration}ms, expected < 100ms`);
+  });
+});
+
+describe("parseDuration", () => {
+  test("returns numeric components with 0 for absent ones", async (t) => {
+    const zero = { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+    const cases = [
+      ["P1Y2M10DT2H30M", { ...zero, years: 1, months: 2, days: 10, hours: 2, minutes: 30 }],
+      ["PT1.5S", { ...zero, seconds: 1.5 }],
+      ["P2W", { ...zero, weeks: 2 }],
+      ["PT36H", { ...zero, hours: 36 }],
+      ["P0D", zero],
+      ["P1Y0.5M", { ...zero, years: 1, months: 0.5 }],
+    ];
+
+    for (const [input, expected] of cases) {
+      await t.test(input, () => assert.deepEqual(parseDuration(input), expected));
+    }
+  });
+
+  test("returns null on invalid input", async (t) => {
+    for (const input of ["P", "PT", "P0.5DT1H", "P1W2D", "", "not-a-duration"]) {
+      await t.test(JSON.stringify(input), () => assert.equal(parseDuration(input), null));
+    }
+  });
+});
+
+describe("parseISO8601Interval / isISO8601Interval", () => {
+  const zero = { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+
+  test("parses start/end, start/duration and duration/end intervals", async (t) => {
+    const cases = [
+      [
+        "start/end",
+        "2025-11-02T10:00:00Z/2025-11-02T12:00:00Z",
+        { start: "2025-11-02T10:00:00Z", end: "2025-11-02T12:00:00Z", duration: { ...zero, hours: 2 }, repetitions: null },
+      ],
+      [
+        "start/duration",
+        "2025-11-02T10:00:00Z/PT2H",
+        { start: "2025-11-02T10:00:00Z", end: "2025-11-02T12:00:00Z", duration: { ...zero, hours: 2 }, repetitions: null },
+      ],
+      [
+        "duration/end",
+        "P1DT2H/2025-11-02T12:00:00.5-05:00",
+        {
+          start: "2025-11-01T10:00:00.500-05:00",
+          end: "2025-11-02T12:00:00.5-05:00",
+          duration: { ...zero, days: 1, hours: 2 },
+          repetitions: null,
+        },
+      ],
+      [
+        "zero-length start/end",
+        "2025-11-02T10:00:00Z/2025-11-02T10:00:00Z",
+        { start: "2025-11-02T10:00:00Z", end: "2025-11-02T10:00:00Z", duration: zero, repetitions: null },
+      ],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => assert.deepEqual(parseISO8601Interval(input), expected));
+    }
+  });
+
+  test("computes the end of start/duration and the start of duration/end", async (t) => {
+    const cases = [
+      ["time", "2025-11-02T10:00:00Z/PT1.5H", "end", "2025-11-02T11:30:00Z"],
+      ["fraction of a second", "2025-11-02T10:00:00.750+05:30/PT0.5S", "end", "2025-11-02T10:00:01.250+05:30"],
+      ["days across a month", "2025-11-30T23:00:00-03:00/P1DT2H", "end", "2025-12-02T01:00:00-03:00"],
+      ["weeks", "2025-11-02T10:00:00Z/P2W", "end", "2025-11-16T10:00:00Z"],
+      ["month clamped to its last day", "2025-01-31T10:00:00Z/P1M", "end", "2025-02-28T10:00:00Z"],
+      ["Feb 29 plus a year", "2024-02-29T00:00:00+00:00/P1Y", "end", "2025-02-28T00:00:00+00:00"],
+      ["years and months before days", "2023-12-31T00:00:00Z/P1Y2M1D", "end", "2025-03-01T00:00:00Z"],
+      ["subtracted month clamped", "P1M/2025-03-31T10:00:00-00:00", "start", "2025-02-28T10:00:00-00:00"],
+      ["subtracted across a year", "P1DT12H/2025-01-01T06:00:00+14:00", "start", "2024-12-30T18:00:00+14:00"],
+      ["repeating", "R3/2025-11-02T10:00:00Z/PT15M", "end", "2025-11-02T10:15:00Z"],
+    ];
+
+    for (const [label, input, member, expected] of cases) {
+      await t.test(label, () => assert.equal(parseISO8601Interval(input)[member], expected));
+    }
+  });
+
+  test("leaves a computed start or end null when the calendar cannot fix it", async (t) => {
+    const cases = [
+      ["fraction of a day", "2025-11-02T10:00:00Z/P0.5D", "end"],
+      ["fraction of a month", "P1.5M/2025-11-02T10:00:00Z", "start"],
+      ["fraction of a week", "2025-11-02T10:00:00Z/P0.5W", "end"],
+      ["after year 9999", "9999-12-01T00:00:00Z/P1M", "end"],
+      ["after year 9999 by time", "9999-12-31T23:00:00Z/PT1H", "end"],
+      ["before year 0000", "P1D/0000-01-01T10:00:00Z", "start"],
+    ];
+
+    for (const [label, input, member] of cases) {
+      await t.test(label, () => {
+        const interval = parseISO8601Interval(input);
+
+        assert.equal(interval[member], null);
+        assert.ok(isISO8601Interval(input));
+      });
+    }
+  });
+
+  test("computes the exact duration of start/end", async (t) => {
+    const cases = [
+      ["hours", "2025-11-02T10:00:00Z/12:30:00Z", { ...zero, hours: 2, minutes: 30 }],
+      ["days of 24 hours", "2025-11-02T10:00:00Z/2025-11-05T09:59:59.5Z", { ...zero, days: 2, hours: 23, minutes: 59, seconds: 59.5 }],
+      ["across offsets", "2025-11-02T23:30:00-12:00/2025-11-04T01:30:00.25+14:00", { ...zero, seconds: 0.25 }],
+      ["across a month", "2025-01-31T00:00:00Z/2025-03-01T00:00:00Z", { ...zero, days: 29 }],
+    ];
+
+    for (const [label, input, duration] of cases) {
+      await t.test(label, () => assert.deepEqual(parseISO8601Interval(input).duration, duration));
+    }
+  });
+
+  test("parses repeating intervals", async (t) => {
+    const cases = [
+      ["R5 start/duration", "R5/2025-11-02T10:00:00Z/P1D", 5],
+      ["R0", "R0/2025-11-02T10:00:00Z/P1D", 0],
+      ["R12 start/end", "R12/2025-11-02T10:00:00Z/2025-11-02T11:00:00Z", 12],
+      ["R duration/end", "R3/PT1H/2025-11-02T10:00:00Z", 3],
+      ["unbounded R/", "R/2025-11-02T10:00:00Z/PT15M", Infinity],
+    ];
+
+    for (const [label, input, repetitions] of cases) {
+      await t.test(label, () =>
+        assert.equal(parseISO8601Interval(input).repetitions, repetitions)
+      );
+    }
+  });
+
+  test("expands abbreviated ends from the start", async (t) => {
+    const cases = [
+      ["time with Z", "2025-11-02T10:00:00Z/12:00:00Z", "2025-11-02T12:00:00Z"],
+      ["time with fraction", "2025-11-02T10:00:00Z/12:00:00.250Z", "2025-11-02T12:00:00.250Z"],
+      ["time without timezone", "2025-11-02T10:00:00+01:00/12:00:00", "2025-11-02T12:00:00+01:00"],
+      ["time with own offset", "2025-11-02T10:00:00Z/09:00:00-02:00", "2025-11-02T09:00:00-02:00"],
+      ["day and time", "2025-11-02T10:00:00Z/03T09:00:00Z", "2025-11-03T09:00:00Z"],
+      ["month, day and time", "2025-11-02T10:00:00Z/12-01T09:00:00", "2025-12-01T09:00:00Z"],
+      ["repeating", "R2/2025-11-02T10:00:00Z/12:00:00Z", "2025-11-02T12:00:00Z"],
+    ];
+
+    for (const [label, input, end] of cases) {
+      await t.test(label, () => assert.equal(parseISO8601Interval(input)?.end, end));
+    }
+  });
+
+  test("rejects ends before starts, taking offsets into account", async (t) => {
+    const cases = [
+      ["end before start", "2025-11-02T12:00:00Z/2025-11-02T10:00:00Z"],
+      ["end 1 ms before start", "2025-11-02T10:00:00.001Z/2025-11-02T10:00:00Z"],
+      ["same wall time, later offset", "2025-11-02T12:00:00+01:00/2025-11-02T10:00:00Z"],
+      ["abbreviated end before start", "2025-11-02T12:00:00Z/10:00:00Z"],
+      ["+14:00 end vs -12:00 start", "2025-11-02T23:30:00-12:00/2025-11-03T13:00:00+14:00"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.equal(parseISO8601Interval(input), null));
+    }
+  });
+
+  test("accepts ends after starts across offsets", async (t) => {
+    const cases = [
+      ["earlier wall time, later instant", "2025-11-02T12:00:00+01:00/2025-11-02T11:00:00Z"],
+      ["same instant, -12:00 vs +14:00 two days later", "2025-11-02T23:30:00-12:00/2025-11-04T01:30:00+14:00"],
+      ["abbreviated end with own offset", "2025-11-02T10:00:00Z/09:00:00-02:00"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(isISO8601Interval(input)));
+    }
+  });
+
+  test("rejects malformed intervals and invalid parts", async (t) => {
+    const cases = [
+      ["single date-time", "2025-11-02T10:00:00Z"],
+      ["duration only", "P1D"],
+      ["two durations", "P1D/P2D"],
+      ["empty end", "2025-11-02T10:00:00Z/"],
+      ["invalid start", "2025-02-30T10:00:00Z/P1D"],
+      ["invalid end", "2025-11-02T10:00:00Z/2025-11-31T10:00:00Z"],
+      ["invalid abbreviated end", "2025-11-02T10:00:00Z/02-30T10:00:00Z"],
+      ["invalid duration", "2025-11-02T10:00:00Z/PT"],
+      ["bad repetition", "X5/2025-11-02T10:00:00Z/P1D"],
+      ["negative repetition", "R-1/2025-11-02T10:00:00Z/P1D"],
+      ["repetition without interval", "R5/P1D"],
+      ["too many parts", "R5/R5/2025-11-02T10:00:00Z/P1D"],
+      ["double-hyphen separator", "2025-11-02T10:00:00Z--2025-11-02T12:00:00Z"],
+      ["spaces", "2025-11-02T10:00:00Z / 2025-11-02T12:00:00Z"],
+      ["non-string", 42],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => {
+        assert.equal(parseISO8601Interval(input), null);
+        assert.equal(isISO8601Interval(input), false);
+      });
+    }
+  });
+});
+
+describe("ISO8601LeapSecondRegex / isISO8601WithLeapSecond — opt-in leap seconds", () => {
+  test("regex allows second 60 and nothing beyond", async (t) => {
+    const ok = [
+      ["leap second UTC", "2016-12-31T23:59:60Z"],
+      ["leap second with fraction", "2016-12-31T23:59:60.999Z"],
+      ["regular second", "2025-11-02T10:20:30Z"],
+    ];
+    const bad = [
+      ["second 61", "2016-12-31T23:59:61Z"],
+      ["second 99", "2016-12-31T23:59:99Z"],
+      ["calendar violation", "2016-02-30T23:59:60Z"],
+      ["missing timezone", "2016-12-31T23:59:60"],
+    ];
+
+    for (const [label, input] of ok) {
+      await t.test(`valid ${label}`, () => assert.ok(ISO8601LeapSecondRegex.test(input)));
+    }
+
+    for (const [label, input] of bad) {
+      await t.test(`invalid ${label}`, () => assert.ok(!ISO8601LeapSecondRegex.test(input)));
+    }
+  });
+
+  test("ISO8601Regex still rejects second 60", () => {
+    assert.ok(!ISO8601Regex.test("2016-12-31T23:59:60Z"));
+  });
+
+  test("accepts 23:59:60 UTC on June 30 and December 31, adjusted for the offset", async (t) => {
+    const cases = [
+      ["Dec 31 UTC", "2016-12-31T23:59:60Z"],
+      ["Jun 30 UTC", "2015-06-30T23:59:60Z"],
+      ["+00:00", "2016-12-31T23:59:60+00:00"],
+      ["-00:00", "2016-12-31T23:59:60-00:00"],
+      ["+01:00 (next local day)", "2017-01-01T00:59:60+01:00"],
+      ["-05:00", "2016-12-31T18:59:60-05:00"],
+      ["+05:30", "2015-07-01T05:29:60+05:30"],
+      ["+05:45", "2017-01-01T05:44:60+05:45"],
+      ["+14:00", "2017-01-01T13:59:60+14:00"],
+      ["-12:00", "2016-12-31T11:59:60-12:00"],
+      ["with fraction", "2016-12-31T23:59:60.5Z"],
+      ["unpublished but possible date", "2017-06-30T23:59:60Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(isISO8601WithLeapSecond(input)));
+    }
+  });
+
+  test("rejects second 60 anywhere else", async (t) => {
+    const cases = [
+      ["wrong minute", "2016-12-31T23:58:60Z"],
+      ["wrong hour", "2016-12-31T22:59:60Z"],
+      ["wrong day", "2016-12-30T23:59:60Z"],
+      ["wrong month end", "2016-11-30T23:59:60Z"],
+      ["local 23:59:60 with +01:00 (22:59:60Z)", "2016-12-31T23:59:60+01:00"],
+      ["local 23:59:60 with -05:00 (04:59:60Z next day)", "2016-12-31T23:59:60-05:00"],
+      ["+05:30 with local minute 59", "2015-07-01T05:59:60+05:30"],
+      ["second 61", "2016-12-31T23:59:61Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!isISO8601WithLeapSecond(input)));
+    }
+  });
+
+  test("strict mode only accepts published IERS leap seconds", async (t) => {
+    const ok = [
+      ["first (1972-06-30)", "1972-06-30T23:59:60Z"],
+      ["last (2016-12-31)", "2016-12-31T23:59:60Z"],
+      ["2016-12-31 with -05:00", "2016-12-31T18:59:60-05:00"],
+      ["2015-06-30 with +05:30", "2015-07-01T05:29:60+05:30"],
+    ];
+    const bad = [
+      ["2017-06-30 (none scheduled)", "2017-06-30T23:59:60Z"],
+      ["1971-12-31 (before leap seconds)", "1971-12-31T23:59:60Z"],
+      ["2016-06-30 (none that day)", "2016-06-30T23:59:60Z"],
+      ["2024-12-31", "2024-12-31T23:59:60Z"],
+    ];
+
+    for (const [label, input] of ok) {
+      await t.test(`valid ${label}`, () =>
+        assert.ok(isISO8601WithLeapSecond(input, { strict: true }))
+      );
+    }
+
+    for (const [label, input] of bad) {
+      await t.test(`invalid ${label}`, () =>
+        assert.ok(!isISO8601WithLeapSecond(input, { strict: true }))
+      );
+    }
+  });
+
+  test("every IERS table entry is accepted in strict mode", () => {
+    assert.equal(IERSLeapSeconds.length, 27);
+    assert.ok(Object.isFrozen(IERSLeapSeconds));
+
+    for (const date of IERSLeapSeconds) {
+      assert.ok(isISO8601WithLeapSecond(`${date}T23:59:60Z`, { strict: true }), date);
+    }
+  });
+
+  test("validates strings without a leap second like ISO8601Regex", async (t) => {
+    const cases = [
+      "2025-11-02T10:20:30Z",
+      "2025-02-29T12:00:00Z",
+      "2025-11-02T10:20:30+14:01",
+      "2025-11-02T10:20:30",
+      "not-a-date",
+    ];
+
+    for (const input of cases) {
+      await t.test(input, () => {
+        assert.equal(isISO8601WithLeapSecond(input), ISO8601Regex.test(input));
+        assert.equal(isISO8601WithLeapSecond(input, { strict: true }), ISO8601Regex.test(input));
+      });
+    }
+  });
+});
+
+describe("createISO8601Regex — fractional-second precision", () => {
+  const exact6 = createISO8601Regex({ fraction: { mode: "exact", digits: 6 } });
+  const max9 = createISO8601Regex({ fraction: { mode: "max", digits: 9 } });
+  const unlimited = createISO8601Regex({ fraction: { mode: "unlimited" } });
+
+  test("without options returns ISO8601Regex", () => {
+    assert.equal(createISO8601Regex(), ISO8601Regex);
+    assert.equal(createISO8601Regex({}), ISO8601Regex);
+  });
+
+  test("caches regexes by option value", () => {
+    assert.equal(
+      createISO8601Regex({ fraction: { mode: "max", digits: 9 } }),
+      max9
+    );
+    assert.equal(
+      createISO8601Regex({ fraction: { digits: 9, mode: "max" } }),
+      max9
+    );
+    assert.equal(
+      createISO8601Regex({ fraction: { mode: "unlimited", digits: 3 } }),
+      unlimited
+    );
+    assert.notEqual(exact6, max9);
+  });
+
+  test("does not cache more than 9 fraction digits", () => {
+    const options = { fraction: { mode: "max", digits: 12 } };
+    const regex = createISO8601Regex(options);
+
+    assert.notEqual(createISO8601Regex(options), regex);
+    assert.equal(createISO8601Regex(options).source, regex.source);
+    assert.ok(regex.test("2025-11-02T10:20:30.123456789012Z"));
+    assert.equal(
+      createISO8601Regex({ fraction: { mode: "exact", digits: 9 } }),
+      createISO8601Regex({ fraction: { mode: "exact", digits: 9 } })
+    );
+  });
+
+  test("exact mode requires exactly N digits", async (t) => {
+    const ok = [
+      ["microseconds UTC", "2025-11-02T10:20:30.123456Z"],
+      ["microseconds with offset", "2025-11-02T10:20:30.000000+05:30"],
+    ];
+    const bad = [
+      ["no fraction", "2025-11-02T10:20:30Z"],
+      ["too few digits", "2025-11-02T10:20:30.12345Z"],
+      ["too many digits", "2025-11-02T10:20:30.1234567Z"],
+      ["empty fraction", "2025-11-02T10:20:30.Z"],
+    ];
+
+    for (const [label, input] of ok) {
+      await t.test(`valid ${label}`, () => assert.ok(exact6.test(input)));
+    }
+
+    for (const [label, input] of bad) {
+      await t.test(`invalid ${label}`, () => assert.ok(!exact6.test(input)));
+    }
+  });
+
+  test("max mode accepts an optional fraction of up to N digits", async (t) => {
+    const ok = [
+      ["no fraction", "2025-11-02T10:20:30Z"],
+      ["one digit", "2025-11-02T10:20:30.1Z"],
+      ["nanoseconds", "2025-11-02T10:20:30.123456789Z"],
+    ];
+    const bad = [
+      ["ten digits", "2025-11-02T10:20:30.1234567891Z"],
+      ["empty fraction", "2025-11-02T10:20:30.Z"],
+    ];
+
+    for (const [label, input] of ok) {
+      await t.test(`valid ${label}`, () => assert.ok(max9.test(input)));
+    }
+
+    for (const [label, input] of bad) {
+      await t.test(`invalid ${label}`, () => assert.ok(!max9.test(input)));
+    }
+  });
+
+  test("unlimited mode accepts any number of digits", async (t) => {
+    const ok = [
+      ["no fraction", "2025-11-02T10:20:30Z"],
+      ["nanoseconds", "2025-11-02T10:20:30.123456789Z"],
+      ["picoseconds", "2025-11-02T10:20:30.123456789012-03:00"],
+      ["1000 digits", `2025-11-02T10:20:30.${"9".repeat(1000)}Z`],
+    ];
+    const bad = [
+      ["empty fraction", "2025-11-02T10:20:30.Z"],
+      ["comma decimal", "2025-11-02T10:20:30,123Z"],
+      ["missing timezone", "2025-11-02T10:20:30.123456"],
+    ];
+
+    for (const [label, input] of ok) {
+      await t.test(`valid ${label}`, () => assert.ok(unlimited.test(input)));
+    }
+
+    for (const [label, input] of bad) {
+      await t.test(`invalid ${label}`, () => assert.ok(!unlimited.test(input)));
+    }
+  });
+
+  test("keeps calendar, time and offset rules", async (t) => {
+    const cases = [
+      ["Feb 29 non-leap", "2025-02-29T10:20:30.123456Z"],
+      ["hour 24", "2025-11-02T24:00:00.123456Z"],
+      ["offset +14:01", "2025-11-02T10:20:30.123456+14:01"],
+      ["lowercase t", "2025-11-02t10:20:30.123456Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => {
+        assert.ok(!exact6.test(input));
+        assert.ok(!max9.test(input));
+        assert.ok(!unlimited.test(input));
+      });
+    }
+  });
+
+  test("captures the fraction group", () => {
+    const groups = max9.exec("2024-02-29T23:59:59.123456789+14:00").groups;
+
+    assert.equal(groups.fraction, "123456789");
+    assert.equal(groups.millisecond, undefined);
+    assert.equal(groups.timezone, "+14:00");
+    assert.equal(unlimited.exec("2025-11-02T10:20:30Z").groups.fraction, undefined);
+  });
+
+  test("rejects invalid options", () => {
+    assert.throws(() => createISO8601Regex({ fractions: {} }), TypeError);
+    assert.throws(() => createISO8601Regex({ fraction: { mode: "min", digits: 3 } }), TypeError);
+    assert.throws(() => createISO8601Regex({ fraction: null }), TypeError);
+    assert.throws(() => createISO8601Regex({ fraction: { mode: "exact" } }), RangeError);
+    assert.throws(() => createISO8601Regex({ fraction: { mode: "max", digits: 0 } }), RangeError);
+    assert.throws(() => createISO8601Regex({ fraction: { mode: "max", digits: 1.5 } }), RangeError);
+  });
+
+  test("unlimited mode stays linear on adversarial digit runs", () => {
+    const input = `2025-11-02T10:20:30.${"1".repeat(1_000_000)}!`;
+
+    const start = performance.now();
+    assert.ok(!unlimited.test(input));
+    const duration = performance.now() - start;
+
+    assert.ok(
+      duration < 100,
+      `Adversarial fraction took ${duration.toFixed(2)}ms`
+    );
+  });
+});
+
+describe("createISO8601Regex — strictness options", () => {
+  const cases = [
+    [
+      "separator: space",
+      { separator: "space" },
+      ["2025-11-02 10:20:30Z"],
+      ["2025-11-02T10:20:30Z", "2025-11-02  10:20:30Z", "2025-11-02_10:20:30Z"],
+    ],
+    [
+      "separator: any",
+      { separator: "any" },
+      ["2025-11-02 10:20:30Z", "2025-11-02T10:20:30Z"],
+      ["2025-11-02t10:20:30Z", "2025-11-0210:20:30Z"],
+    ],
+    [
+      "lowercase",
+      { lowercase: true },
+      ["2025-11-02t10:20:30z", "2025-11-02T10:20:30z", "2025-11-02t10:20:30+01:00"],
+      ["2025-11-02 10:20:30Z", "2025-11-02x10:20:30Z"],
+    ],
+    [
+      "separator: any + lowercase",
+      { separator: "any", lowercase: true },
+      ["2025-11-02 10:20:30z", "2025-11-02t10:20:30Z", "2025-11-02T10:20:30Z"],
+      ["2025-11-02\t10:20:30Z"],
+    ],
+    [
+      "timezone: utc",
+      { timezone: "utc" },
+      ["2025-11-02T10:20:30Z", "2025-11-02T10:20:30.123Z"],
+      ["2025-11-02T10:20:30+00:00", "2025-11-02T10:20:30-05:00", "2025-11-02T10:20:30"],
+    ],
+    [
+      "timezone: offset",
+      { timezone: "offset" },
+      ["2025-11-02T10:20:30+00:00", "2025-11-02T10:20:30-05:00"],
+      ["2025-11-02T10:20:30Z", "2025-11-02T10:20:30"],
+    ],
+    [
+      "timezone: optional",
+      { timezone: "optional" },
+      ["2025-11-02T10:20:30", "2025-11-02T10:20:30.5", "2025-11-02T10:20:30Z", "2025-11-02T10:20:30+14:00"],
+      ["2025-11-02T10:20:30+14:01", "2025-11-02T10:20:30+", "2025-02-29T10:20:30"],
+    ],
+    [
+      "allowUnknownOffset: false",
+      { allowUnknownOffset: false },
+      ["2025-11-02T10:20:30+00:00", "2025-11-02T10:20:30-00:01", "2025-11-02T10:20:30Z"],
+      ["2025-11-02T10:20:30-00:00"],
+    ],
+    [
+      "offsetRange: rfc3339",
+      { offsetRange: "rfc3339" },
+      ["2025-11-02T10:20:30+23:59", "2025-11-02T10:20:30-23:59", "2025-11-02T10:20:30+14:01", "2025-11-02T10:20:30-12:30"],
+      ["2025-11-02T10:20:30+24:00", "2025-11-02T10:20:30-05:60"],
+    ],
+    [
+      "offsetRange: rfc3339 + allowUnknownOffset: false",
+      { offsetRange: "rfc3339", allowUnknownOffset: false },
+      ["2025-11-02T10:20:30+00:00", "2025-11-02T10:20:30-23:00"],
+      ["2025-11-02T10:20:30-00:00"],
+    ],
+    [
+      "precision: minute",
+      { precision: "minute" },
+      ["2025-11-02T10:20Z", "2025-11-02T10:20+05:30", "2025-11-02T10:20:30Z", "2025-11-02T10:20:30.5Z"],
+      ["2025-11-02T10Z", "2025-11-02T10:20.5Z", "2025-11-02T10:2Z", "2025-11-02T10:20:Z", "2025-11-02T10:60Z"],
+    ],
+    [
+      "precision: hour",
+      { precision: "hour" },
+      ["2025-11-02T10Z", "2025-11-02T23-12:00", "2025-11-02T10:20Z", "2025-11-02T10:20:30.123+01:00"],
+      ["2025-11-02T24Z", "2025-11-02T10.5Z", "2025-11-02T1Z", "2025-11-02T10:Z", "2025-11-02T1020Z"],
+    ],
+    [
+      "precision: hour + separator: space + timezone: optional",
+      { precision: "hour", separator: "space", timezone: "optional" },
+      ["2025-11-02 10", "2025-11-02 10:20", "2025-11-02 10Z", "2025-11-02 10:20:30.5+01:00"],
+      ["2025-11-02 ", "2025-11-02 1", "2025-11-02T10"],
+    ],
+  ];
+
+  for (const [label, options, ok, bad] of cases) {
+    test(label, async (t) => {
+      const regex = createISO8601Regex(options);
+
+      for (const input of ok) {
+        await t.test(`valid ${input}`, () => assert.ok(regex.test(input)));
+      }
+
+      for (const input of bad) {
+        await t.test(`invalid ${input}`, () => assert.ok(!regex.test(input)));
+      }
+    });
+  }
+
+  test("default values return ISO8601Regex", () => {
+    assert.equal(
+      createISO8601Regex({
+        separator: "T",
+        lowercase: false,
+        timezone: "required",
+        allowUnknownOffset: true,
+        offsetRange: "real-world",
+      }),
+      ISO8601Regex
+    );
+  });
+
+  test("option order does not affect caching", () => {
+    assert.equal(
+      createISO8601Regex({ timezone: "utc", lowercase: true }),
+      createISO8601Regex({ lowercase: true, timezone: "utc" })
+    );
+  });
+
+  test("every preset keeps calendar rules and named groups", async (t) => {
+    const presets = cases.map(([, options]) => options);
+
+    for (const options of presets) {
+      await t.test(JSON.stringify(options), () => {
+        const regex = createISO8601Regex(options);
+
+        assert.ok(!regex.test("2025-02-29T10:20:30Z"));
+        assert.ok(!regex.test("2025-04-31 10:20:30+01:00"));
+        assert.ok(!regex.test("2025-11-02T24:00:00Z"));
+
+        const separator = options.separator === "space" ? " " : "T";
+        const timezone = options.timezone === "utc" ? "Z" : "+01:00";
+        const { groups } = regex.exec(`2024-02-29${separator}23:59:59.5${timezone}`);
+
+        assert.deepEqual({ ...groups }, {
+          year: "2024",
+          month: "02",
+          day: "29",
+          hour: "23",
+          minute: "59",
+          second: "59",
+          millisecond: "5",
+          timezone,
+        });
+      });
+    }
+  });
+
+  test("combines with fraction precision", () => {
+    const regex = createISO8601Regex({
+      separator: "space",
+      timezone: "optional",
+      fraction: { mode: "max", digits: 6 },
+    });
+
+    assert.ok(regex.test("2025-11-02 10:20:30.123456"));
+    assert.equal(regex.exec("2025-11-02 10:20:30.123456+00:00").groups.fraction, "123456");
+  });
+
+  test("rejects invalid option values", () => {
+    assert.throws(() => createISO8601Regex({ separator: "t" }), TypeError);
+    assert.throws(() => createISO8601Regex({ lowercase: "yes" }), TypeError);
+    assert.throws(() => createISO8601Regex({ timezone: "local" }), TypeError);
+    assert.throws(() => createISO8601Regex({ allowUnknownOffset: 1 }), TypeError);
+    assert.throws(() => createISO8601Regex({ offsetRange: "iso" }), TypeError);
+  });
+});
+
+describe("normalizeFraction — sub-second components", () => {
+  test("splits fraction digits into milli-, micro- and nanoseconds", async (t) => {
+    const cases = [
+      ["undefined", undefined, [0, 0, 0]],
+      ["one digit", "5", [500, 0, 0]],
+      ["milliseconds", "123", [123, 0, 0]],
+      ["microseconds", "123456", [123, 456, 0]],
+      ["nanoseconds", "123456789", [123, 456, 789]],
+      ["leading zeros", "000001", [0, 1, 0]],
+      ["beyond nanoseconds is truncated", "1234567899", [123, 456, 789]],
+    ];
+
+    for (const [label, input, [millisecond, microsecond, nanosecond]] of cases) {
+      await t.test(label, () =>
+        assert.deepEqual(normalizeFraction(input), { millisecond, microsecond, nanosecond })
+      );
+    }
+  });
+
+  test("accepts the millisecond group of ISO8601Regex", () => {
+    const { millisecond } = ISO8601Regex.exec("2025-11-02T10:20:30.5Z").groups;
+
+    assert.deepEqual(normalizeFraction(millisecond), {
+      millisecond: 500,
+      microsecond: 0,
+      nanosecond: 0,
+    });
+  });
+});
+
+describe("parseISO8601 — structured parse without Date", () => {
+  test("returns numeric fields, offset and epoch values", () => {
+    assert.deepEqual(parseISO8601("2025-11-02T10:20:30.123+09:30"), {
+      year: 2025,
+      month: 11,
+      day: 2,
+      hour: 10,
+      minute: 20,
+      second: 30,
+      millisecond: 123,
+      microsecond: 0,
+      nanosecond: 0,
+      offsetMinutes: 570,
+      epochMilliseconds: 1762044630123,
+      epochNanoseconds: 1762044630123000000n,
+      precision: "second",
+    });
+  });
+
+  test("epochMilliseconds matches Date.parse", async (t) => {
+    const cases = [
+      ["UTC", "2025-11-02T10:20:30Z"],
+      ["fraction .5", "2025-11-02T10:20:30.5Z"],
+      ["+14:00 crossing the date", "2025-01-01T05:00:00+14:00"],
+      ["-12:00 crossing the date", "2024-12-31T20:00:00-12:00"],
+      ["-00:00", "2025-11-02T10:20:30-00:00"],
+      ["+05:45", "2025-11-02T10:20:30.999+05:45"],
+      ["leap day", "2024-02-29T23:59:59.999Z"],
+      ["before the epoch", "1969-12-31T23:59:59.999Z"],
+      ["year 0000", "0000-01-01T00:00:00Z"],
+      ["year 0099 (no 1900s mapping)", "0099-06-15T12:00:00+01:00"],
+      ["year 9999", "9999-12-31T23:59:59.999-12:00"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () =>
+        assert.equal(parseISO8601(input).epochMilliseconds, Date.parse(input))
+      );
+    }
+  });
+
+  test("offsetMinutes", async (t) => {
+    const cases = [
+      ["Z", "2025-11-02T10:20:30Z", 0],
+      ["+00:00", "2025-11-02T10:20:30+00:00", 0],
+      ["-00:00", "2025-11-02T10:20:30-00:00", 0],
+      ["+05:30", "2025-11-02T10:20:30+05:30", 330],
+      ["-09:30", "2025-11-02T10:20:30-09:30", -570],
+      ["+14:00", "2025-11-02T10:20:30+14:00", 840],
+      ["-12:00", "2025-11-02T10:20:30-12:00", -720],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => assert.equal(parseISO8601(input).offsetMinutes, expected));
+    }
+  });
+
+  test("keeps sub-millisecond precision with a fraction preset", () => {
+    const options = { fraction: { mode: "unlimited" } };
+    const nanos = parseISO8601("2025-11-02T10:20:30.123456789Z", options);
+
+    assert.equal(nanos.millisecond, 123);
+    assert.equal(nanos.microsecond, 456);
+    assert.equal(nanos.nanosecond, 789);
+    assert.equal(nanos.epochMilliseconds, Date.parse("2025-11-02T10:20:30.123Z"));
+    assert.equal(nanos.epochNanoseconds, 1762078830123456789n);
+
+    assert.equal(
+      parseISO8601("1969-12-31T23:59:59.999999999Z", options).epochNanoseconds,
+      -1n
+    );
+    assert.equal(
+      parseISO8601("2025-11-02T10:20:30.1234567891Z", options).nanosecond,
+      789
+    );
+  });
+
+  test("uses the given preset", () => {
+    assert.equal(parseISO8601("2025-11-02 10:20:30Z"), null);
+    assert.equal(
+      parseISO8601("2025-11-02 10:20:30z", { separator: "space", lowercase: true }).epochMilliseconds,
+      Date.parse("2025-11-02T10:20:30Z")
+    );
+
+    const local = parseISO8601("2025-11-02T10:20:30", { timezone: "optional" });
+
+    assert.equal(local.hour, 10);
+    assert.equal(local.offsetMinutes, null);
+    assert.equal(local.epochMilliseconds, null);
+    assert.equal(local.epochNanoseconds, null);
+  });
+
+  test("returns null instead of rolling over", async (t) => {
+    const cases = [
+      ["Feb 29 non-leap", "2025-02-29T00:00:00Z"],
+      ["Nov 31", "2025-11-31T00:00:00Z"],
+      ["hour 24", "2025-11-02T24:00:00Z"],
+      ["second 60", "2016-12-31T23:59:60Z"],
+      ["missing timezone", "2025-11-02T10:20:30"],
+      ["not a string", 20251102],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.equal(parseISO8601(input), null));
+    }
+  });
+
+  test("returns null for local times beyond the range of Date", () => {
+    const options = { timezone: "optional", expandedYear: true };
+
+    assert.equal(parseISO8601("+275760-09-13T00:00:00.001", options), null);
+    assert.equal(parseISO8601("+999999-12-31T23:59:59", options), null);
+    assert.equal(parseISO8601("-271821-04-19T23:59:59.999", options), null);
+
+    const maximum = parseISO8601("+275760-09-13T00:00:00", options);
+    assert.equal(maximum.year, 275760);
+    assert.equal(maximum.epochMilliseconds, null);
+    assert.equal(parseISO8601("-271821-04-20T00:00:00", options).year, -271821);
+  });
+
+  test("matches Date.parse on random instants", () => {
+    const next = random(8601);
+    for (let i = 0; i < 10_000; i++) {
+      const ms = Math.floor((next() * 2 - 1) * 2 ** 45);
+      const offset = Math.floor(next() * 1561) - 720;
+      const local = new Date(ms + offset * 60000).toISOString().slice(0, 23);
+      const sign = offset < 0 ? "-" : "+";
+      const abs = Math.abs(offset);
+      const timezone = `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+      const input = local + timezone;
+
+      if (!ISO8601Regex.test(input)) continue;
+
+      assert.equal(parseISO8601(input).epochMilliseconds, ms, input);
+    }
+  });
+});
+
+describe("validateISO8601 — diagnostic validation", () => {
+  test("valid input returns the shared { valid: true } result", () => {
+    const result = validateISO8601("2025-11-02T10:20:30Z");
+
+    assert.deepEqual(result, { valid: true });
+    assert.equal(validateISO8601("2024-02-29T23:59:59.999+14:00"), result);
+    assert.ok(Object.isFrozen(result));
+  });
+
+  test("every invalid ISO8601Regex case maps to a specific code", async (t) => {
+    const cases = [
+      // offsets outside real-world bounds
+      ["2025-11-02T10:20:30+14:01", "OFFSET_OUT_OF_RANGE", 19],
+      ["2025-11-02T10:20:30+15:00", "OFFSET_OUT_OF_RANGE", 19],
+      ["2025-11-02T10:20:30-12:59", "OFFSET_OUT_OF_RANGE", 19],
+      ["2025-11-02T10:20:30-13:00", "OFFSET_OUT_OF_RANGE", 19],
+      ["2025-11-02T10:20:30+23:59", "OFFSET_OUT_OF_RANGE", 19],
+      ["2025-11-02T10:20:30-23:59", "OFFSET_OUT_OF_RANGE", 19],
+      // offset shapes
+      ["2025-11-02T10:20:30+9:00", "INVALID_TIMEZONE", 21],
+      ["2025-11-02T10:20:30+09:5", "INVALID_TIMEZONE", 24],
+      ["2025-11-02T10:20:30+09:", "INVALID_TIMEZONE", 23],
+      ["2025-11-02T10:20:30+0900", "INVALID_TIMEZONE", 22],
+      ["2025-11-02T10:20:30Z+01:00", "TRAILING_CHARACTERS", 20],
+      ["2025-11-02T10:20:30+", "INVALID_TIMEZONE", 20],
+      ["2025-11-02T10:20:30ZZ", "TRAILING_CHARACTERS", 20],
+      // impossible month/day combinations
+      ["2025-04-31T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      ["2025-06-31T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      ["2025-09-31T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      ["2025-11-31T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      ["2025-00-15T12:00:00Z", "MONTH_OUT_OF_RANGE", 5],
+      ["2025-13-15T12:00:00Z", "MONTH_OUT_OF_RANGE", 5],
+      ["2025-11-00T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      ["2025-11-32T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      ["2025-11-99T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      // Feb 29 in common years
+      ["1900-02-29T00:00:00Z", "NOT_LEAP_YEAR", 8],
+      ["2100-02-29T00:00:00Z", "NOT_LEAP_YEAR", 8],
+      ["2200-02-29T12:00:00Z", "NOT_LEAP_YEAR", 8],
+      ["2019-02-29T12:00:00Z", "NOT_LEAP_YEAR", 8],
+      ["2023-02-29T12:00:00Z", "NOT_LEAP_YEAR", 8],
+      ["2025-02-29T12:00:00Z", "NOT_LEAP_YEAR", 8],
+      ["2021-02-29T12:00:00Z", "NOT_LEAP_YEAR", 8],
+      // Feb 30/31/00
+      ["2025-02-30T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      ["2025-02-31T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      ["2025-02-00T12:00:00Z", "DAY_OUT_OF_RANGE", 8],
+      // overflow in time components
+      ["2025-11-02T24:00:00Z", "HOUR_OUT_OF_RANGE", 11],
+      ["2025-11-02T99:00:00Z", "HOUR_OUT_OF_RANGE", 11],
+      ["2025-11-02T25:00:00Z", "HOUR_OUT_OF_RANGE", 11],
+      ["2025-11-02T23:60:00Z", "MINUTE_OUT_OF_RANGE", 14],
+      ["2025-11-02T23:99:00Z", "MINUTE_OUT_OF_RANGE", 14],
+      ["2025-11-02T23:59:60Z", "SECOND_OUT_OF_RANGE", 17],
+      ["2025-11-02T23:59:99Z", "SECOND_OUT_OF_RANGE", 17],
+      ["2025-11-02T10:20:30.1234Z", "FRACTION_TOO_LONG", 23],
+      ["2025-11-02T10:20:30.12345Z", "FRACTION_TOO_LONG", 23],
+      ["2025-11-02T10:20:30+24:00", "OFFSET_OUT_OF_RANGE", 19],
+      ["2025-11-02T10:20:30+23:60", "OFFSET_OUT_OF_RANGE", 19],
+      // fractional seconds
+      ["2025-11-02T10:20:30.Z", "INVALID_FRACTION", 20],
+      ["2025-11-02T10:20:30.0000Z", "FRACTION_TOO_LONG", 23],
+      ["2025-11-02T10:20:30..123Z", "INVALID_FRACTION", 20],
+      ["2025-11-02T10:20:30,123Z", "INVALID_FRACTION", 19],
+      // non-ISO shapes / separators / missing parts
+      ["2025/11/02 10:20:30Z", "INVALID_SEPARATOR", 4],
+      ["2025-11-02 10:20:30Z", "INVALID_SEPARATOR", 10],
+      ["2025-11-02", "MISSING_TIME", 10],
+      ["10:20:30Z", "INVALID_YEAR", 2],
+      ["2025-11-02T10:20:30", "MISSING_TIMEZONE", 19],
+      ["not-a-date", "INVALID_YEAR", 0],
+      [" 2025-11-02T10:20:30Z", "INVALID_YEAR", 0],
+      ["2025-11-02T10:20:30Z ", "TRAILING_CHARACTERS", 20],
+      ["2025-11-02T10:20:30Z#", "TRAILING_CHARACTERS", 20],
+      ["2025.11.02T10:20:30Z", "INVALID_SEPARATOR", 4],
+      ["invalid-date-string", "INVALID_YEAR", 0],
+      // year/month/day shape
+      ["2025-2-05T12:00:00Z", "INVALID_MONTH", 6],
+      ["2025-02-5T12:00:00Z", "INVALID_DAY", 9],
+      ["25-11-02T10:20:30Z", "INVALID_YEAR", 2],
+      ["025-11-02T10:20:30Z", "INVALID_YEAR", 3],
+      ["12025-11-02T10:20:30Z", "INVALID_SEPARATOR", 4],
+      ["-2025-11-02T10:20:30Z", "INVALID_YEAR", 0],
+      // separator/casing
+      ["2025-11-02t10:20:30Z", "INVALID_SEPARATOR", 10],
+      ["2025-11-02T10:20:30z", "INVALID_TIMEZONE", 19],
+      ["2025-11-02t10:20:30z", "INVALID_SEPARATOR", 10],
+      // partial or extended variants
+      ["2025-W45-7T12:00:00Z", "INVALID_MONTH", 5],
+      ["2025-306T12:00:00Z", "MONTH_OUT_OF_RANGE", 5],
+      ["2025-11-02T10:20Z", "MISSING_SECONDS", 16],
+      ["2025-11-02T10:20:30+0100", "INVALID_TIMEZONE", 22],
+      ["20251102T102030Z", "INVALID_SEPARATOR", 4],
+      // extra characters before/after
+      ["x2025-11-02T10:20:30Z", "INVALID_YEAR", 0],
+      ["2025-11-02T10:20:30Zx", "TRAILING_CHARACTERS", 20],
+      ["2025-11-02T10:20:30Z\n", "TRAILING_CHARACTERS", 20],
+      ["2025-11-02T10:20:30Z\t", "TRAILING_CHARACTERS", 20],
+      ["\n2025-11-02T10:20:30Z", "INVALID_YEAR", 0],
+      ["2025-11-02T10:20:30Z 2025-11-03T10:20:30Z", "TRAILING_CHARACTERS", 20],
+      // control characters in the middle
+      ["2025-11-02T10:20:\n30Z", "INVALID_SECOND", 17],
+      ["2025-11-02T10:\t20:30Z", "INVALID_MINUTE", 14],
+      ["2025-11-02T10:20:\x0030Z", "INVALID_SECOND", 17],
+    ];
+
+    for (const [input, code, index] of cases) {
+      await t.test(JSON.stringify(input), () => {
+        assert.ok(!ISO8601Regex.test(input));
+
+        const result = validateISO8601(input);
+
+        assert.equal(result.valid, false);
+        assert.equal(result.code, code);
+        assert.equal(result.index, index);
+        assert.equal(typeof result.message, "string");
+      });
+    }
+  });
+
+  test("messages explain the violation", async (t) => {
+    const cases = [
+      ["2025-02-29T10:20:30Z", "February 29 does not exist in 2025, which is not a leap year"],
+      ["2025-04-31T10:20:30Z", "Day 31 is out of range for month 04 (01–30)"],
+      ["2025-11-02T10:20:30+14:30", "Offset +14:30 is out of range (-12:00 to +14:00)"],
+      ["2025-11-02T10:20:30", "Expected 'Z' or an offset such as +01:00, found end of input"],
+      ["2025-11-02T10:20:30.1234Z", "Fractional seconds have 4 digits; at most 3 are allowed"],
+      ["2025-11-02 10:20:30Z", "Expected 'T' between the date and the time, found \" \""],
+      ["2025-11-02T10:20:30Z!", "Unexpected \"!\" after the timezone"],
+      [
+        "2025-11-02T10:20Z",
+        "Expected seconds after the minute: the strict regex requires them (see createISO8601Regex({ precision }))",
+      ],
+    ];
+
+    for (const [input, message] of cases) {
+      await t.test(input, () => assert.equal(validateISO8601(input).message, message));
+    }
+  });
+
+  test("rejects non-string input", async (t) => {
+    const cases = [
+      ["number", 20251102, "Expected a string, received number"],
+      ["null", null, "Expected a string, received null"],
+      ["undefined", undefined, "Expected a string, received undefined"],
+      ["Date", new Date(0), "Expected a string, received object"],
+    ];
+
+    for (const [label, input, message] of cases) {
+      await t.test(label, () =>
+        assert.deepEqual(validateISO8601(input), {
+          valid: false,
+          code: "INVALID_TYPE",
+          index: 0,
+          message,
+        })
+      );
+    }
+  });
+
+  test("agrees with ISO8601Regex on mutated inputs", () => {
+    const next = random(8601);
+    const seeds = [
+      "2024-02-29T23:59:59.999+14:00",
+      "2025-11-02T10:20:30Z",
+      "2000-12-31T00:00:00-12:00",
+      "1900-02-28T12:00:00.5-00:00",
+    ];
+    const alphabet = "0123456789-:T.Z+ ,tz";
+
+    for (let i = 0; i < 20_000; i++) {
+      const chars = [...seeds[i % seeds.length]];
+      const position = Math.floor(next() * (chars.length + 1));
+      const char = alphabet[Math.floor(next() * alphabet.length)];
+      const operation = i % 3;
+
+      if (operation === 0) chars[position] = char;
+      else if (operation === 1) chars.splice(position, 1);
+      else chars.splice(position, 0, char);
+
+      const input = chars.join("");
+
+      assert.equal(validateISO8601(input).valid, ISO8601Regex.test(input), input);
+    }
+  });
+
+  test("performance: success path costs no more than the regex", () => {
+    const input = "2025-11-02T10:20:30.123+05:30";
+    const start = performance.now();
+
+    for (let i = 0; i < 10000; i++) {
+      validateISO8601(input);
+    }
+
+    const duration = performance.now() - start;
+
+    assert.ok(
+      duration < 100,
+      `Performance test took ${duration}ms, expected < 100ms`
+    );
+  });
+});
+
+describe("ISO8601ExpandedYearRegex / isISO8601WithExpandedYear — expanded years", () => {
+  test("accepts 4-digit and signed 6-digit years", async (t) => {
+    const cases = [
+      ["4-digit year", "2025-11-02T10:20:30Z"],
+      ["expanded positive year", "+002025-11-02T10:20:30Z"],
+      ["year +000000", "+000000-01-01T00:00:00Z"],
+      ["year -000001", "-000001-12-31T23:59:59.999Z"],
+      ["max year", "+275760-09-13T00:00:00.000Z"],
+      ["min year", "-271821-04-20T00:00:00.000Z"],
+      ["with offset", "+012345-06-15T12:00:00+05:30"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(ISO8601ExpandedYearRegex.test(input)));
+    }
+  });
+
+  test("rejects malformed or out-of-range years", async (t) => {
+    const cases = [
+      ["-000000", "-000000-01-01T00:00:00Z"],
+      ["sign with 4 digits", "+2025-11-02T10:20:30Z"],
+      ["sign with 5 digits", "+02025-11-02T10:20:30Z"],
+      ["6 digits without sign", "002025-11-02T10:20:30Z"],
+      ["7 digits", "+0002025-11-02T10:20:30Z"],
+      ["year +275761", "+275761-01-01T00:00:00Z"],
+      ["year +999999", "+999999-01-01T00:00:00Z"],
+      ["year -271822", "-271822-12-31T00:00:00Z"],
+      ["Unicode minus", "\u2212000001-01-01T00:00:00Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.ok(!ISO8601ExpandedYearRegex.test(input)));
+    }
+  });
+
+  test("applies proleptic Gregorian leap years to expanded and negative years", async (t) => {
+    const cases = [
+      ["year 0 is a leap year", "+000000-02-29T00:00:00Z", true],
+      ["-000004 is a leap year", "-000004-02-29T00:00:00Z", true],
+      ["-000400 is a leap year", "-000400-02-29T00:00:00Z", true],
+      ["-000001 is not", "-000001-02-29T00:00:00Z", false],
+      ["-000100 is not", "-000100-02-29T00:00:00Z", false],
+      ["+010000 is a leap year", "+010000-02-29T00:00:00Z", true],
+      ["+010100 is not", "+010100-02-29T00:00:00Z", false],
+      ["+275760 is a leap year", "+275760-02-29T00:00:00Z", true],
+      ["April 31 in an expanded year", "-012345-04-31T00:00:00Z", false],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => assert.equal(ISO8601ExpandedYearRegex.test(input), expected));
+    }
+  });
+
+  test("enforces the ECMAScript time-value range, including offsets", async (t) => {
+    const cases = [
+      ["maximum", "+275760-09-13T00:00:00.000Z", true],
+      ["1 ms beyond the maximum", "+275760-09-13T00:00:00.001Z", false],
+      ["maximum with +01:00", "+275760-09-13T01:00:00+01:00", true],
+      ["maximum date with -00:01", "+275760-09-13T00:00:00-00:01", false],
+      ["minimum", "-271821-04-20T00:00:00.000Z", true],
+      ["1 ms before the minimum", "-271821-04-19T23:59:59.999Z", false],
+      ["minimum with -00:01", "-271821-04-19T23:59:00-00:01", true],
+      ["minimum date with +00:01", "-271821-04-20T00:00:00+00:01", false],
+      ["invalid date", "-000100-02-29T00:00:00Z", false],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => {
+        assert.equal(isISO8601WithExpandedYear(input), expected);
+        assert.equal(isISO8601WithExpandedYear(input) && !Number.isNaN(Date.parse(input)), expected);
+      });
+    }
+  });
+
+  test("round-trips Date.prototype.toISOString across the whole range", () => {
+    const next = random(8601);
+    for (let i = 0; i < 10_000; i++) {
+      const ms = Math.floor((next() * 2 - 1) * 8.64e15);
+      const iso = new Date(ms).toISOString();
+
+      assert.ok(isISO8601WithExpandedYear(iso), iso);
+      assert.equal(Date.parse(iso), ms, iso);
+      assert.equal(parseISO8601(iso, { expandedYear: true }).epochMilliseconds, ms, iso);
+    }
+
+    for (const ms of [8.64e15, -8.64e15, 0, -1, -62198755200000, -62198755200001]) {
+      assert.ok(isISO8601WithExpandedYear(new Date(ms).toISOString()), String(ms));
+    }
+  });
+
+  test("createISO8601Regex({ expandedYear }) and parseISO8601", () => {
+    const regex = createISO8601Regex({ expandedYear: true });
+
+    assert.equal(regex.source, ISO8601ExpandedYearRegex.source);
+    assert.equal(createISO8601Regex({ expandedYear: false }), ISO8601Regex);
+    assert.ok(createISO8601Regex({ expandedYear: true, separator: "space" }).test("-000001-01-01 00:00:00Z"));
+
+    const parsed = parseISO8601("-000001-12-31T23:59:59.999Z", { expandedYear: true });
+
+    assert.equal(parsed.year, -1);
+    assert.equal(parsed.epochMilliseconds, Date.parse("-000001-12-31T23:59:59.999Z"));
+    assert.equal(parseISO8601("+275760-09-13T00:00:00.001Z", { expandedYear: true }), null);
+    assert.equal(parseISO8601("+002025-11-02T10:20:30Z"), null);
+  });
+
+  test("readme examples should all pass", () => {
+    assert.ok(ISO8601ExpandedYearRegex.test(new Date(8.64e15).toISOString()));
+    assert.ok(ISO8601ExpandedYearRegex.test("-000001-01-01T00:00:00.000Z"));
+    assert.ok(!ISO8601ExpandedYearRegex.test("-000000-01-01T00:00:00.000Z"));
+    assert.ok(!isISO8601WithExpandedYear("+275760-09-13T00:00:00.001Z"));
+  });
+});
+
+describe("formatISO8601 — strict formatter", () => {
+  const components = { year: 2025, month: 11, day: 2, hour: 10, minute: 20, second: 30 };
+
+  test("formats Date, epoch milliseconds and epoch nanoseconds", async (t) => {
+    const cases = [
+      ["Date", new Date(Date.UTC(2025, 10, 2, 10, 20, 30, 123)), {}, "2025-11-02T10:20:30.123Z"],
+      ["epoch milliseconds", 1762078830123, {}, "2025-11-02T10:20:30.123Z"],
+      ["epoch nanoseconds", 1762078830123456789n, { fractionDigits: 9 }, "2025-11-02T10:20:30.123456789Z"],
+      ["negative epoch nanoseconds", -1n, { fractionDigits: 9 }, "1969-12-31T23:59:59.999999999Z"],
+      ["epoch 0", 0, {}, "1970-01-01T00:00:00.000Z"],
+      ["matches toISOString", new Date(-1), {}, new Date(-1).toISOString()],
+    ];
+
+    for (const [label, value, options, expected] of cases) {
+      await t.test(label, () => assert.equal(formatISO8601(value, options), expected));
+    }
+  });
+
+  test("formats components, keeping their offset unless another one is chosen", async (t) => {
+    const cases = [
+      ["UTC by default", components, {}, "2025-11-02T10:20:30.000Z"],
+      ["own offset", { ...components, offsetMinutes: -300 }, {}, "2025-11-02T10:20:30.000-05:00"],
+      ["converted to UTC", { ...components, offsetMinutes: -300 }, { offsetMinutes: 0 }, "2025-11-02T15:20:30.000Z"],
+      ["converted across the date line", { ...components, hour: 23, offsetMinutes: -720 }, { offsetMinutes: 840 }, "2025-11-04T01:20:30.000+14:00"],
+      ["sub-millisecond components", { ...components, millisecond: 1, microsecond: 2, nanosecond: 3 }, { fractionDigits: 9 }, "2025-11-02T10:20:30.001002003Z"],
+      ["leap day", { ...components, year: 2024, month: 2, day: 29 }, { fractionDigits: 0 }, "2024-02-29T10:20:30Z"],
+    ];
+
+    for (const [label, value, options, expected] of cases) {
+      await t.test(label, () => assert.equal(formatISO8601(value, options), expected));
+    }
+  });
+
+  test("output offset, fraction digits and UTC designator", async (t) => {
+    const ms = Date.UTC(2025, 10, 2, 10, 20, 30, 987);
+    const cases = [
+      ["+05:30", { offsetMinutes: 330 }, "2025-11-02T15:50:30.987+05:30"],
+      ["+05:45", { offsetMinutes: 345 }, "2025-11-02T16:05:30.987+05:45"],
+      ["-09:30", { offsetMinutes: -570 }, "2025-11-02T00:50:30.987-09:30"],
+      ["-12:00 (previous day)", { offsetMinutes: -720, fractionDigits: 0 }, "2025-11-01T22:20:30-12:00"],
+      ["no fraction", { fractionDigits: 0 }, "2025-11-02T10:20:30Z"],
+      ["1 digit, truncated", { fractionDigits: 1 }, "2025-11-02T10:20:30.9Z"],
+      ["6 digits", { fractionDigits: 6 }, "2025-11-02T10:20:30.987000Z"],
+      ["+00:00", { utc: "+00:00" }, "2025-11-02T10:20:30.987+00:00"],
+      ["-00:00", { utc: "-00:00" }, "2025-11-02T10:20:30.987-00:00"],
+    ];
+
+    for (const [label, options, expected] of cases) {
+      await t.test(label, () => assert.equal(formatISO8601(ms, options), expected));
+    }
+  });
+
+  test("uses expanded years outside 0000–9999, like toISOString", () => {
+    assert.equal(formatISO8601(8.64e15), "+275760-09-13T00:00:00.000Z");
+    assert.equal(formatISO8601(-8.64e15), "-271821-04-20T00:00:00.000Z");
+    assert.equal(formatISO8601({ ...components, year: -1 }), "-000001-11-02T10:20:30.000Z");
+    assert.equal(formatISO8601(Date.UTC(10000, 0, 1)), new Date(Date.UTC(10000, 0, 1)).toISOString());
+  });
+
+  test("throws instead of rolling over", async (t) => {
+    const cases = [
+      ["Feb 30", { ...components, month: 2, day: 30 }, {}, RangeError],
+      ["Feb 29 in a common year", { ...components, month: 2, day: 29 }, {}, RangeError],
+      ["month 13", { ...components, month: 13 }, {}, RangeError],
+      ["hour 24", { ...components, hour: 24 }, {}, RangeError],
+      ["second 60", { ...components, second: 60 }, {}, RangeError],
+      ["millisecond 1000", { ...components, millisecond: 1000 }, {}, RangeError],
+      ["fractional minute", { ...components, minute: 1.5 }, {}, RangeError],
+      ["missing day", { ...components, day: undefined }, {}, RangeError],
+      ["component offset +15:00", { ...components, offsetMinutes: 900 }, {}, RangeError],
+      ["output offset +15:00", 0, { offsetMinutes: 900 }, RangeError],
+      ["output offset -12:01", 0, { offsetMinutes: -721 }, RangeError],
+      ["invalid Date", new Date(NaN), {}, RangeError],
+      ["fractional epoch", 1.5, {}, RangeError],
+      ["beyond the Date range", 8.64e15 + 1, {}, RangeError],
+      ["beyond the Date range (ns)", 8640000000000000000001n, {}, RangeError],
+      ["fractionDigits 10", 0, { fractionDigits: 10 }, RangeError],
+      ["utc 'UTC'", 0, { utc: "UTC" }, RangeError],
+      ["string", "2025-11-02T10:20:30Z", {}, TypeError],
+      ["null", null, {}, TypeError],
+    ];
+
+    for (const [label, value, options, error] of cases) {
+      await t.test(label, () => assert.throws(() => formatISO8601(value, options), error));
+    }
+  });
+
+  test("round-trips with parseISO8601 and matches the regex variant", () => {
+    const next = random(8601);
+    const nanosecondRegex = createISO8601Regex({ fraction: { mode: "exact", digits: 9 } });
+    const nanosecondOptions = { fraction: { mode: "exact", digits: 9 } };
+
+    for (let i = 0; i < 5_000; i++) {
+      const ms = Math.floor(next() * 253402300800000);
+      const offsetMinutes = Math.floor(next() * 1561) - 720;
+      const fractionDigits = Math.floor(next() * 4);
+
+      const formatted = formatISO8601(ms, { offsetMinutes, fractionDigits });
+      const truncated = fractionDigits === 0 ? ms - (ms % 1000) : ms - (ms % 10 ** (3 - fractionDigits));
+      const parsed = parseISO8601(formatted);
+
+      if (parsed === null) {
+        // Only instants whose local time leaves 0000–9999 fall back to expanded years.
+        assert.ok(ISO8601ExpandedYearRegex.test(formatted), formatted);
+        continue;
+      }
+
+      assert.ok(ISO8601Regex.test(formatted), formatted);
+      assert.equal(parsed.epochMilliseconds, truncated, formatted);
+      assert.equal(parsed.offsetMinutes, offsetMinutes, formatted);
+      assert.equal(formatISO8601(parsed, { fractionDigits }), formatted);
+    }
+
+    for (let i = 0; i < 1_000; i++) {
+      const ns = BigInt(Math.floor(next() * 2 ** 52)) * 1000n + BigInt(Math.floor(next() * 1000));
+      const formatted = formatISO8601(ns, { fractionDigits: 9 });
+
+      assert.ok(nanosecondRegex.test(formatted), formatted);
+      assert.equal(parseISO8601(formatted, nanosecondOptions).epochNanoseconds, ns, formatted);
+    }
+  });
+
+  test("formats a ParsedISO8601 directly, with or without a timezone", async (t) => {
+    const cases = [
+      ["UTC", "2025-11-02T10:20:30.123Z", undefined, "2025-11-02T10:20:30.123Z"],
+      ["offset", "2024-02-29T23:59:59.5-03:30", undefined, "2024-02-29T23:59:59.500-03:30"],
+      ["no timezone", "2025-11-02T10:20:30", { timezone: "optional" }, "2025-11-02T10:20:30.000Z"],
+      ["minute precision", "2025-11-02T10:20+01:00", { precision: "minute" }, "2025-11-02T10:20:00.000+01:00"],
+    ];
+
+    for (const [label, input, options, expected] of cases) {
+      await t.test(label, () => {
+        const parsed = parseISO8601(input, options);
+        const reparsed = parseISO8601(formatISO8601(parsed));
+
+        assert.equal(formatISO8601(parsed), expected);
+        for (const name of ["year", "month", "day", "hour", "minute", "second", "millisecond"]) {
+          assert.equal(reparsed[name], parsed[name], name);
+        }
+        assert.equal(reparsed.offsetMinutes, parsed.offsetMinutes ?? 0);
+      });
+    }
+  });
+
+  test("readme examples should all pass", () => {
+    assert.equal(formatISO8601(1762078830123, { offsetMinutes: 330 }), "2025-11-02T15:50:30.123+05:30");
+    assert.equal(
+      formatISO8601(parseISO8601("2025-11-02T10:20:30.123+09:30"), { offsetMinutes: 0, utc: "+00:00" }),
+      "2025-11-02T00:50:30.123+00:00"
+    );
+  });
+});
+
+describe("ISO8601ScanRegex / findISO8601 — scanning free-form text", () => {
+  const scan = (text) => [...text.matchAll(ISO8601ScanRegex)].map((m) => [m[0], m.index]);
+
+  test("finds every timestamp with its index", async (t) => {
+    const cases = [
+      ["log line", "INFO 2025-11-02T10:20:30.123Z request done", [["2025-11-02T10:20:30.123Z", 5]]],
+      [
+        "several per line",
+        "started=2025-11-02T10:20:30Z finished=2025-11-02T10:21:05.250+01:00",
+        [["2025-11-02T10:20:30Z", 8], ["2025-11-02T10:21:05.250+01:00", 38]],
+      ],
+      ["trailing colon", "2025-11-02T10:20:30Z: started", [["2025-11-02T10:20:30Z", 0]]],
+      ["end of sentence", "It ended at 2024-02-29T01:02:03+05:30.", [["2024-02-29T01:02:03+05:30", 12]]],
+      ["brackets", "[2025-11-02T10:20:30Z]", [["2025-11-02T10:20:30Z", 1]]],
+      ["quotes", '{"at":"2025-11-02T10:20:30Z"}', [["2025-11-02T10:20:30Z", 7]]],
+      ["interval", "2025-01-01T00:00:00Z/2025-02-01T00:00:00Z", [["2025-01-01T00:00:00Z", 0], ["2025-02-01T00:00:00Z", 21]]],
+      ["multi-line", "a 2025-11-02T10:20:30Z\nb 2025-11-03T10:20:30Z", [["2025-11-02T10:20:30Z", 2], ["2025-11-03T10:20:30Z", 25]]],
+      ["whole input", "2025-11-02T10:20:30Z", [["2025-11-02T10:20:30Z", 0]]],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => assert.deepEqual(scan(input), expected));
+    }
+  });
+
+  test("does not match partially inside larger tokens", async (t) => {
+    const cases = [
+      ["letters around", "x2025-11-02T10:20:30Zy"],
+      ["letter before", "x2025-11-02T10:20:30Z"],
+      ["letter after", "2025-11-02T10:20:30Zy"],
+      ["5-digit year", "12025-11-02T10:20:30Z"],
+      ["signed year", "-2025-11-02T10:20:30Z"],
+      ["4-digit fraction", "2025-11-02T10:20:30.1234Z"],
+      ["offset with seconds", "2025-11-02T10:20:30+01:00:00"],
+      ["offset +14:01", "2025-11-02T10:20:30+14:01"],
+      ["digit after offset", "2025-11-02T10:20:30+01:001"],
+      ["underscore", "_2025-11-02T10:20:30Z"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => assert.deepEqual(scan(input), []));
+    }
+  });
+
+  test("keeps calendar and time rules", async (t) => {
+    const cases = [
+      "on 2025-02-29T00:00:00Z",
+      "on 2025-04-31T00:00:00Z",
+      "on 2025-11-02T24:00:00Z",
+      "on 2025-11-02 10:20:30Z",
+      "on 2025-11-02T10:20:30",
+    ];
+
+    for (const input of cases) {
+      await t.test(input, () => assert.deepEqual(scan(input), []));
+    }
+  });
+
+  test("agrees with ISO8601Regex on whole-token matches", () => {
+    const samples = [
+      "2025-11-02T10:20:30Z",
+      "2024-02-29T23:59:59.999+14:00",
+      "2025-02-29T10:20:30Z",
+      "2025-11-02T10:20:30",
+      "2025-11-02T10:20:30+14:01",
+    ];
+
+    for (const sample of samples) {
+      assert.equal(scan(` ${sample} `).length === 1, ISO8601Regex.test(sample), sample);
+    }
+  });
+
+  test("findISO8601 yields match, index and groups", () => {
+    const found = [...findISO8601("at 2025-11-02T10:20:30Z: ok, then 2024-02-29T01:02:03.5+05:30")];
+
+    assert.equal(found.length, 2);
+    assert.equal(found[0].match, "2025-11-02T10:20:30Z");
+    assert.equal(found[0].index, 3);
+    assert.equal(found[0].groups.timezone, "Z");
+    assert.equal(found[1].match, "2024-02-29T01:02:03.5+05:30");
+    assert.equal(found[1].index, 34);
+    assert.deepEqual({ ...found[1].groups }, {
+      year: "2024",
+      month: "02",
+      day: "29",
+      hour: "01",
+      minute: "02",
+      second: "03",
+      millisecond: "5",
+      timezone: "+05:30",
+    });
+  });
+
+  test("findISO8601 does not share state between iterations", () => {
+    const text = "2025-11-02T10:20:30Z 2025-11-03T10:20:30Z";
+    const first = findISO8601(text);
+
+    first.next();
+    assert.equal([...findISO8601(text)].length, 2);
+    assert.equal(ISO8601ScanRegex.lastIndex, 0);
+    assert.equal([...first].length, 1);
+  });
+
+  test("findISO8601 rejects non-string input", () => {
+    assert.throws(() => findISO8601(null).next(), TypeError);
+    assert.throws(() => findISO8601(20251102).next(), TypeError);
+  });
+
+  test("performance: scans multi-megabyte adversarial input in linear time", async (t) => {
+    const inputs = [
+      ["digit run", "1".repeat(4_000_000)],
+      ["repeated near-matches", "2025-11-02T10:20:30+".repeat(200_000)],
+      ["repeated fractions", "2025-11-02T10:20:30.999".repeat(200_000)],
+      ["glued timestamps", "2025-11-02T10:20:30Z".repeat(200_000)],
+    ];
+
+    for (const [label, input] of inputs) {
+      await t.test(label, () => {
+        const start = performance.now();
+        const count = [...findISO8601(input)].length;
+        const duration = performance.now() - start;
+
+        assert.equal(count, 0);
+        assert.ok(duration < 500, `Scanning ${label} took ${duration.toFixed(2)}ms`);
+      });
+    }
+  });
+});
+
+describe("ISO8601IXDTFRegex / parseISO8601IXDTF — RFC 9557 suffixes", () => {
+  test("accepts valid suffixes", async (t) => {
+    const cases = [
+      ["no suffix", "2025-11-02T10:20:30Z"],
+      ["IANA zone", "2025-11-02T10:20:30+01:00[Europe/Paris]"],
+      ["zone and calendar", "2025-11-02T10:20:30+01:00[Europe/Paris][u-ca=gregory]"],
+      ["critical zone", "2025-11-02T10:20:30Z[!UTC]"],
+      ["numeric offset zone", "2025-11-02T10:20:30+05:30[+05:30]"],
+      ["deep zone name", "2025-11-02T10:20:30-03:00[America/Argentina/Buenos_Aires]"],
+      ["zone with sign and digits", "2025-11-02T10:20:30-05:00[Etc/GMT+5]"],
+      ["tags only", "2025-11-02T10:20:30Z[u-ca=gregory]"],
+      ["critical tag", "2025-11-02T10:20:30Z[!u-ca=gregory]"],
+      ["experimental key", "2025-11-02T10:20:30Z[_foo=bar]"],
+      ["multi-part value", "2025-11-02T10:20:30Z[x-foo=bar-baz-1]"],
+      ["several tags", "2025-11-02T10:20:30Z[UTC][u-ca=iso8601][_x=1][y=2]"],
+      ["elective duplicate key", "2025-11-02T10:20:30Z[u-ca=gregory][u-ca=hebrew]"],
+      ["leap day", "2024-02-29T10:20:30Z[UTC]"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => {
+        assert.ok(ISO8601IXDTFRegex.test(input), `Regex rejected ${input}`);
+        assert.ok(isISO8601IXDTF(input), `isISO8601IXDTF rejected ${input}`);
+      });
+    }
+  });
+
+  test("rejects invalid suffix grammar", async (t) => {
+    const cases = [
+      ["invalid date-time", "2025-02-29T10:20:30Z[UTC]"],
+      ["empty brackets", "2025-11-02T10:20:30Z[]"],
+      ["zone after tags", "2025-11-02T10:20:30Z[u-ca=gregory][Europe/Paris]"],
+      ["two zones", "2025-11-02T10:20:30Z[Europe/Paris][America/New_York]"],
+      ["uppercase key", "2025-11-02T10:20:30Z[U-CA=gregory]"],
+      ["key starting with a digit", "2025-11-02T10:20:30Z[1a=b]"],
+      ["empty value", "2025-11-02T10:20:30Z[u-ca=]"],
+      ["empty value part", "2025-11-02T10:20:30Z[u-ca=a--b]"],
+      ["trailing dash in value", "2025-11-02T10:20:30Z[u-ca=a-]"],
+      ["zone part '.'", "2025-11-02T10:20:30Z[.]"],
+      ["zone part '..'", "2025-11-02T10:20:30Z[Europe/../Paris]"],
+      ["empty zone part", "2025-11-02T10:20:30Z[Europe//Paris]"],
+      ["zone starting with a digit", "2025-11-02T10:20:30Z[1Europe]"],
+      ["offset zone out of range", "2025-11-02T10:20:30Z[+24:00]"],
+      ["offset zone with seconds", "2025-11-02T10:20:30Z[+01:00:00]"],
+      ["double critical flag", "2025-11-02T10:20:30Z[!!UTC]"],
+      ["unclosed bracket", "2025-11-02T10:20:30Z[UTC"],
+      ["text after suffix", "2025-11-02T10:20:30Z[UTC] "],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => {
+        assert.ok(!isISO8601IXDTF(input), `Accepted ${input}`);
+        assert.equal(parseISO8601IXDTF(input), null);
+      });
+    }
+  });
+
+  test("parses the annotations", async (t) => {
+    const cases = [
+      [
+        "zone and critical tag",
+        "2025-11-02T10:20:30+01:00[Europe/Paris][!u-ca=gregory]",
+        {
+          dateTime: "2025-11-02T10:20:30+01:00",
+          timeZoneAnnotation: "Europe/Paris",
+          timeZoneCritical: false,
+          tags: [{ key: "u-ca", value: "gregory", critical: true }],
+        },
+      ],
+      [
+        "critical zone, no tags",
+        "2025-11-02T10:20:30Z[!UTC]",
+        { dateTime: "2025-11-02T10:20:30Z", timeZoneAnnotation: "UTC", timeZoneCritical: true, tags: [] },
+      ],
+      [
+        "no suffix",
+        "2025-11-02T10:20:30.123Z",
+        { dateTime: "2025-11-02T10:20:30.123Z", timeZoneAnnotation: null, timeZoneCritical: false, tags: [] },
+      ],
+      [
+        "tags in order, duplicates kept",
+        "2025-11-02T10:20:30Z[u-ca=gregory][_x=a-b][u-ca=hebrew]",
+        {
+          dateTime: "2025-11-02T10:20:30Z",
+          timeZoneAnnotation: null,
+          timeZoneCritical: false,
+          tags: [
+            { key: "u-ca", value: "gregory", critical: false },
+            { key: "_x", value: "a-b", critical: false },
+            { key: "u-ca", value: "hebrew", critical: false },
+          ],
+        },
+      ],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => assert.deepEqual(parseISO8601IXDTF(input), expected));
+    }
+  });
+
+  test("exposes the suffix as named groups", () => {
+    const { groups } = ISO8601IXDTFRegex.exec("2025-11-02T10:20:30+01:00[!Europe/Paris][u-ca=gregory]");
+
+    assert.equal(groups.timezone, "+01:00");
+    assert.equal(groups.timeZoneCritical, "!");
+    assert.equal(groups.timeZoneAnnotation, "Europe/Paris");
+    assert.equal(groups.tags, "[u-ca=gregory]");
+  });
+
+  test("rejects keys repeated with a critical occurrence", async (t) => {
+    const cases = [
+      ["critical first", "2025-11-02T10:20:30Z[!u-ca=gregory][u-ca=hebrew]"],
+      ["critical last", "2025-11-02T10:20:30Z[u-ca=gregory][!u-ca=hebrew]"],
+      ["both critical", "2025-11-02T10:20:30Z[!u-ca=gregory][!u-ca=gregory]"],
+      ["with another key between", "2025-11-02T10:20:30Z[!_x=1][u-ca=gregory][_x=2]"],
+    ];
+
+    for (const [label, input] of cases) {
+      await t.test(label, () => {
+        assert.ok(ISO8601IXDTFRegex.test(input), "Grammar should accept it");
+        assert.equal(parseISO8601IXDTF(input), null);
+      });
+    }
+  });
+
+  test("rejects critical offset annotations that contradict the offset", async (t) => {
+    const cases = [
+      ["critical mismatch", "2025-11-02T10:20:30+01:00[!+02:00]", false],
+      ["elective mismatch", "2025-11-02T10:20:30+01:00[+02:00]", true],
+      ["critical match", "2025-11-02T10:20:30+01:00[!+01:00]", true],
+      ["Z states no local offset", "2025-11-02T10:20:30Z[!+02:00]", true],
+      ["-00:00 states no local offset", "2025-11-02T10:20:30-00:00[!+02:00]", true],
+      ["+00:00 against -00:00", "2025-11-02T10:20:30+00:00[!-00:00]", true],
+    ];
+
+    for (const [label, input, expected] of cases) {
+      await t.test(label, () => assert.equal(isISO8601IXDTF(input), expected));
+    }
+  });
+
+  test("checkTimeZone requires a zone known to Intl", async (t) => {
+    const cases = [
+      ["canonical name", "Europe/Paris", true],
+      ["UTC", "UTC", true],
+      ["alias", "US/Eastern", true],
+      ["case-insensitive", "europe/paris", true],
+      ["unknown name", "Mars/Olympus_Mons", false],
+      ["unknown single part", "Nowhere", false],
+    ];
+
+    for (const [label, zone, expected] of cases) {
+      await t.test(label, () => {
+        const input = `2025-11-02T10:20:30Z[${zone}]`;
+
+        assert.ok(isISO8601IXDTF(input), "Grammar should accept it");
+        assert.equal(isISO8601IXDTF(input, { checkTimeZone: true }), expected);
+      });
+    }
+
+    await t.test("offset annotations are not looked up", () => {
+      assert.ok(isISO8601IXDTF("2025-11-02T10:20:30+05:30[+05:30]", { checkTimeZone: true }));
+    });
+  });
+
+  test("agrees with ISO8601Regex on the date-time part", () => {
+    const samples = [
+      "2025-11-02T10:20:30Z",
+      "2024-02-29T23:59:59.999+14:00",
+      "2025-02-29T10:20:30Z",
+      "2025-11-02T10:20:30",
+      "2025-11-02T10:20:30+14:01",
+    ];
+
+    for (const sample of samples) {
+      assert.equal(isISO8601IXDTF(`${sample}[UTC][u-ca=gregory]`), ISO8601Regex.test(sample), sample);
+    }
+  });
+
+  test("readme examples should all pass", () => {
+    assert.ok(ISO8601IXDTFRegex.test("2025-11-02T10:20:30+01:00[Europe/Paris][u-ca=gregory]"));
+    assert.ok(!ISO8601IXDTFRegex.test("2025-11-02T10:20:30Z[u-ca=gregory][Europe/Paris]"));
+    assert.equal(parseISO8601IXDTF("2025-11-02T10:20:30Z[u-ca=gregory][!u-ca=iso8601]"), null);
+    assert.equal(parseISO8601IXDTF("2025-11-02T10:20:30+01:00[!+02:00]"), null);
+    assert.equal(
+      parseISO8601IXDTF("2025-11-02T10:20:30Z[Mars/Olympus]", { checkTimeZone: true }),
+      null
+    );
+  });
+
+  test("performance: long adversarial suffixes are rejected quickly", async (t) => {
+    const inputs = [
+      ["long zone name", "2025-11-02T10:20:30Z[" + "a".repeat(100_000)],
+      ["many zone parts", "2025-11-02T10:20:30Z[" + "a/".repeat(50_000) + "]"],
+      ["many tags", "2025-11-02T10:20:30Z" + "[a=b]".repeat(20_000) + "["],
+      ["long value", "2025-11-02T10:20:30Z[a=" + "b-".repeat(50_000) + "]"],
+    ];
+
+    for (const [label, input] of inputs) {
+      await t.test(label, () => {
+        const start = performance.now();
+        const result = isISO8601IXDTF(input);
+        const duration = performance.now() - start;
+
+        assert.equal(result, false);
+        assert.ok(duration < 100, `Validation of ${label} took ${duration.toFixed(2)}ms`);
+      });
+    }
+  });
+});
+
+describe("checkISO8601Offset — offsets against IANA time zones", () => {
+  test("validates the offset for the instant", async (t) => {
+    const cases = [
+      ["New York summer, EDT", "2025-07-04T09:00:00-04:00", "America/New_York", true, -240],
+      ["New York summer, EST", "2025-07-04T09:00:00-05:00", "America/New_York", false, -240],
+      ["New York winter, EST", "2025-01-15T09:00:00-05:00", "America/New_York", true, -300],
+      ["New York winter, EDT", "2025-01-15T09:00:00-04:00", "America/New_York", false, -300],
+      ["Paris summer", "2025-07-04T09:00:00+02:00", "Europe/Paris", true, 120],
+      ["Paris winter", "2025-12-04T09:00:00+02:00", "Europe/Paris", false, 60],
+      ["half-hour zone", "2025-11-02T10:00:00+05:30", "Asia/Kolkata", true, 330],
+      ["quarter-hour zone", "2025-11-02T10:00:00+05:45", "Asia/Kathmandu", true, 345],
+      ["southern hemisphere DST", "2025-01-15T09:00:00+11:00", "Australia/Sydney", true, 660],
+      ["UTC with Z", "2025-11-02T10:00:00Z", "UTC", true, 0],
+      ["Z outside UTC+0", "2025-11-02T10:00:00Z", "Europe/Paris", false, 60],
+      ["London in winter with Z", "2025-01-15T10:00:00Z", "Europe/London", true, 0],
+      ["alias", "2025-07-04T09:00:00-04:00", "US/Eastern", true, -240],
+    ];
+
+    for (const [label, input, timeZone, valid, expectedOffsetMinutes] of cases) {
+      await t.test(label, () => {
+        const result = checkISO8601Offset(input, timeZone);
+
+        assert.equal(result.valid, valid);
+        assert.equal(result.expectedOffsetMinutes, expectedOffsetMinutes);
+        assert.equal(result.localTime, "unique");
+        assert.deepEqual(result.validOffsetMinutes, [expectedOffsetMinutes]);
+      });
+    }
+  });
+
+  test("reports local times skipped by a DST gap", async (t) => {
+    const cases = [
+      ["New York spring-forward, EST", "2025-03-09T02:30:00-05:00", "America/New_York", -240],
+      ["New York spring-forward, EDT", "2025-03-09T02:30:00-04:00", "America/New_York", -300],
+      ["Paris spring-forward", "2025-03-30T02:30:00+01:00", "Europe/Paris", 120],
+      ["Lord Howe half-hour DST", "2025-10-05T02:15:00+10:30", "Australia/Lord_Howe", 660],
+      ["Samoa skipped 2011-12-30", "2011-12-30T12:00:00+14:00", "Pacific/Apia", -600],
+    ];
+
+    for (const [label, input, timeZone, expectedOffsetMinutes] of cases) {
+      await t.test(label, () => {
+        assert.deepEqual(checkISO8601Offset(input, timeZone), {
+          valid: false,
+          offsetMinutes: parseISO8601(input).offsetMinutes,
+          expectedOffsetMinutes,
+          localTime: "gap",
+          validOffsetMinutes: [],
+        });
+      });
+    }
+  });
+
+  test("reports local times repeated in an overlap", async (t) => {
+    const cases = [
+      ["New York fall-back, EDT", "2025-11-02T01:30:00-04:00", "America/New_York", [-240, -300]],
+      ["New York fall-back, EST", "2025-11-02T01:30:00-05:00", "America/New_York", [-240, -300]],
+      ["Paris fall-back", "2025-10-26T02:30:00+01:00", "Europe/Paris", [120, 60]],
+      ["Lord Howe half-hour overlap", "2025-04-06T01:45:00+10:30", "Australia/Lord_Howe", [660, 630]],
+    ];
+
+    for (const [label, input, timeZone, validOffsetMinutes] of cases) {
+      await t.test(label, () => {
+        const result = checkISO8601Offset(input, timeZone);
+
+        assert.equal(result.valid, true);
+        assert.equal(result.localTime, "overlap");
+        assert.deepEqual(result.validOffsetMinutes, validOffsetMinutes);
+      });
+    }
+
+    await t.test("offset outside the overlap", () => {
+      const result = checkISO8601Offset("2025-11-02T01:30:00-06:00", "America/New_York");
+
+      assert.equal(result.valid, false);
+      assert.equal(result.localTime, "overlap");
+    });
+  });
+
+  test("transition boundaries", async (t) => {
+    const cases = [
+      ["last EST minute before spring-forward", "2025-03-09T01:59:59-05:00", true, "unique"],
+      ["first EDT minute after spring-forward", "2025-03-09T03:00:00-04:00", true, "unique"],
+      ["start of the gap", "2025-03-09T02:00:00-05:00", false, "gap"],
+      ["start of the overlap", "2025-11-02T01:00:00-04:00", true, "overlap"],
+      ["end of the overlap", "2025-11-02T02:00:00-05:00", true, "unique"],
+    ];
+
+    for (const [label, input, valid, localTime] of cases) {
+      await t.test(label, () => {
+        const result = checkISO8601Offset(input, "America/New_York");
+
+        assert.equal(result.valid, valid);
+        assert.equal(result.localTime, localTime);
+      });
+    }
+  });
+
+  test("historical local mean time has a fractional offset", () => {
+    const result = checkISO8601Offset("1850-01-01T00:00:00-05:00", "America/New_York");
+
+    assert.equal(result.valid, false);
+    assert.equal(result.expectedOffsetMinutes, -(4 * 60 + 56 + 2 / 60));
+  });
+
+  test("returns null for strings ISO8601Regex rejects", () => {
+    assert.equal(checkISO8601Offset("2025-02-29T10:00:00Z", "UTC"), null);
+    assert.equal(checkISO8601Offset("2025-07-04T09:00:00", "America/New_York"), null);
+    assert.equal(checkISO8601Offset(null, "UTC"), null);
+  });
+
+  test("throws for unknown or missing time zones", () => {
+    assert.throws(() => checkISO8601Offset("2025-11-02T10:00:00Z", "Mars/Olympus_Mons"), {
+      name: "RangeError",
+      message: "Unknown time zone: Mars/Olympus_Mons",
+    });
+    assert.throws(() => checkISO8601Offset("2025-11-02T10:00:00Z", "+01:00"), RangeError);
+    assert.throws(() => checkISO8601Offset("2025-11-02T10:00:00Z"), TypeError);
+  });
+
+  test("readme examples should all pass", () => {
+    assert.deepEqual(checkISO8601Offset("2025-07-04T09:00:00-05:00", "America/New_York"), {
+      valid: false,
+      offsetMinutes: -300,
+      expectedOffsetMinutes: -240,
+      localTime: "unique",
+      validOffsetMinutes: [-240],
+    });
+    assert.equal(checkISO8601Offset("2025-03-09T02:30:00-05:00", "America/New_York").localTime, "gap");
+    assert.deepEqual(checkISO8601Offset("2025-11-02T01:30:00-05:00", "America/New_York"), {
+      valid: true,
+      offsetMinutes: -300,
+      expectedOffsetMinutes: -300,
+      localTime: "overlap",
+      validOffsetMinutes: [-240, -300],
+    });
+  });
+
+  test("performance: 1000 checks in under 100ms", () => {
+    const start = performance.now();
+    for (let i = 0; i < 1000; i++) {
+      checkISO8601Offset("2025-07-04T09:00:00-04:00", "America/New_York");
+    }
+    const duration = performance.now() - start;
+
+    assert.ok(duration < 100, `1000 checks took ${duration.toFixed(2)}ms`);
+  });
+});
+
+describe("createISO8601Reviver — JSON.parse reviver", () => {
+  const text = JSON.stringify({
+    createdAt: "2025-11-02T10:20:30Z",
+    note: "2025-11-02T10:20:30+01:00",
+    invalid: "2025-02-29T10:20:30Z",
+    count: 3,
+    items: [{ at: "2024-02-29T23:59:59.999+14:00" }, { at: "not a date" }, {}],
+    byId: { a: { at: "2025-11-02T10:20:30Z" }, b: { at: "2025-11-02T10:20:30-03:00" } },
+    "a/b": { "~x": "2025-11-02T10:20:30Z" },
+  });
+
+  test("converts every matching string to a Date by default", () => {
+    const body = JSON.parse(text, createISO8601Reviver());
+
+    assert.deepEqual(body.createdAt, new Date("2025-11-02T10:20:30Z"));
+    assert.deepEqual(body.note, new Date("2025-11-02T09:20:30Z"));
+    assert.deepEqual(body.items[0].at, new Date("2024-02-29T09:59:59.999Z"));
+    assert.deepEqual(body["a/b"]["~x"], new Date("2025-11-02T10:20:30Z"));
+    assert.equal(body.invalid, "2025-02-29T10:20:30Z");
+    assert.equal(body.items[1].at, "not a date");
+    assert.equal(body.count, 3);
+  });
+
+  test("converts only the values at the given JSON pointers", async (t) => {
+    const cases = [
+      ["top-level key", ["/createdAt"], (body) => [body.createdAt]],
+      ["array wildcard", ["/items/*/at"], (body) => [body.items[0].at]],
+      ["object wildcard", ["/byId/*/at"], (body) => [body.byId.a.at, body.byId.b.at]],
+      ["array index", ["/items/0/at"], (body) => [body.items[0].at]],
+      ["escaped tokens", ["/a~1b/~0x"], (body) => [body["a/b"]["~x"]]],
+    ];
+
+    for (const [label, paths, converted] of cases) {
+      await t.test(label, () => {
+        const body = JSON.parse(text, createISO8601Reviver({ paths }));
+        const dates = converted(body);
+
+        assert.ok(dates.every((value) => value instanceof Date), "Not converted");
+        assert.equal(typeof body.note, "string", "Converted outside the paths");
+      });
+    }
+  });
+
+  test("leaves invalid and missing values at the paths alone", () => {
+    const paths = ["/invalid", "/items/*/at", "/missing/at", "/count/x"];
+    const body = JSON.parse(text, createISO8601Reviver({ paths }));
+
+    assert.equal(body.invalid, "2025-02-29T10:20:30Z");
+    assert.equal(body.items[1].at, "not a date");
+    assert.deepEqual(body.items[2], {});
+    assert.equal(body.count, 3);
+  });
+
+  test("the empty pointer converts the whole document", () => {
+    assert.deepEqual(
+      JSON.parse('"2025-11-02T10:20:30Z"', createISO8601Reviver({ paths: [""] })),
+      new Date("2025-11-02T10:20:30Z")
+    );
+    assert.deepEqual(JSON.parse('"2025-11-02"', createISO8601Reviver({ paths: [""] })), "2025-11-02");
+  });
+
+  test("resolves paths from the root only, not from nested objects keyed ''", () => {
+    const at = "2025-11-02T10:20:30Z";
+    const reviver = createISO8601Reviver({ paths: ["/createdAt", "/x//createdAt"] });
+
+    const nested = JSON.parse(`{"x":{"":{"createdAt":"${at}"}},"y":{"":{"":"${at}"}}}`, reviver);
+    assert.ok(nested.x[""].createdAt instanceof Date);
+    assert.deepEqual(nested.y, { "": { "": at } });
+
+    const wrapped = JSON.parse(`{"":{"createdAt":"${at}"}}`, reviver);
+    assert.deepEqual(wrapped, { "": { createdAt: at } });
+
+    assert.deepEqual(
+      JSON.parse(`{"x":{"":{"createdAt":"${at}"}}}`, createISO8601Reviver({ paths: ["/createdAt"] })),
+      { x: { "": { createdAt: at } } }
+    );
+    assert.deepEqual(
+      JSON.parse(`{"x":{"":"${at}"}}`, createISO8601Reviver({ paths: [""] })),
+      { x: { "": at } }
+    );
+  });
+
+  test("accepts any iterable of paths", () => {
+    const body = JSON.parse(text, createISO8601Reviver({ paths: new Set(["/createdAt"]) }));
+    assert.ok(body.createdAt instanceof Date);
+  });
+
+  test("convert: 'parsed' returns parseISO8601 results", () => {
+    const body = JSON.parse(text, createISO8601Reviver({ paths: ["/note"], convert: "parsed" }));
+    assert.deepEqual(body.note, parseISO8601("2025-11-02T10:20:30+01:00"));
+  });
+
+  test("convert can be a function", () => {
+    const seen = [];
+    const body = JSON.parse(
+      text,
+      createISO8601Reviver({
+        paths: ["/byId/*/at"],
+        convert: (value) => {
+          seen.push(value);
+          return value.length;
+        },
+      })
+    );
+
+    assert.deepEqual(seen, ["2025-11-02T10:20:30Z", "2025-11-02T10:20:30-03:00"]);
+    assert.deepEqual(body.byId, { a: { at: 20 }, b: { at: 25 } });
+  });
+
+  test("can be reused across parses", () => {
+    const reviver = createISO8601Reviver({ paths: ["/items/*/at"] });
+
+    for (let i = 0; i < 3; i++) {
+      assert.ok(JSON.parse(text, reviver).items[0].at instanceof Date);
+    }
+  });
+
+  test("throws on invalid options", () => {
+    assert.throws(() => createISO8601Reviver({ convert: "temporal" }), {
+      name: "TypeError",
+      message: "Invalid convert: temporal (expected date, parsed)",
+    });
+    assert.throws(() => createISO8601Reviver({ paths: "/createdAt" }), TypeError);
+    assert.throws(() => createISO8601Reviver({ paths: ["createdAt"] }), {
+      name: "RangeError",
+      message: 'Invalid JSON pointer "createdAt"',
+    });
+    assert.throws(() => createISO8601Reviver({ paths: ["/a~2"] }), RangeError);
+  });
+});
+
+describe("createISO8601Validator — deep validation by JSON pointer", () => {
+  const validate = createISO8601Validator(["/createdAt", "/items/*/at", "/byId/*/at"]);
+
+  test("returns a shared frozen empty array when everything is valid", () => {
+    const body = {
+      createdAt: "2025-11-02T10:20:30Z",
+      items: [{ at: "2024-02-29T23:59:59.999+14:00" }],
+      byId: { a: { at: "2025-11-02T10:20:30-03:00" } },
+    };
+    const first = validate(body);
+
+    assert.deepEqual(first, []);
+    assert.ok(Object.isFrozen(first));
+    assert.equal(validate(body), first);
+    assert.equal(createISO8601Validator(["/x"])({ x: "2025-11-02T10:20:30Z" }), first);
+  });
+
+  test("reports every invalid path with its reason", () => {
+    const errors = validate({
+      createdAt: "2025-02-29T10:20:30Z",
+      items: [{ at: "2025-11-02T10:20:30Z" }, { at: "2025-11-31T10:20:30Z" }, { at: 20251102 }],
+      byId: { "x/y": { at: "2025-11-02T10:20:30" } },
+    });
+
+    assert.deepEqual(errors, [
+      {
+        path: "/createdAt",
+        code: "NOT_LEAP_YEAR",
+        message: "February 29 does not exist in 2025, which is not a leap year",
+      },
+      { path: "/items/1/at", code: "DAY_OUT_OF_RANGE", message: "Day 31 is out of range for month 11 (01–30)" },
+      { path: "/items/2/at", code: "INVALID_TYPE", message: "Expected a string, received number" },
+      {
+        path: "/byId/x~1y/at",
+        code: "MISSING_TIMEZONE",
+        message: "Expected 'Z' or an offset such as +01:00, found end of input",
+      },
+    ]);
+  });
+
+  test("reports missing values at the first missing key", async (t) => {
+    const cases = [
+      ["missing key", { items: [], byId: {} }, ["/createdAt"]],
+      ["missing array member", { createdAt: "2025-11-02T10:20:30Z", items: [{}], byId: {} }, ["/items/0/at"]],
+      ["missing container", { createdAt: "2025-11-02T10:20:30Z", byId: {} }, ["/items"]],
+      ["not a container", { createdAt: "2025-11-02T10:20:30Z", items: "none", byId: {} }, ["/items/*"]],
+      ["null document", null, ["/createdAt", "/items", "/byId"]],
+    ];
+
+    for (const [label, input, paths] of cases) {
+      await t.test(label, () => {
+        const errors = validate(input);
+
+        assert.deepEqual(errors.map(({ path }) => path), paths);
+        assert.ok(errors.every(({ code }) => code === "MISSING_VALUE"));
+      });
+    }
+
+    await t.test("empty wildcards have nothing to check", () => {
+      assert.deepEqual(validate({ createdAt: "2025-11-02T10:20:30Z", items: [], byId: {} }), []);
+    });
+  });
+
+  test("allowMissing skips missing values", () => {
+    const lenient = createISO8601Validator(["/createdAt", "/items/*/at"], { allowMissing: true });
+
+    assert.deepEqual(lenient({ items: [{}, { at: "2025-11-02T10:20:30Z" }] }), []);
+    assert.equal(lenient({ items: [{ at: "2025-11-02" }] })[0].path, "/items/0/at");
+  });
+
+  test("the empty pointer validates the whole value", () => {
+    const validateRoot = createISO8601Validator([""]);
+
+    assert.deepEqual(validateRoot("2025-11-02T10:20:30Z"), []);
+    assert.deepEqual(validateRoot("2025-11-02")[0].path, "");
+  });
+
+  test("does not keep state between calls", () => {
+    assert.equal(validate({ createdAt: "bad", items: [], byId: {} }).length, 1);
+    assert.equal(validate({ createdAt: "2025-11-02T10:20:30Z", items: [], byId: {} }).length, 0);
+  });
+
+  test("throws on invalid paths or options", () => {
+    assert.throws(() => createISO8601Validator(), TypeError);
+    assert.throws(() => createISO8601Validator("/createdAt"), TypeError);
+    assert.throws(() => createISO8601Validator([null]), TypeError);
+    assert.throws(() => createISO8601Validator(["createdAt"]), RangeError);
+    assert.throws(() => createISO8601Validator(["/a~"]), RangeError);
+    assert.throws(() => createISO8601Validator(["/a"], { allowMissing: "yes" }), TypeError);
+  });
+
+  test("readme examples should all pass", () => {
+    const readmeValidate = createISO8601Validator(["/createdAt", "/items/*/at"]);
+
+    assert.deepEqual(
+      readmeValidate({ createdAt: "2025-11-02T10:20:30Z", items: [{ at: "2025-11-02T10:20:30Z" }] }),
+      []
+    );
+    assert.deepEqual(
+      readmeValidate({ createdAt: "2025-02-29T10:20:30Z", items: [{ at: "2025-11-02T10:20:30Z" }, {}] }),
+      [
+        {
+          path: "/createdAt",
+          code: "NOT_LEAP_YEAR",
+          message: "February 29 does not exist in 2025, which is not a leap year",
+        },
+        { path: "/items/1/at", code: "MISSING_VALUE", message: "No value at this path" },
+      ]
+    );
+
+    const body = JSON.parse(
+      '{"createdAt":"2025-11-02T10:20:30Z","items":[{"at":"2025-11-02T10:20:30+01:00"}],"note":"2025-11-02T10:20:30Z"}',
+      createISO8601Reviver({ paths: ["/createdAt", "/items/*/at"] })
+    );
+    assert.ok(body.createdAt instanceof Date);
+    assert.deepEqual(body.items[0].at, new Date("2025-11-02T09:20:30Z"));
+    assert.equal(body.note, "2025-11-02T10:20:30Z");
+  });
+
+  test("performance: validates 1000 request bodies in under 100ms", () => {
+    const body = {
+      createdAt: "2025-11-02T10:20:30Z",
+      items: Array.from({ length: 10 }, () => ({ at: "2025-11-02T10:20:30.123+01:00" })),
+      byId: { a: { at: "2025-11-02T10:20:30Z" }, b: { at: "2025-11-02T10:20:30Z" } },
+    };
+
+    const start = performance.now();
+    for (let i = 0; i < 1000; i++) validate(body);
+    const duration = performance.now() - start;
+
+    assert.ok(duration < 100, `1000 validations took ${duration.toFixed(2)}ms`);
+  });
+});
+
+describe("isISO8601 / execISO8601 — typed guard and exec", () => {
+  test("isISO8601 matches ISO8601Regex for strings", () => {
+    const cases = [
+      "2025-11-02T10:20:30Z",
+      "2025-11-02T10:20:30.123+01:00",
+      "2024-02-29T23:59:59-00:00",
+      "2025-02-29T10:20:30Z",
+      "2025-11-02 10:20:30Z",
+      "2025-11-02T10:20:30",
+      "",
+    ];
+
+    for (const input of cases) {
+      assert.equal(isISO8601(input), ISO8601Regex.test(input), input);
+    }
+  });
+
+  test("isISO8601 does not coerce non-strings", () => {
+    const cases = [
+      null,
+      undefined,
+      20251102,
+      new Date("2025-11-02T10:20:30Z"),
+      new String("2025-11-02T10:20:30Z"),
+      ["2025-11-02T10:20:30Z"],
+      { toString: () => "2025-11-02T10:20:30Z" },
+    ];
+
+    for (const input of cases) {
+      assert.equal(isISO8601(input), false, String(input));
+    }
+  });
+
+  test("execISO8601 returns the ISO8601Regex match, or null", () => {
+    const match = execISO8601("2025-11-02T10:20:30.123+01:00");
+
+    assert.equal(match[0], "2025-11-02T10:20:30.123+01:00");
+    assert.equal(match.index, 0);
+    assert.deepEqual({ ...match.groups }, {
+      year: "2025",
+      month: "11",
+      day: "02",
+      hour: "10",
+      minute: "20",
+      second: "30",
+      millisecond: "123",
+      timezone: "+01:00",
+    });
+    assert.equal(execISO8601("2025-11-02T10:20:30Z").groups.millisecond, undefined);
+    assert.equal(execISO8601("2025-02-29T10:20:30Z"), null);
+    assert.equal(execISO8601(null), null);
+    assert.equal(execISO8601({ toString: () => "2025-11-02T10:20:30Z" }), null);
+  });
+
+  // strict-iso-8601-regex.test-d.ts pins the declared keys at the type level; this
+  // pins them to what the regexes actually capture.
+  test("the declared ISO8601Groups keys are exactly the runtime groups", () => {
+    const declaration = readFileSync(new URL("./strict-iso-8601-regex.d.ts", import.meta.url), "utf8");
+    const body = declaration.match(/export type ISO8601Groups = \{([^}]*)\}/)[1];
+    const declared = [...body.matchAll(/^\s*(\w+)\??:/gm)].map(([, key]) => key);
+
+    const matches = {
+      execISO8601: execISO8601("2025-11-02T10:20:30Z"),
+      ISO8601Regex: ISO8601Regex.exec("2025-11-02T10:20:30Z"),
+      ISO8601LeapSecondRegex: ISO8601LeapSecondRegex.exec("2016-12-31T23:59:60Z"),
+      ISO8601ExpandedYearRegex: ISO8601ExpandedYearRegex.exec("+012025-11-02T10:20:30Z"),
+      ISO8601ScanRegex: new RegExp(ISO8601ScanRegex.source).exec("at 2025-11-02T10:20:30Z"),
+      findISO8601: [...findISO8601("at 2025-11-02T10:20:30Z")][0],
+    };
+
+    assert.deepEqual(declared, [
+      "year",
+      "month",
+      "day",
+      "hour",
+      "minute",
+      "second",
+      "millisecond",
+      "timezone",
+    ]);
+    for (const [name, match] of Object.entries(matches)) {
+      assert.deepEqual(Object.keys(match.groups), declared, name);
+    }
+  });
+
+  test("readme examples should all pass", () => {
+    const body = { createdAt: "2025-11-02T10:20:30Z" };
+    const record = {};
+
+    if (isISO8601(body.createdAt)) {
+      record.createdAt = body.createdAt;
+    }
+    assert.equal(record.createdAt, "2025-11-02T10:20:30Z");
+
+    const match = execISO8601("2025-11-02T10:20:30+01:00");
+    assert.equal(match?.groups.timezone, "+01:00");
+    assert.equal(match?.groups.millisecond, undefined);
+  });
+});
+
+describe("compareISO8601 / toSortKey — offset-aware comparison", () => {
+  test("compares instants, not strings", () => {
+    const cases = [
+      // [a, b, expected]
+      ["2025-11-02T10:20:30Z", "2025-11-02T10:20:30Z", 0],
+      ["2025-11-02T10:20:30Z", "2025-11-02T10:20:31Z", -1],
+      ["2025-11-02T10:20:30Z", "2025-11-02T11:20:30+01:00", 0],
+      ["2025-11-02T10:20:30Z", "2025-11-02T10:20:30+00:00", 0],
+      ["2025-11-02T10:20:30Z", "2025-11-02T10:20:30-00:00", 0],
+      ["2025-11-02T10:20:30.5Z", "2025-11-02T10:20:30.500Z", 0],
+      ["2025-11-02T10:20:30.05Z", "2025-11-02T10:20:30.5Z", -1],
+      ["2025-11-02T10:20:30.999Z", "2025-11-02T10:20:31Z", -1],
+      // The string of the first is smaller, but it is the later instant.
+      ["2025-11-02T23:30:00-12:00", "2025-11-03T12:00:00+14:00", 1],
+      ["2025-11-02T23:30:00-12:00", "2025-11-04T01:30:00+14:00", 0],
+      ["2025-11-02T23:30:00-12:00", "2025-11-04T01:30:01+14:00", -1],
+      ["2025-11-02T10:00:00+05:45", "2025-11-02T04:15:00Z", 0],
+      ["2025-11-02T10:00:00+05:45", "2025-11-02T04:15:00.001Z", -1],
+      // Across a month, a year and a leap day.
+      ["2025-01-01T00:30:00+01:00", "2024-12-31T23:30:00Z", 0],
+      ["2024-02-29T23:00:00-12:00", "2024-03-01T11:00:00Z", 0],
+      ["2024-03-01T00:00:00+14:00", "2024-02-29T10:00:00Z", 0],
+      // Years 0000–0099, which Date maps to 1900–1999.
+      ["0099-12-31T23:59:59Z", "1999-12-31T23:59:59Z", -1],
+      ["0000-01-01T00:00:00+01:00", "0000-01-01T00:00:00Z", -1],
+      ["9999-12-31T23:59:59-12:00", "9999-12-31T23:59:59.999Z", 1],
+    ];
+
+    for (const [a, b, expected] of cases) {
+      assert.equal(compareISO8601(a, b), expected, `${a} vs ${b}`);
+      assert.equal(compareISO8601(b, a), -expected || 0, `${b} vs ${a}`);
+      assert.equal(isBefore(a, b), expected < 0, `isBefore(${a}, ${b})`);
+      assert.equal(isAfter(a, b), expected > 0, `isAfter(${a}, ${b})`);
+      assert.equal(isEqualInstant(a, b), expected === 0, `isEqualInstant(${a}, ${b})`);
+    }
+  });
+
+  test("sorts mixed offsets in instant order, stably", () => {
+    const timestamps = [
+      "2025-11-03T12:00:00+14:00",
+      "2025-11-02T23:30:00-12:00",
+      "2025-11-02T22:00:00Z",
+      "2025-11-03T11:30:00Z",
+      "2025-11-02T21:00:00-01:00",
+      "2025-11-02T23:00:00+02:00",
+    ];
+
+    assert.deepEqual([...timestamps].sort(compareISO8601), [
+      "2025-11-02T23:00:00+02:00", // 21:00Z
+      "2025-11-03T12:00:00+14:00", // 22:00Z
+      "2025-11-02T22:00:00Z",
+      "2025-11-02T21:00:00-01:00", // 22:00Z
+      "2025-11-02T23:30:00-12:00", // 11:30Z on the 3rd
+      "2025-11-03T11:30:00Z",
+    ]);
+  });
+
+  test("keeps sub-millisecond digits of fraction groups", () => {
+    const nanos = createISO8601Regex({ fraction: { mode: "unlimited" } });
+    const groups = (input) => nanos.exec(input).groups;
+
+    assert.equal(
+      compareISO8601(groups("2025-11-02T10:20:30.123456789Z"), groups("2025-11-02T10:20:30.123456790Z")),
+      -1
+    );
+    assert.equal(
+      compareISO8601(groups("2025-11-02T10:20:30.1234567891Z"), groups("2025-11-02T11:20:30.123456789+01:00")),
+      0
+    );
+    assert.equal(compareISO8601(groups("2025-11-02T10:20:30.000001Z"), "2025-11-02T10:20:30Z"), 1);
+    assert.equal(compareISO8601(ISO8601Regex.exec("2025-11-02T10:20:30.5Z").groups, "2025-11-02T10:20:30.5Z"), 0);
+    assert.equal(toSortKey(groups("2025-11-02T10:20:30.000000001-03:00")), "2025-11-02T13:20:30.000000001Z");
+  });
+
+  test("toSortKey normalizes to UTC with nine fraction digits", () => {
+    const cases = [
+      ["2025-11-02T10:20:30Z", "2025-11-02T10:20:30.000000000Z"],
+      ["2025-11-02T10:20:30.5+01:00", "2025-11-02T09:20:30.500000000Z"],
+      ["2025-11-02T10:20:30-00:00", "2025-11-02T10:20:30.000000000Z"],
+      ["2025-11-02T23:30:00-12:00", "2025-11-03T11:30:00.000000000Z"],
+      ["2025-11-04T01:30:00+14:00", "2025-11-03T11:30:00.000000000Z"],
+      ["2024-12-31T23:59:59.999-00:01", "2025-01-01T00:00:59.999000000Z"],
+      ["0000-01-01T00:00:00Z", "0000-01-01T00:00:00.000000000Z"],
+      ["0001-01-01T00:00:00+01:00", "0000-12-31T23:00:00.000000000Z"],
+      ["9999-12-31T23:59:59.999Z", "9999-12-31T23:59:59.999000000Z"],
+      ["9999-12-31T12:00:00-11:59", "9999-12-31T23:59:00.000000000Z"],
+    ];
+
+    for (const [input, expected] of cases) {
+      assert.equal(toSortKey(input), expected, input);
+    }
+  });
+
+  test("toSortKey order agrees with compareISO8601", () => {
+    const offsets = ["Z", "-00:00", "+00:30", "-01:00", "+05:45", "-09:30", "+14:00", "-12:00"];
+    const inputs = [];
+
+    for (let i = 0; i < 400; i++) {
+      const day = 1 + (i % 28);
+      const hour = (i * 7) % 24;
+      const second = (i * 13) % 60;
+      const fraction = i % 3 === 0 ? "" : `.${String(i % 1000).padStart(3, "0").slice(0, 1 + (i % 3))}`;
+      inputs.push(
+        `2024-02-${String(day).padStart(2, "0")}T${String(hour).padStart(2, "0")}:30:` +
+          `${String(second).padStart(2, "0")}${fraction}${offsets[i % offsets.length]}`
+      );
+    }
+
+    for (let i = 0; i < inputs.length; i++) {
+      for (let j = i; j < inputs.length; j += 7) {
+        const [a, b] = [toSortKey(inputs[i]), toSortKey(inputs[j])];
+        assert.equal(
+          Math.sign(a < b ? -1 : a > b ? 1 : 0),
+          compareISO8601(inputs[i], inputs[j]),
+          `${inputs[i]} vs ${inputs[j]}`
+        );
+      }
+    }
+  });
+
+  test("throws on invalid input", () => {
+    assert.throws(() => compareISO8601("2025-02-29T10:20:30Z", "2025-11-02T10:20:30Z"), {
+      name: "RangeError",
+      message: "Invalid ISO 8601 date-time: February 29 does not exist in 2025, which is not a leap year",
+    });
+    assert.throws(() => isBefore("2025-11-02T10:20:30Z", "2025-11-02 10:20:30Z"), RangeError);
+    assert.throws(() => isAfter(null, "2025-11-02T10:20:30Z"), TypeError);
+    assert.throws(() => isEqualInstant("2025-11-02T10:20:30Z", 1762078830000), TypeError);
+    const local = createISO8601Regex({ timezone: "optional" }).exec("2025-11-02T10:20:30").groups;
+    assert.throws(() => compareISO8601(local, "2025-11-02T10:20:30Z"), {
+      name: "RangeError",
+      message: "Date-time has no timezone designator, so it is not an instant",
+    });
+    assert.throws(() => toSortKey(new Date()), RangeError);
+    assert.throws(() => toSortKey(undefined), TypeError);
+  });
+
+  test("throws on week and ordinal date-time groups, in either argument order", () => {
+    const calendar = "2025-11-02T10:20:30Z";
+    const cases = [
+      ["week", ISO8601WeekDateTimeRegex.exec("2025-W44-7T10:20:30Z").groups, "month"],
+      ["ordinal", ISO8601OrdinalDateTimeRegex.exec("2025-306T10:20:30Z").groups, "month"],
+      ["no hour", { year: "2025", month: "11", day: "02", timezone: "Z" }, "hour"],
+      ["non-numeric day", { year: "2025", month: "11", day: "x", hour: "10", timezone: "Z" }, "day"],
+    ];
+
+    for (const [label, groups, missing] of cases) {
+      const error = {
+        name: "RangeError",
+        message: `Groups have no ${missing}: only calendar date-times (YYYY-MM-DDTHH…) can be compared, not week or ordinal dates`,
+      };
+
+      assert.throws(() => compareISO8601(groups, calendar), error, `${label}: (groups, string)`);
+      assert.throws(() => compareISO8601(calendar, groups), error, `${label}: (string, groups)`);
+      assert.throws(() => isBefore(groups, groups), error, label);
+      assert.throws(() => toSortKey(groups), error, label);
+    }
+  });
+
+  test("compares expanded-year groups, signed years included", () => {
+    const expanded = createISO8601Regex({ expandedYear: true });
+    const negative = ISO8601ExpandedYearRegex.exec("-000001-12-31T23:00:00-12:00").groups;
+    const distant = expanded.exec("+012025-11-02T10:20:30Z").groups;
+    const plain = expanded.exec("+002025-11-02T10:20:30Z").groups;
+
+    assert.equal(compareISO8601(negative, "0000-01-01T10:59:59Z"), 1);
+    assert.equal(compareISO8601("0000-01-01T10:59:59Z", negative), -1);
+    assert.equal(compareISO8601(negative, "0000-01-01T11:00:00Z"), 0);
+    assert.equal(compareISO8601(distant, "9999-12-31T23:59:59Z"), 1);
+    assert.equal(compareISO8601("9999-12-31T23:59:59Z", distant), -1);
+    assert.ok(isEqualInstant(plain, "2025-11-02T11:20:30+01:00"));
+    assert.equal(toSortKey(plain), "2025-11-02T10:20:30.000000000Z");
+    assert.throws(() => toSortKey(distant), {
+      name: "RangeError",
+      message: "Instant is outside UTC years 0000–9999, so it has no sort key",
+    });
+  });
+
+  test("toSortKey throws outside UTC years 0000–9999", () => {
+    const outside = ["0000-01-01T00:00:00+01:00", "0000-01-01T13:59:59.999+14:00", "9999-12-31T23:00:00-12:00"];
+
+    for (const input of outside) {
+      assert.throws(
+        () => toSortKey(input),
+        { name: "RangeError", message: "Instant is outside UTC years 0000–9999, so it has no sort key" },
+        input
+      );
+    }
+    assert.equal(toSortKey("0000-01-01T14:00:00+14:00"), "0000-01-01T00:00:00.000000000Z");
+  });
+
+  test("readme examples should all pass", () => {
+    assert.equal(compareISO8601("2025-11-02T10:00:00+01:00", "2025-11-02T09:30:00Z"), -1);
+    assert.equal(isBefore("2025-11-02T23:30:00-12:00", "2025-11-03T12:00:00+14:00"), false);
+    assert.equal(isAfter("2025-11-03T09:00:00+14:00", "2025-11-02T18:00:00-02:00"), false);
+    assert.equal(isEqualInstant("2025-11-02T10:20:30.5Z", "2025-11-02T11:20:30.500+01:00"), true);
+    assert.equal(isEqualInstant("2025-11-02T10:20:30Z", "2025-11-02T10:20:30-00:00"), true);
+    assert.deepEqual(
+      ["2025-11-02T10:00:00Z", "2025-11-02T10:00:00+01:00", "2025-11-02T09:59:59-00:30"].sort(compareISO8601),
+      ["2025-11-02T10:00:00+01:00", "2025-11-02T10:00:00Z", "2025-11-02T09:59:59-00:30"]
+    );
+    assert.equal(toSortKey("2025-11-02T23:30:00-12:00"), "2025-11-03T11:30:00.000000000Z");
+    assert.equal(toSortKey("2025-11-04T01:30:00+14:00"), "2025-11-03T11:30:00.000000000Z");
+  });
+
+  test("performance: sorts 1000 timestamps in under 100ms", () => {
+    const offsets = ["Z", "+01:00", "-05:00", "+05:45", "+14:00", "-12:00"];
+    const timestamps = Array.from(
+      { length: 1000 },
+      (_, i) =>
+        `2025-11-${String(1 + (i % 28)).padStart(2, "0")}T${String(i % 24).padStart(2, "0")}:` +
+        `${String(i % 60).padStart(2, "0")}:00.${String(i % 1000).padStart(3, "0")}${offsets[i % offsets.length]}`
+    );
+
+    const start = performance.now();
+    timestamps.sort(compareISO8601);
+    const duration = performance.now() - start;
+
+    assert.ok(duration < 100, `Sorting 1000 timestamps took ${duration.toFixed(2)}ms`);
+  });
+});
+
+describe("createISO8601Regex / parseISO8601 — reduced precision", () => {
+  const minutes = createISO8601Regex({ precision: "minute" });
+  const hours = createISO8601Regex({ precision: "hour" });
+
+  test("omitted groups are undefined", () => {
+    assert.deepEqual({ ...minutes.exec("2025-11-02T10:20+01:00").groups }, {
+      year: "2025",
+      month: "11",
+      day: "02",
+      hour: "10",
+      minute: "20",
+      second: undefined,
+      millisecond: undefined,
+      timezone: "+01:00",
+    });
+    assert.deepEqual({ ...hours.exec("2025-11-02T10Z").groups }, {
+      year: "2025",
+      month: "11",
+      day: "02",
+      hour: "10",
+      minute: undefined,
+      second: undefined,
+      millisecond: undefined,
+      timezone: "Z",
+    });
+    assert.equal(hours.exec("2025-11-02T10:20:30.5Z").groups.millisecond, "5");
+  });
+
+  test("keeps the calendar and offset rules", () => {
+    const cases = [
+      "2025-02-29T10:20Z",
+      "1900-02-29T10Z",
+      "2025-04-31T10Z",
+      "2025-13-01T10Z",
+      "2025-11-02T24Z",
+      "2025-11-02T10+14:01",
+      "2025-11-02T10-12:30",
+      "2025-11-02T10+0100",
+      "2025-11-02T10",
+      "2025-11-02T10z",
+      " 2025-11-02T10Z",
+      "2025-11-02T10Z ",
+    ];
+
+    for (const input of cases) {
+      assert.ok(!minutes.test(input), `minute: ${input}`);
+      assert.ok(!hours.test(input), `hour: ${input}`);
+    }
+    assert.ok(hours.test("2024-02-29T23+14:00"));
+    assert.ok(hours.test("2000-02-29T00-12:00"));
+  });
+
+  test("a fraction is only allowed after seconds", () => {
+    const exact = createISO8601Regex({ precision: "minute", fraction: { mode: "exact", digits: 6 } });
+
+    assert.ok(exact.test("2025-11-02T10:20Z"));
+    assert.ok(exact.test("2025-11-02T10:20:30.123456Z"));
+    assert.ok(!exact.test("2025-11-02T10:20:30Z"));
+    assert.ok(!exact.test("2025-11-02T10:20.123456Z"));
+    assert.ok(!createISO8601Regex({ precision: "hour", fraction: { mode: "unlimited" } }).test("2025-11-02T10.5Z"));
+  });
+
+  test("parseISO8601 reports the precision and counts omitted components as 0", () => {
+    const cases = [
+      ["2025-11-02T10Z", "hour"],
+      ["2025-11-02T10:20Z", "minute"],
+      ["2025-11-02T10:20:00Z", "second"],
+      ["2025-11-02T10:20:00.000Z", "second"],
+    ];
+
+    for (const [input, precision] of cases) {
+      const parsed = parseISO8601(input, { precision: "hour" });
+
+      assert.equal(parsed.precision, precision, input);
+      assert.equal(parsed.epochMilliseconds, Date.parse(input.replace(/T(\d\d)Z/, "T$1:00Z")), input);
+    }
+
+    assert.deepEqual(parseISO8601("2025-11-02T10:20-09:30", { precision: "minute" }), {
+      year: 2025,
+      month: 11,
+      day: 2,
+      hour: 10,
+      minute: 20,
+      second: 0,
+      millisecond: 0,
+      microsecond: 0,
+      nanosecond: 0,
+      offsetMinutes: -570,
+      epochMilliseconds: Date.parse("2025-11-02T19:50:00Z"),
+      epochNanoseconds: BigInt(Date.parse("2025-11-02T19:50:00Z")) * 1000000n,
+      precision: "minute",
+    });
+    assert.equal(parseISO8601("2025-11-02T10:20Z"), null);
+    assert.equal(parseISO8601("2025-11-02T10Z", { precision: "minute" }), null);
+    assert.equal(parseISO8601("2025-11-02T10", { precision: "hour", timezone: "optional" }).epochMilliseconds, null);
+  });
+
+  test("match groups work with the comparison helpers", () => {
+    assert.ok(isEqualInstant(minutes.exec("2025-11-02T10:20+01:00").groups, "2025-11-02T09:20:00Z"));
+    assert.equal(toSortKey(hours.exec("2025-11-02T23-12:00").groups), "2025-11-03T11:00:00.000000000Z");
+  });
+
+  test("caches presets and rejects unknown precisions", () => {
+    assert.equal(createISO8601Regex({ precision: "second" }), ISO8601Regex);
+    assert.equal(createISO8601Regex({ precision: "minute" }), minutes);
+    assert.throws(() => createISO8601Regex({ precision: "day" }), {
+      name: "TypeError",
+      message: "Invalid precision: day (expected second, minute, hour)",
+    });
+    assert.throws(() => parseISO8601("2025-11-02T10Z", { precision: "millisecond" }), TypeError);
+  });
+
+  test("readme examples should all pass", () => {
+    const feed = createISO8601Regex({ precision: "minute" });
+
+    assert.ok(feed.test("2025-11-02T10:20Z"));
+    assert.equal(feed.exec("2025-11-02T10:20Z").groups.second, undefined);
+    assert.ok(!feed.test("2025-11-02T10Z"));
+    assert.ok(createISO8601Regex({ precision: "hour" }).test("2025-11-02T10Z"));
+
+    const short = parseISO8601("2025-11-02T10:20Z", { precision: "minute" });
+    const full = parseISO8601("2025-11-02T10:20:00Z", { precision: "minute" });
+    assert.equal(short.epochMilliseconds, full.epochMilliseconds);
+    assert.equal(short.precision, "minute");
+    assert.equal(full.precision, "second");
+  });
+
+  test("performance: 10000 reduced-precision matches in under 100ms", () => {
+    const inputs = Array.from({ length: 10000 }, (_, i) =>
+      i % 3 === 0 ? "2025-11-02T10Z" : i % 3 === 1 ? "2025-11-02T10:20+05:30" : "2025-11-02T10:20:30.123Z"
+    );
+
+    const start = performance.now();
+    for (const input of inputs) hours.test(input);
+    const duration = performance.now() - start;
+
+    assert.ok(duration < 100, `10000 matches took ${duration.toFixed(2)}ms`);
+  });
+});